@@ -3,9 +3,27 @@ import ora from 'ora';
 import readline from 'readline';
 import { Marked } from 'marked';
 import { markedTerminal } from 'marked-terminal';
-import { initPuter, getDefaultModel } from './auth.js';
-import { TOOL_DEFINITIONS, TOOL_RISK, executeTool } from './tools.js';
-import { pickModel } from './models.js';
+import { createProvider } from './providers.js';
+import { TOOL_DEFINITIONS, TOOL_RISK, executeTool, findPathOutsideWorkspace } from './tools.js';
+import { pickModel, defaultAgentModel, getModelCatalog, warnAboutModel } from './models.js';
+import { compactMessages, needsCompaction, pruneStaleToolOutput } from './context.js';
+import { createCheckpointStore, beginCheckpoint, endCheckpoint, snapshotFile, undoLast, restoreTo, rollbackAll, changedFiles, originalContents } from './checkpoints.js';
+import { startMcpServers, stopMcpServers, getMcpToolDefinitions, getMcpStatus, isMcpTool } from './mcp.js';
+import { createReporter, isRawOutput, isErrorResult, EXIT_CODES } from './output.js';
+import { runForeground, cancelForeground, listBackground, killAllBackground } from './processes.js';
+import { loadPermissionRules, evaluatePermission, suggestAllowPattern, addAllowRule } from './permissions.js';
+import { createSession, saveSession, loadSession, latestSession, pickSession } from './sessions.js';
+import { normalizeEdits, applyEdits } from './edits.js';
+import { createUnifiedDiff, colorizeDiff, diffStats, openInPager } from './diff.js';
+import { loadCommands, parseCommandLine, expandCommand, isToolAllowed, printCommandHelp } from './commands.js';
+import { PLAN_TOOLS, PLAN_MODE_NOTE, EXECUTE_PLAN_PROMPT, extractPlan, formatPinnedPlan } from './plan.js';
+import { createUsageTracker, recordUsage, totalTokens, usageSince, todayUsage, formatTokens, formatUsageLine, printUsageTable } from './usage.js';
+import { chatWithRetry, errorMessage, formatRetry } from './retry.js';
+import { attachFiles, findMentions, promptWithStdin, describeAttachments, createMentionCompleter } from './attachments.js';
+import { getPreset, applyPreset, chatParams, printPresets, describePreset } from './presets.js';
+import { DELEGATE_TOOL, TOOLSETS, MAX_CONCURRENT, normalizeTasks, subagentInstructions, mapConcurrent } from './subagents.js';
+import { loadHooks, runHooks, hasHooks, HOOK_EVENTS } from './hooks.js';
+import { loadInstructions, formatInstructions, projectInstructionsFile, appendInstruction, openInEditor, USER_INSTRUCTIONS_FILE } from './instructions.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -13,12 +31,22 @@ const marked = new Marked(markedTerminal());
 
 export let globalRl = null;
 let isAgentRunning = false;
+// Set for --output-format json/stream-json: no prompts, no spinners
+let reporter = null;
+// Set for `do` with --raw or piped stdout: progress on stderr, no spinners, only the answer on stdout
+let rawOutput = false;
+// Set once `do` has read its prompt from stdin: nothing left to answer permission prompts with
+let stdinPiped = false;
 
 function renderMarkdown(text) {
     try { return marked.parse(text).trimEnd(); }
     catch { return text; }
 }
 
+function startSpinner(text) {
+    return ora({ text: chalk.dim(text), spinner: 'dots', indent: 2, isSilent: Boolean(reporter) || rawOutput || quietDepth > 0 }).start();
+}
+
 function extractText(response) {
     if (typeof response === 'string') return response;
     const content = response?.message?.content;
@@ -123,51 +151,96 @@ function normalizeAssistantMessage(message, toolCalls) {
 
 // ─── Diff display ───
 
-function generateDiff(oldContent, newContent, filePath) {
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    const lines = [];
+const MAX_PREVIEW_LINES = 60;
 
-    lines.push(chalk.dim(`--- a/${filePath}`));
-    lines.push(chalk.dim(`+++ b/${filePath}`));
+function diffLabel(projectDir, filePath) {
+    return path.relative(projectDir, filePath).split(path.sep).join('/');
+}
 
-    const maxLen = Math.max(oldLines.length, newLines.length);
-    let diffStart = -1, diffEnd = -1;
+/**
+ * The unified diff a write_file/edit_file call would produce.
+ * `error` is set when an edit would not apply (the tool will refuse it).
+ */
+async function previewFileChange(name, args, projectDir) {
+    const filePath = path.resolve(projectDir, args.path);
+    const label = diffLabel(projectDir, filePath);
+    let existing = null;
+    try {
+        existing = await fs.readFile(filePath, 'utf-8');
+    } catch { /* new file */ }
 
-    for (let i = 0; i < maxLen; i++) {
-        if (oldLines[i] !== newLines[i]) { diffStart = Math.max(0, i - 2); break; }
-    }
-    for (let i = maxLen - 1; i >= 0; i--) {
-        if (oldLines[i] !== newLines[i]) { diffEnd = Math.min(maxLen, i + 3); break; }
-    }
+    const labels = { oldLabel: existing === null ? '/dev/null' : `a/${label}`, newLabel: `b/${label}` };
+    if (name === 'write_file') return { diff: createUnifiedDiff(existing ?? '', args.content ?? '', labels) };
 
-    if (diffStart === -1) return chalk.dim('  (no changes)');
+    if (existing === null) return { error: `${args.path} does not exist` };
+    try {
+        return { diff: createUnifiedDiff(existing, applyEdits(existing, normalizeEdits(args)).content, labels) };
+    } catch (err) {
+        return { error: err.message };
+    }
+}
 
-    lines.push(chalk.cyan(`@@ -${diffStart + 1} +${diffStart + 1} @@`));
+/**
+ * Diff of every file changed in this session, from the checkpoint snapshots
+ */
+async function buildSessionDiff(checkpoints, projectDir) {
+    const original = originalContents(checkpoints);
+    const parts = [];
+    for (const { path: filePath } of await changedFiles(checkpoints)) {
+        const label = diffLabel(projectDir, filePath);
+        const before = original.get(filePath);
+        let after = null;
+        try {
+            after = await fs.readFile(filePath);
+        } catch { /* deleted */ }
 
-    for (let i = diffStart; i < Math.min(diffEnd, maxLen); i++) {
-        const oldLine = i < oldLines.length ? oldLines[i] : undefined;
-        const newLine = i < newLines.length ? newLines[i] : undefined;
-        if (oldLine === newLine) {
-            lines.push(chalk.dim(`  ${oldLine}`));
-        } else {
-            if (oldLine !== undefined) lines.push(chalk.red(`- ${oldLine}`));
-            if (newLine !== undefined) lines.push(chalk.green(`+ ${newLine}`));
+        if (before?.includes(0) || after?.includes(0)) {
+            parts.push(`Binary files a/${label} and b/${label} differ`);
+            continue;
         }
+        parts.push(createUnifiedDiff(before?.toString('utf-8') ?? '', after?.toString('utf-8') ?? '', {
+            oldLabel: before === null ? '/dev/null' : `a/${label}`,
+            newLabel: after === null ? '/dev/null' : `b/${label}`,
+        }));
     }
-    return lines.join('\n');
+    return parts.join('\n');
+}
+
+// ─── Live command output ───
+
+/**
+ * Print streamed command output as dim, indented lines
+ */
+function createLinePrinter() {
+    let partial = '';
+    return {
+        write(chunk) {
+            const lines = (partial + chunk).split(/\r?\n/);
+            partial = lines.pop();
+            for (const line of lines) console.log(chalk.dim(`    ${line}`));
+        },
+        flush() {
+            if (partial) console.log(chalk.dim(`    ${partial}`));
+            partial = '';
+        },
+    };
 }
 
 // ─── Permission prompt ───
 
 function askPermission(question) {
+    // Nobody to ask in machine-readable mode, with the prompt piped in, or while parallel
+    // sub-agents run: anything not pre-approved is denied
+    if (reporter || stdinPiped || quietDepth > 0) return Promise.resolve('n');
+
     return new Promise((resolve) => {
         // If main REPL is running, pause it so they don't fight for stdin
         if (globalRl) {
             globalRl.pause();
         }
 
-        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        // With raw output stdout is the answer, so the question goes to stderr
+        const rl = readline.createInterface({ input: process.stdin, output: rawOutput ? process.stderr : process.stdout });
         rl.question(question, (answer) => {
             rl.close();
             // Resume main REPL
@@ -180,20 +253,40 @@ function askPermission(question) {
     });
 }
 
+/**
+ * confirm() for MCP servers, hooks and allow rules a project defines: shows
+ * them and asks whether to trust them (remembered until they change)
+ */
+function confirmProjectCommands(what, effect = 'run commands on your machine') {
+    return async (lines) => {
+        console.log(chalk.yellow(`\n  This project's settings define ${what} that ${effect}:`));
+        for (const line of lines) console.log(chalk.dim(`    ${line}`));
+        const answer = await askPermission(`  Trust and enable them? [y/N] `);
+        const trusted = answer === 'y' || answer === 'yes';
+        if (!trusted) console.log(chalk.dim(`  Project ${what} left disabled.`));
+        return trusted;
+    };
+}
+
 // ─── Handle a single tool call ───
 
-async function handleToolCall(toolCall, projectDir, autoApprove) {
+async function handleToolCall(toolCall, projectDir, { autoApprove, checkpoints, extraDirs = [], permissions = [], hooks, sessionId } = {}) {
     try {
-        const { id, name, args } = toolCall;
+        const { id, name } = toolCall;
+        let { args } = toolCall;
         const risk = TOOL_RISK[name] || 'ask';
 
         // Display what tool is being called
         if (name === 'run_command') {
-            console.log(chalk.yellow(`\n  > ${name}: ${chalk.white(args.command || '')}`));
+            const mode = args.background ? chalk.dim(' (background)') : '';
+            console.log(chalk.yellow(`\n  > ${name}: ${chalk.white(args.command || '')}`) + mode);
         } else if (name === 'write_file' || name === 'edit_file') {
             console.log(chalk.yellow(`\n  > ${name}: ${chalk.white(args.path || '')}`));
         } else if (name === 'read_file') {
-            console.log(chalk.dim(`  > read_file: ${args.path || ''}`));
+            const range = args.offset ? ` (from line ${args.offset})` : '';
+            console.log(chalk.dim(`  > read_file: ${args.path || ''}${range}`));
+        } else if (name === 'read_files') {
+            console.log(chalk.dim(`  > read_files: ${[].concat(args.paths || []).join(', ')}`));
         } else if (name === 'list_directory') {
             console.log(chalk.dim(`  > list_directory: ${args.path || '.'}`));
         } else if (name === 'search_files') {
@@ -202,46 +295,108 @@ async function handleToolCall(toolCall, projectDir, autoApprove) {
             console.log(chalk.dim(`  > ${name}`));
         }
 
+        // pre-tool hooks run first: they may block the call or rewrite its arguments
+        if (hasHooks(hooks, 'pre-tool')) {
+            const pre = await runHooks(hooks, 'pre-tool', { session_id: sessionId, tool_call_id: id, tool_name: name, tool_input: args }, projectDir);
+            printHookFailures(pre);
+            if (pre.blocked) {
+                console.log(chalk.red(`    Blocked by hook: ${pre.reason}`));
+                return `Operation denied by hook: ${pre.reason}`;
+            }
+            if (pre.args) {
+                args = pre.args;
+                console.log(chalk.dim(`    Arguments changed by hook: ${JSON.stringify(args).slice(0, 200)}`));
+            }
+        }
+
+        // Paths outside the workspace always need an explicit yes, even with auto-approve
+        let allowOutside = false;
+        const outside = await findPathOutsideWorkspace(name, args, projectDir, extraDirs);
+        if (outside) {
+            console.log(chalk.red(`    Path is outside the workspace: ${outside}`));
+            const answer = await askPermission(`  ${chalk.red('[OUTSIDE]')} Allow access? [y/N] `);
+            if (answer !== 'y' && answer !== 'yes') {
+                return `Error: Access denied — ${outside} is outside the workspace (${projectDir}) and the user did not allow it. ` +
+                    'Stay inside the project directory, or ask the user to restart with --add-dir <dir>.';
+            }
+            allowOutside = true;
+        }
+
+        // Configured rules take precedence over the risk level and auto-approve
+        const rule = evaluatePermission(permissions, name, args, projectDir);
+        if (rule?.action === 'deny') {
+            console.log(chalk.red(`    Denied by rule: ${name} "${rule.pattern}" (${rule.source})`));
+            return `Operation denied by permission rule (${name} "${rule.pattern}"). Do not retry it; find another way or ask the user.`;
+        }
+        const needsApproval = rule ? rule.action === 'ask' : (risk !== 'safe' && !autoApprove);
+
         // Permission check for risky operations
-        if (risk !== 'safe' && !autoApprove) {
-            if (name === 'write_file' && args.content) {
-                const filePath = path.resolve(projectDir, args.path);
-                try {
-                    const existing = await fs.readFile(filePath, 'utf-8');
-                    console.log(generateDiff(existing, args.content, args.path));
-                } catch {
-                    const contentLines = args.content.split('\n');
-                    const preview = contentLines.slice(0, 15).map(l => chalk.green(`+ ${l}`)).join('\n');
-                    console.log(chalk.dim(`  (new file)`));
-                    console.log(preview);
-                    if (contentLines.length > 15) {
-                        console.log(chalk.dim(`  ... (+${contentLines.length - 15} more lines)`));
-                    }
+        // An edit that doesn't apply changes nothing, so there is nothing to approve
+        let preview = null;
+        if (needsApproval && (name === 'write_file' || name === 'edit_file') && args.path) {
+            preview = await previewFileChange(name, args, projectDir);
+            if (preview.error) console.log(chalk.dim(`    Edit does not apply: ${preview.error}`));
+        }
+
+        if (needsApproval && !preview?.error) {
+            const diff = preview?.diff;
+            if (preview) {
+                if (diff) {
+                    const { added, removed } = diffStats(diff);
+                    console.log(colorizeDiff(diff, { maxLines: MAX_PREVIEW_LINES, indent: '  ' }));
+                    console.log(chalk.dim(`  ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`));
+                } else {
+                    console.log(chalk.dim('  (no changes)'));
                 }
             }
 
-            if (name === 'edit_file' && args.target) {
-                console.log(chalk.red(`- ${args.target.split('\n').join('\n- ')}`));
-                console.log(chalk.green(`+ ${(args.replacement || '').split('\n').join('\n+ ')}`));
+            const riskLabel = risk === 'danger' ? chalk.red('[DANGER]')
+                : isMcpTool(name) ? chalk.magenta('[MCP]')
+                    : risk === 'safe' ? chalk.cyan('[ASK]') : chalk.yellow('[WRITE]');
+            const choices = diff ? 'Y/n/a=always/p=pager/skip' : 'Y/n/a=always/skip';
+            let answer = await askPermission(`  ${riskLabel} Allow? [${choices}] `);
+            while (diff && (answer === 'p' || answer === 'pager')) {
+                if (!openInPager(diff)) console.log(colorizeDiff(diff, { indent: '  ' }));
+                answer = await askPermission(`  ${riskLabel} Allow? [${choices}] `);
             }
 
-            const riskLabel = risk === 'danger' ? chalk.red('[DANGER]') : chalk.yellow('[WRITE]');
-            const answer = await askPermission(`  ${riskLabel} Allow? [Y/n/skip] `);
-
             if (answer === 'n' || answer === 'no') return 'Operation denied by user.';
             if (answer === 'skip' || answer === 's') return 'Operation skipped by user.';
+            if (answer === 'a' || answer === 'always') {
+                const pattern = suggestAllowPattern(name, args, projectDir);
+                try {
+                    const file = await addAllowRule(projectDir, name, pattern);
+                    permissions.push({ action: 'allow', tool: name, pattern, source: 'local' });
+                    console.log(chalk.green(`    Always allowing ${name} "${pattern}"`) + chalk.dim(` (saved to ${path.relative(projectDir, file)})`));
+                } catch (err) {
+                    console.log(chalk.yellow(`    Could not save rule: ${err.message}`));
+                }
+            }
         }
 
-        // Execute the tool
-        const result = (await executeTool(name, args, projectDir)) || '(no output)';
+        // Snapshot files before they change so the turn can be undone
+        if (checkpoints && (name === 'write_file' || name === 'edit_file') && args.path) {
+            await snapshotFile(checkpoints, path.resolve(projectDir, args.path));
+        }
+
+        // Execute the tool (foreground commands stream their output as it arrives)
+        const printer = name === 'run_command' && !args.background ? createLinePrinter() : null;
+        const result = (await executeTool(name, args, projectDir, {
+            extraDirs,
+            allowOutside,
+            onOutput: printer?.write,
+        })) || '(no output)';
+        printer?.flush();
 
         // Show brief output info
-        if (['read_file', 'list_directory', 'search_files', 'get_project_info'].includes(name)) {
+        if (['read_file', 'read_files', 'list_directory', 'search_files', 'get_project_info'].includes(name)) {
             const lineCount = result.split('\n').length;
             if (lineCount > 5) console.log(chalk.dim(`    -> ${lineCount} lines returned`));
         }
 
-        if (name === 'run_command') {
+        if (printer && /^Command (exited|timed out|killed|cancelled)/.test(result)) {
+            console.log(chalk.red(`    ${result.split('\n')[0]}`));
+        } else if (['run_command', 'command_output', 'kill_command'].includes(name) && !printer) {
             const rl = result.split('\n');
             const display = rl.slice(0, 20).map(l => chalk.dim(`    ${l}`)).join('\n');
             console.log(display);
@@ -252,6 +407,19 @@ async function handleToolCall(toolCall, projectDir, autoApprove) {
             console.log(chalk.green(`    done`));
         }
 
+        // post-tool hooks see the result; what they report goes back to the model with it
+        if (hasHooks(hooks, 'post-tool')) {
+            const post = await runHooks(hooks, 'post-tool', {
+                session_id: sessionId, tool_call_id: id, tool_name: name, tool_input: args, tool_response: result,
+            }, projectDir);
+            printHookFailures(post);
+            const feedback = post.blocked ? [post.reason, ...post.messages] : post.messages;
+            if (feedback.length > 0) {
+                console.log(chalk.yellow(`    Hook: ${feedback.join(' | ').slice(0, 200)}`));
+                return `${result}\n\n[Hook feedback]\n${feedback.join('\n')}`;
+            }
+        }
+
         return result;
     } catch (err) {
         console.error(chalk.red(`    Tool error: ${err.message}`));
@@ -261,7 +429,11 @@ async function handleToolCall(toolCall, projectDir, autoApprove) {
 
 // ─── System prompt ───
 
-function buildSystemPrompt(projectDir) {
+/**
+ * `plan` is the pinned plan, `system` a preset's system prompt
+ */
+async function buildSystemPrompt(projectDir, { plan = null, system = null } = {}) {
+    const instructions = formatInstructions(await loadInstructions(projectDir)) + formatPresetSystem(system) + formatPinnedPlan(plan);
     return `You are an expert AI coding assistant operating in an agentic mode. You have tools to read files, write files, edit files, list directories, search code, run shell commands, and search the web (web_search).
 
 Your working directory is: ${projectDir}
@@ -274,34 +446,297 @@ Guidelines:
 5. Explain what you're doing and why as you work.
 6. If you encounter errors, analyze them and try to fix them.
 7. Be thorough but efficient. Don't read files you don't need.
+8. File tools only work inside the working directory (and any directories the user added). Use relative paths.
 
 When writing code:
 - Follow existing code style and conventions
 - Add appropriate comments for complex logic
 - Handle errors gracefully
-- Maintain backward compatibility unless explicitly asked to break it`;
+- Maintain backward compatibility unless explicitly asked to break it${instructions}`;
+}
+
+function formatPresetSystem(system) {
+    return system ? `\n\n# Preset instructions\n\n${system}` : '';
+}
+
+/**
+ * The session's preset, or null if it has none (or it was removed since)
+ */
+function sessionPreset(session) {
+    if (!session.preset) return null;
+    try {
+        return getPreset(session.preset);
+    } catch {
+        return null;
+    }
+}
+
+function sessionSystemPrompt(session) {
+    return buildSystemPrompt(session.projectDir, { plan: session.plan, system: sessionPreset(session)?.system });
+}
+
+/**
+ * Reload instruction files into the system prompt of a running session
+ */
+async function refreshSystemPrompt(session) {
+    session.messages[0] = { role: 'system', content: await sessionSystemPrompt(session) };
+    await persist(session);
+}
+
+function initPrompt(file, exists) {
+    const name = path.basename(file);
+    return `${exists ? `Improve the existing ${name}` : `Create ${name}`} in the project root: an instruction file that is loaded into your system prompt at the start of every session in this project.
+
+First call get_project_info, then look at the files that define how the project works (README, package manifests, build/CI configuration, lint and test configuration). Then ${exists ? 'edit' : 'write'} ${name} with short sections covering:
+- what the project is, in one or two sentences
+- exact commands to install, build, test, lint and run it
+- code style and conventions you can see in the code (module system, naming, error handling, test layout)
+- the project layout: which directories hold what
+- anything to avoid: generated files, vendored code, directories not to touch
+
+Keep it under about 60 lines. Only write down what you verified in the repository — no guesses.`;
+}
+
+// ─── Hooks ───
+
+function printHookFailures(outcome) {
+    for (const failure of outcome.failures) console.log(chalk.yellow(`    ${failure}`));
+}
+
+/**
+ * Run user-prompt-submit hooks. Returns the prompt to send (plus any context
+ * the hooks added), or null if a hook blocked it.
+ */
+async function submitPrompt(hooks, session, prompt) {
+    if (!hasHooks(hooks, 'user-prompt-submit')) return prompt;
+    const outcome = await runHooks(hooks, 'user-prompt-submit', { session_id: session.id, prompt }, session.projectDir);
+    printHookFailures(outcome);
+    if (outcome.blocked) {
+        console.log(chalk.red(`  Prompt blocked by hook: ${outcome.reason}\n`));
+        return null;
+    }
+    return outcome.context.length > 0 ? `${prompt}\n\n[Context from hooks]\n${outcome.context.join('\n')}` : prompt;
+}
+
+/**
+ * Run session-start hooks; returns context they provided for the model (or '')
+ */
+async function startSessionHooks(hooks, session, mode) {
+    if (!hasHooks(hooks, 'session-start')) return '';
+    const outcome = await runHooks(hooks, 'session-start', { session_id: session.id, mode, model: session.model }, session.projectDir);
+    printHookFailures(outcome);
+    return outcome.context.length > 0 ? `[Context from hooks]\n${outcome.context.join('\n')}` : '';
+}
+
+async function endSessionHooks(hooks, session, data = {}) {
+    if (!hasHooks(hooks, 'session-end')) return;
+    printHookFailures(await runHooks(hooks, 'session-end', { session_id: session.id, ...data }, session.projectDir));
+}
+
+// ─── MCP servers ───
+
+async function connectMcp(projectDir) {
+    const status = await startMcpServers(projectDir, { confirm: confirmProjectCommands('MCP servers') });
+    for (const s of status) {
+        if (s.status === 'connected') {
+            console.log(chalk.dim(`  MCP: ${s.name} (${s.tools.length} tools)`));
+        } else {
+            console.log(chalk.yellow(`  MCP: ${s.name} failed — ${s.error}`));
+        }
+    }
+}
+
+function printMcpStatus() {
+    const status = getMcpStatus();
+    if (status.length === 0) {
+        console.log(chalk.dim('  No MCP servers configured. Add "mcpServers" to .puter/settings.json.\n'));
+        return;
+    }
+    console.log(chalk.bold('\n  MCP servers:'));
+    for (const s of status) {
+        const state = s.status === 'connected' ? chalk.green(s.status) : chalk.red(s.status);
+        console.log(`    ${chalk.white(s.name)} ${state}${s.error ? chalk.dim(` — ${s.error}`) : ''}`);
+        if (s.tools.length > 0) console.log(chalk.dim(`      ${s.tools.join(', ')}`));
+    }
+    console.log();
+}
+
+// ─── Workspace ───
+
+function resolveExtraDirs(dirs = []) {
+    return dirs.map(d => path.resolve(d));
+}
+
+// ─── Session persistence ───
+
+/**
+ * Save the session after every change. A failing disk must never take the
+ * agent down with it, so errors are reported once and otherwise ignored.
+ */
+async function persist(session) {
+    // Sub-agent conversations only live as long as their task
+    if (session.ephemeral) return;
+    try {
+        await saveSession(session);
+    } catch (err) {
+        if (!session.saveFailed) {
+            console.error(chalk.yellow(`  Warning: could not save session: ${err.message}`));
+            session.saveFailed = true;
+        }
+    }
+}
+
+/**
+ * Load the session to resume (--resume [id] / --continue), or start a new one
+ */
+async function openSession(options, projectDir, mode) {
+    let stored = null;
+    if (options.continue) {
+        stored = await latestSession(projectDir);
+        if (!stored) console.log(chalk.yellow('\n  No previous session for this project — starting a new one.'));
+    } else if (options.resume) {
+        const id = options.resume === true ? await pickSession(projectDir, { output: rawOutput ? process.stderr : process.stdout }) : options.resume;
+        if (id) stored = await loadSession(id);
+        else console.log(chalk.yellow('\n  No saved sessions for this project — starting a new one.'));
+    }
+
+    if (stored) {
+        // Refresh the system prompt in case the project moved or the prompt changed
+        stored.projectDir = projectDir;
+        if (options.preset) stored.preset = options.preset;
+        stored.messages[0] = { role: 'system', content: await sessionSystemPrompt(stored) };
+        stored.usage ??= createUsageTracker();
+        if (options.model) stored.model = options.model;
+        console.log(chalk.green(`\n  Resumed session ${stored.id}`) +
+            chalk.dim(` (${stored.messages.length - 1} messages${stored.title ? ` — ${stored.title}` : ''})`));
+        return stored;
+    }
+
+    return createSession({
+        model: options.model,
+        preset: options.preset,
+        projectDir,
+        mode,
+        messages: [{ role: 'system', content: await buildSystemPrompt(projectDir, { system: options.system }) }],
+    });
+}
+
+// ─── Context compaction ───
+
+/**
+ * Summarise old turns so the conversation fits in the model's context window
+ *
+ * @returns {Promise<object|null>} the compaction result, null when nothing was compacted
+ */
+async function compactSession(provider, session, focus, model = session.model) {
+    const spinner = startSpinner('Compacting conversation...');
+    try {
+        const result = await compactMessages(provider, session.messages, model, { focus });
+        spinner.stop();
+        if (result) await recordUsage(session.usage, model, result.usage);
+        if (!result) {
+            console.log(chalk.dim('  Nothing to compact yet.'));
+            return null;
+        }
+        await persist(session);
+        console.log(chalk.yellow(`  Compacted ${result.summarized} messages: ~${result.before} -> ~${result.after} tokens`));
+        return result;
+    } catch (err) {
+        spinner.fail(chalk.red(`Compaction failed: ${err.message}`));
+        return null;
+    }
 }
 
 // ─── Run the agentic loop ───
 
-async function runAgentLoop(puter, messages, modelName, projectDir, autoApprove, maxIterations = 25) {
+// After a compaction that failed or didn't help, wait for this many new messages before trying again
+const COMPACTION_RETRY_MESSAGES = 10;
+
+/**
+ * Resolve to the promise's value, or reject with a DEADLINE error once `deadline` (ms timestamp) passes
+ */
+function withDeadline(promise, deadline) {
+    if (!deadline) return promise;
+    let timer;
+    const expired = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(Object.assign(new Error('Time limit reached'), { code: 'DEADLINE' })), Math.max(0, deadline - Date.now()));
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * `model` and `allowedTools` override the session for this run (custom commands);
+ * the session's preset adds its chat parameters and narrows the tools further.
+ * `nested` marks a sub-agent loop: no delegation, no reporter events, no final print.
+ * `maxTokens` (tokens used by this run) and `deadline` (ms timestamp) stop the
+ * loop between steps, like maxIterations; a deadline also cuts a model request short.
+ *
+ * @returns {Promise<{status: 'done'|'error'|'max_iterations'|'budget_exceeded'|'timeout',
+ *          iterations: number, text: string, toolCalls: object[], errors: string[]}>} how the loop ended
+ */
+async function runAgentLoop(provider, session, { autoApprove, checkpoints, extraDirs, permissions, hooks, maxIterations = 25, maxTokens, deadline, model, allowedTools, nested = false } = {}) {
+    const { messages, projectDir } = session;
+    session.usage ??= createUsageTracker();
+    const startTokens = totalTokens(session.usage);
+    const available = [...TOOL_DEFINITIONS, ...getMcpToolDefinitions(), ...(nested ? [] : [DELEGATE_TOOL])];
+    const preset = sessionPreset(session);
+    if (preset?.allowedTools) {
+        // A tool has to pass both the preset's allowlist and the run's
+        allowedTools = allowedTools
+            ? available.map(t => t.function.name).filter(name => isToolAllowed(preset.allowedTools, name) && isToolAllowed(allowedTools, name))
+            : preset.allowedTools;
+    }
+    const tools = available.filter(t => isToolAllowed(allowedTools, t.function.name));
+    const params = chatParams(preset || {});
+    const emit = (type, data) => { if (!nested) reporter?.event(type, data); };
+    const run = { iterations: 0, text: '', toolCalls: [], errors: [] };
     let iterations = 0;
+    // Becomes a fallback model for the rest of the run if the requested one fails
+    let activeModel = model || session.model;
+    let retryCompactionAt = 0;
 
     while (iterations < maxIterations) {
+        const used = totalTokens(session.usage) - startTokens;
+        if (maxTokens && used >= maxTokens) {
+            console.log(chalk.yellow(`\n  Stopped: token budget of ${formatTokens(maxTokens)} used up (${formatTokens(used)} tokens).\n`));
+            return { status: 'budget_exceeded', ...run };
+        }
+        if (deadline && Date.now() >= deadline) {
+            console.log(chalk.yellow('\n  Stopped: time limit reached.\n'));
+            return { status: 'timeout', ...run };
+        }
         iterations++;
 
-        const spinner = ora({
-            text: chalk.dim(iterations === 1 ? 'Thinking...' : `Working... (step ${iterations})`),
-            spinner: 'dots',
-            indent: 2,
-        }).start();
+        // Measured against the model actually answering, which may be a fallback
+        if (needsCompaction(messages, activeModel)) {
+            if (messages.length >= retryCompactionAt) {
+                const compacted = await compactSession(provider, session, undefined, activeModel);
+                if (!compacted || needsCompaction(messages, activeModel)) retryCompactionAt = messages.length + COMPACTION_RETRY_MESSAGES;
+            }
+            // Still over the limit: at least drop tool output that is no longer current
+            if (needsCompaction(messages, activeModel)) pruneStaleToolOutput(messages);
+        }
+
+        run.iterations = iterations;
+        const spinner = startSpinner(iterations === 1 ? 'Thinking...' : `Working... (step ${iterations})`);
 
         try {
-            const response = await puter.ai.chat(messages, {
-                model: modelName,
-                tools: TOOL_DEFINITIONS,
-            });
+            const { response, model: usedModel } = await withDeadline(chatWithRetry(provider, messages, { model: activeModel, tools, ...params }, {
+                deadline,
+                onRetry: (retry) => {
+                    spinner.text = chalk.yellow(formatRetry(retry));
+                    emit('retry', { model: retry.model, attempt: retry.attempt, delay_ms: retry.delayMs, error: retry.error.message, error_type: retry.error.type });
+                },
+                onFallback: ({ from, to, error }) => {
+                    spinner.stop();
+                    console.log(chalk.yellow(`  ${from} failed (${error.message.split('\n')[0]}) — falling back to ${to}`));
+                    emit('fallback', { from, to, error: error.message, error_type: error.type });
+                    spinner.start();
+                },
+            }), deadline);
             spinner.stop();
+            activeModel = usedModel;
+            const usage = await recordUsage(session.usage, usedModel, response?.usage);
 
             const message = response?.message || response;
             const toolCalls = normalizeToolCalls(message);
@@ -316,82 +751,292 @@ async function runAgentLoop(puter, messages, modelName, projectDir, autoApprove,
             const normalizedMsg = normalizeAssistantMessage(message, toolCalls);
             if (normalizedMsg) {
                 messages.push(normalizedMsg);
+                await persist(session);
             }
+            emit('assistant', {
+                text: textParts || '',
+                tool_calls: toolCalls.map(tc => ({ id: tc.id, name: tc.name, args: tc.args })),
+                usage,
+            });
 
             if (toolCalls.length > 0) {
                 for (const tc of toolCalls) {
-                    const result = await handleToolCall(tc, projectDir, autoApprove);
+                    emit('tool_call', { id: tc.id, name: tc.name, args: tc.args });
+                    // deadline and allowedTools are only used by sub-agents
+                    const toolOptions = { autoApprove, checkpoints, extraDirs, permissions, hooks, sessionId: session.id, deadline, allowedTools };
+                    const result = !isToolAllowed(allowedTools, tc.name)
+                        ? `Error: ${tc.name} is not available right now. Allowed tools: ${allowedTools.join(', ')}`
+                        : tc.name === 'delegate_task' && !nested
+                            ? await delegateTasks(provider, session, tc.args, toolOptions)
+                            : await handleToolCall(tc, projectDir, toolOptions);
+                    const isError = isErrorResult(tc.name, result);
+                    run.toolCalls.push({ id: tc.id, name: tc.name, args: tc.args, is_error: isError });
+                    emit('tool_result', { id: tc.id, name: tc.name, is_error: isError, content: result });
 
                     messages.push({
                         role: 'tool',
                         tool_call_id: tc.id,
                         content: typeof result === 'string' ? result : JSON.stringify(result),
                     });
+                    await persist(session);
                 }
                 continue;
             }
 
-            // No tool calls — final response
-            if (textParts && textParts.trim()) {
+            // No tool calls — final response (a sub-agent's goes back to its parent instead)
+            if (textParts && textParts.trim() && !nested && !rawOutput) {
                 console.log(chalk.cyan('\n  AI > ') + renderMarkdown(textParts));
                 console.log();
             }
+            return { status: 'done', ...run, text: textParts || '' };
 
         } catch (err) {
             spinner.stop();
-            const errMsg = err?.error?.message || err?.message || (err?.toString?.() !== '[object Object]' ? err?.toString?.() : JSON.stringify(err));
-            // If tools already ran and this is a continuation error, show gracefully
-            console.error(chalk.red(`  Error: ${errMsg}`));
-            if (errMsg && (errMsg.includes('rate limit') || errMsg.includes('429'))) {
-                console.log(chalk.yellow('  Waiting 5s before retrying...'));
-                await new Promise(r => setTimeout(r, 5000));
-                continue;
+            if (err?.code === 'DEADLINE') {
+                console.log(chalk.yellow('\n  Stopped: time limit reached while waiting for the model.\n'));
+                return { status: 'timeout', ...run };
             }
-            break;
+            // Retries and fallbacks are used up by now (see chatWithRetry)
+            const errMsg = errorMessage(err);
+            console.error(chalk.red(`  Error: ${errMsg}`));
+            run.errors.push(errMsg);
+            emit('error', { message: errMsg, error_type: err?.classification?.type });
+            return { status: 'error', ...run };
         }
     }
 
-    if (iterations >= maxIterations) {
-        console.log(chalk.yellow(`\n  Warning: Reached max iterations (${maxIterations}).\n`));
+    console.log(chalk.yellow(`\n  Warning: Reached max iterations (${maxIterations}).\n`));
+    return { status: 'max_iterations', ...run };
+}
+
+// ─── Sub-agents ───
+
+// While parallel sub-agents run, their spinners and console output are muted
+let quietDepth = 0;
+
+async function runSubagent(provider, parent, task, toolOptions) {
+    const sub = {
+        id: `${parent.id}-sub`,
+        ephemeral: true,
+        model: task.model || parent.model,
+        // The parent's preset (chat parameters, allowed tools) binds its sub-agents too
+        preset: parent.preset,
+        projectDir: parent.projectDir,
+        // Sub-agent tokens count towards the parent session
+        usage: parent.usage,
+        messages: [
+            { role: 'system', content: await buildSystemPrompt(parent.projectDir) + subagentInstructions(task) },
+            { role: 'user', content: task.prompt },
+        ],
+    };
+    try {
+        return await runAgentLoop(provider, sub, {
+            ...toolOptions,
+            maxIterations: task.maxIterations,
+            // Never more than the parent run may use
+            allowedTools: TOOLSETS[task.tools].filter(name => isToolAllowed(toolOptions.allowedTools, name)),
+            nested: true,
+        });
+    } catch (err) {
+        return { status: 'error', iterations: 0, text: '', toolCalls: [], errors: [err.message] };
+    }
+}
+
+function subagentSteps(run) {
+    return `${run.iterations} step${run.iterations === 1 ? '' : 's'}, ${run.toolCalls.length} tool call${run.toolCalls.length === 1 ? '' : 's'}`;
+}
+
+function formatSubagentReport(task, run, index) {
+    const steps = subagentSteps(run);
+    const status = run.status === 'done' ? 'done'
+        : run.status === 'max_iterations' ? 'stopped at its step limit — the report may be incomplete'
+            : `failed: ${run.errors.at(-1) || 'unknown error'}`;
+    return `## [${index + 1}] ${task.description} — ${status} (${steps})\n\n${run.text.trim() || '(no report)'}`;
+}
+
+/**
+ * Handle a delegate_task call: run each task in its own agent loop and
+ * return their reports
+ */
+async function delegateTasks(provider, session, args, toolOptions) {
+    let tasks;
+    try {
+        tasks = normalizeTasks(args);
+    } catch (err) {
+        return `Error: ${err.message}`;
+    }
+
+    // Only read-only tasks run side by side: others may need approval prompts
+    const parallel = tasks.length > 1 && tasks.every(t => t.tools === 'read-only');
+    console.log(chalk.yellow(`\n  > delegate_task: ${tasks.length} sub-agent${tasks.length === 1 ? '' : 's'}${parallel ? ' in parallel' : ''}`));
+    tasks.forEach((t, i) => console.log(chalk.dim(`    [${i + 1}] ${t.description} (${t.tools}${t.model ? `, ${t.model}` : ''})`)));
+
+    let runs;
+    if (parallel) {
+        let finished = 0;
+        const spinner = startSpinner(`Sub-agents working... (0/${tasks.length} done)`);
+        const saved = { log: console.log, error: console.error };
+        console.log = console.error = () => {};
+        quietDepth++;
+        try {
+            runs = await mapConcurrent(tasks, MAX_CONCURRENT, async (task) => {
+                const run = await runSubagent(provider, session, task, toolOptions);
+                spinner.text = chalk.dim(`Sub-agents working... (${++finished}/${tasks.length} done)`);
+                return run;
+            });
+        } finally {
+            quietDepth--;
+            Object.assign(console, saved);
+            spinner.stop();
+        }
+    } else {
+        runs = [];
+        for (const [i, task] of tasks.entries()) {
+            console.log(chalk.cyan(`\n  ── sub-agent [${i + 1}] ${task.description} ──`));
+            runs.push(await runSubagent(provider, session, task, toolOptions));
+        }
+    }
+
+    runs.forEach((run, i) => {
+        const label = { done: 'done', max_iterations: 'hit its step limit', error: 'failed' }[run.status];
+        const color = run.status === 'done' ? chalk.green : chalk.yellow;
+        console.log(color(`    [${i + 1}] ${label}`) + chalk.dim(` — ${subagentSteps(run)}`));
+    });
+    return runs.map((run, i) => formatSubagentReport(tasks[i], run, i)).join('\n\n');
+}
+
+// ─── Checkpoint helpers ───
+
+function printRestored(restored, projectDir) {
+    for (const r of restored) {
+        const label = r.action === 'deleted' ? chalk.red('deleted ') : chalk.green('restored');
+        console.log(`    ${label} ${path.relative(projectDir, r.path)}`);
     }
 }
 
 // ─── Interactive agentic mode ───
 
 export async function startAgentMode(options = {}) {
-    const puter = await initPuter();
+    options = applyPreset(options);
+    const provider = await createProvider(options.provider);
     const projectDir = path.resolve(options.project || process.cwd());
+    let session = await openSession(options, projectDir, 'code');
 
-    // Show model picker if no model explicitly set via -m flag
-    let model;
-    if (options.model) {
-        model = options.model;
-    } else {
-        model = await pickModel('claude-sonnet-4.6');
+    // Show model picker if no model explicitly set via -m flag (or restored from a session)
+    if (!session.model) {
+        session.model = provider.defaultModel || await pickModel('claude-sonnet-4.6', { catalog: await getModelCatalog(provider) });
     }
-    console.log(chalk.green(`\n  Using: ${model}`));
-
-    const messages = [
-        { role: 'system', content: buildSystemPrompt(projectDir) }
-    ];
+    console.log(chalk.green(`\n  Using: ${session.model}`));
 
     console.log(chalk.bold.cyan('\n  ============================================='));
     console.log(chalk.bold.white('    Puter AI - Agentic Coding Mode'));
     console.log(chalk.bold.cyan('  ============================================='));
-    console.log(chalk.dim(`  Model: ${model}`));
+    console.log(chalk.dim(`  Model: ${session.model}`));
+    if (session.preset) console.log(chalk.dim(`  Preset: ${session.preset}`));
+    if (provider.name !== 'puter') console.log(chalk.dim(`  Provider: ${provider.name}`));
     console.log(chalk.dim(`  Project: ${projectDir}`));
+    console.log(chalk.dim(`  Session: ${session.id}`));
     console.log(chalk.dim(`  Auto-approve: ${options.auto ? 'ON' : 'OFF'}`));
-    console.log(chalk.dim('  /help for commands, !cmd to run shell commands'));
+    if (options.plan) console.log(chalk.magenta('  Plan mode: ON (read-only until you approve a plan)'));
+    if (session.plan) console.log(chalk.dim(`  Pinned plan: ${session.plan.steps.length} steps`));
+    for (const dir of resolveExtraDirs(options.addDir)) console.log(chalk.dim(`  Extra dir: ${dir}`));
+    for (const file of await loadInstructions(projectDir)) {
+        console.log(chalk.dim(`  Instructions: ${file.scope === 'user' ? file.path : path.relative(projectDir, file.path)}`));
+    }
+    await connectMcp(projectDir);
+    console.log(chalk.dim('  /help for commands, !cmd to run shell commands, @path to attach a file'));
     console.log();
 
     const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout,
         prompt: chalk.green('  You > '),
+        completer: createMentionCompleter(projectDir),
     });
     globalRl = rl;
 
-    let currentModel = model;
+    // Plan mode: only safe tools until the user approves the plan the agent proposes
+    let planMode = false;
+    let pendingPlan = null;
+    function setPlanMode(on) {
+        planMode = on;
+        rl.setPrompt(on ? chalk.magenta('  Plan > ') : chalk.green('  You > '));
+    }
+    setPlanMode(Boolean(options.plan));
+
+    const checkpoints = createCheckpointStore();
+    const extraDirs = resolveExtraDirs(options.addDir);
+    const permissions = await loadPermissionRules(projectDir, { confirm: confirmProjectCommands('allow rules', 'approve tool calls without asking') });
+    const hooks = await loadHooks(projectDir, { confirm: confirmProjectCommands('hooks') });
+    // Told to the model with the next message after files are restored behind its back
+    let restoreNote = await startSessionHooks(hooks, session, 'code') || null;
+
+    let ending = null;
+    async function exitSession() {
+        // /quit and the readline close that can follow it must not race each other
+        ending ??= endSessionHooks(hooks, session, { reason: 'exit' });
+        await ending;
+        process.exit(0);
+    }
+
+    // One user turn: the message goes to the agent with its own checkpoint.
+    // @mentions are looked for in mentionText only — what the user typed, not
+    // what a project's command expanded it to.
+    async function runTurn(content, label = content, { model, allowedTools, mentionText = label } = {}) {
+        // Set before anything is awaited, so input typed at our prompts is not taken as a new message
+        isAgentRunning = true;
+        try {
+            const submitted = await submitPrompt(hooks, session, content);
+            if (submitted === null) return;
+            const planning = planMode;
+            let message = restoreNote ? `${restoreNote}\n\n${submitted}` : submitted;
+            if (planning) message += `\n\n${PLAN_MODE_NOTE}`;
+            // Files mentioned as @path go along with the message
+            const files = findMentions(mentionText, projectDir);
+            const attached = await attachFiles(message, { files, mentions: false, baseDir: projectDir, provider, model: model || session.model });
+            if (attached.attachments.length > 0) console.log(chalk.dim(`  ${describeAttachments(attached.attachments)}`));
+            for (const warning of attached.warnings) console.log(chalk.yellow(`  ⚠ ${warning}`));
+            session.messages.push({ role: 'user', content: attached.content });
+            restoreNote = null;
+            beginCheckpoint(checkpoints, label);
+            let run;
+            try {
+                await persist(session);
+                run = await runAgentLoop(provider, session, {
+                    autoApprove: options.auto, checkpoints, extraDirs, permissions, hooks, model,
+                    allowedTools: planning ? PLAN_TOOLS.filter(name => isToolAllowed(allowedTools, name)) : allowedTools,
+                });
+            } finally {
+                endCheckpoint(checkpoints);
+            }
+            if (planning && run.status === 'done' && await offerPlan(run.text)) await executePlan();
+        } finally {
+            isAgentRunning = false;
+        }
+    }
+
+    /**
+     * Ask whether to execute the plan in the agent's reply
+     */
+    async function offerPlan(text) {
+        const plan = extractPlan(text);
+        if (!plan) return false;
+        pendingPlan = plan;
+        const answer = await askPermission(`  ${chalk.magenta('[PLAN]')} Execute this ${plan.steps.length}-step plan? [y/N] `);
+        if (answer === 'y' || answer === 'yes') return true;
+        console.log(chalk.dim('  Still planning: reply to refine the plan, /plan approve to run it, /plan to leave plan mode\n'));
+        return false;
+    }
+
+    // Pin the approved plan into the system prompt and switch to execution
+    async function executePlan() {
+        session.plan = pendingPlan;
+        pendingPlan = null;
+        setPlanMode(false);
+        await refreshSystemPrompt(session);
+        console.log(chalk.green(`  Plan approved and pinned (${session.plan.steps.length} steps). Plan mode: OFF\n`));
+        await runTurn(EXECUTE_PLAN_PROMPT, 'plan');
+    }
 
     rl.prompt();
 
@@ -401,16 +1046,53 @@ export async function startAgentMode(options = {}) {
 
         if (input === '/quit' || input === '/exit' || input === '/q') {
             console.log(chalk.dim('\n  Goodbye!\n'));
-            process.exit(0);
+            await exitSession();
         }
         if (input === '/clear') {
-            messages.length = 1;
-            console.log(chalk.yellow('  Conversation cleared.\n'));
+            // The old conversation stays on disk; carry on in a fresh session (without its plan)
+            session = createSession({
+                model: session.model,
+                preset: session.preset,
+                projectDir,
+                mode: session.mode,
+                messages: [{ role: 'system', content: await buildSystemPrompt(projectDir, { system: sessionPreset(session)?.system }) }],
+            });
+            pendingPlan = null;
+            console.log(chalk.yellow(`  Conversation cleared. New session: ${session.id}\n`));
             rl.prompt(); return;
         }
         if (input.startsWith('/model ')) {
-            currentModel = input.slice(7).trim();
-            console.log(chalk.yellow(`  Switched to model: ${currentModel}\n`));
+            const model = input.slice(7).trim();
+            session.model = model;
+            await persist(session);
+            console.log(chalk.yellow(`  Switched to model: ${model}`));
+            warnAboutModel(await getModelCatalog(provider), model);
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input === '/preset' || input.startsWith('/preset ')) {
+            const name = input.slice(7).trim();
+            if (!name) {
+                printPresets(session.preset);
+                console.log();
+                rl.prompt(); return;
+            }
+            try {
+                if (name === 'off') {
+                    delete session.preset;
+                    console.log(chalk.yellow(`  Preset off — model: ${session.model}\n`));
+                } else {
+                    const preset = getPreset(name);
+                    session.preset = name;
+                    if (preset.model) session.model = preset.model;
+                    console.log(chalk.yellow(`  Preset: ${name}`) + chalk.dim(` — ${describePreset({ ...preset, model: session.model })}`));
+                    warnAboutModel(await getModelCatalog(provider), session.model);
+                    console.log();
+                }
+                await refreshSystemPrompt(session);
+            } catch (err) {
+                console.log(chalk.red(`  ${err.message}\n`));
+            }
             rl.prompt(); return;
         }
         if (input === '/auto') {
@@ -418,14 +1100,232 @@ export async function startAgentMode(options = {}) {
             console.log(chalk.yellow(`  Auto-approve: ${options.auto ? 'ON' : 'OFF'}\n`));
             rl.prompt(); return;
         }
+        if (input === '/plan' || input.startsWith('/plan ')) {
+            const arg = input.slice(5).trim();
+            if (arg === '') {
+                setPlanMode(!planMode);
+                console.log(planMode
+                    ? chalk.magenta('  Plan mode: ON — the agent can only read and search, and will propose a plan for you to approve\n')
+                    : chalk.yellow('  Plan mode: OFF\n'));
+                rl.prompt(); return;
+            }
+            if (arg === 'approve') {
+                if (isAgentRunning) return;
+                if (!pendingPlan) {
+                    console.log(chalk.red('  No plan to approve — turn on plan mode with /plan and ask for one\n'));
+                    rl.prompt(); return;
+                }
+                try {
+                    await executePlan();
+                } finally {
+                    rl.prompt();
+                }
+                return;
+            }
+            if (arg === 'show') {
+                const plan = pendingPlan || session.plan;
+                if (!plan) console.log(chalk.dim('  No plan yet.'));
+                else console.log(chalk.bold(`\n  ${pendingPlan ? 'Proposed' : 'Pinned'} plan:\n`) + plan.text.replace(/^/gm, '    '));
+                console.log();
+                rl.prompt(); return;
+            }
+            console.log(chalk.red('  Usage: /plan | /plan approve | /plan show\n'));
+            rl.prompt(); return;
+        }
+        if (input === '/compact' || input.startsWith('/compact ')) {
+            if (isAgentRunning) return;
+            isAgentRunning = true;
+            try {
+                await compactSession(provider, session, input.slice(8).trim() || undefined);
+            } finally {
+                isAgentRunning = false;
+            }
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input.startsWith('/add-dir ')) {
+            const dir = path.resolve(projectDir, input.slice(9).trim());
+            extraDirs.push(dir);
+            console.log(chalk.yellow(`  Added to workspace: ${dir}\n`));
+            rl.prompt(); return;
+        }
+        if (input === '/jobs') {
+            const jobs = listBackground();
+            if (jobs.length === 0) console.log(chalk.dim('  No background commands.'));
+            for (const job of jobs) {
+                console.log(chalk.cyan(`    #${job.id} `) + chalk.white(job.command) + chalk.dim(` — ${job.status}`));
+            }
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input === '/mcp') {
+            printMcpStatus();
+            rl.prompt(); return;
+        }
+        if (input === '/hooks') {
+            const configured = HOOK_EVENTS.flatMap(event => hooks[event].map(h => ({ event, ...h })));
+            if (configured.length === 0) {
+                console.log(chalk.dim('  No hooks configured. Add them under "hooks" in .puter/settings.json.\n'));
+                rl.prompt(); return;
+            }
+            console.log(chalk.bold('\n  Hooks:'));
+            for (const h of configured) {
+                const matcher = h.event.endsWith('-tool') ? chalk.white(` [${h.matcher}]`) : '';
+                console.log(`    ${chalk.cyan(h.event)}${matcher} ${h.command} ${chalk.dim(`(${h.source})`)}`);
+            }
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input === '/permissions') {
+            if (permissions.length === 0) {
+                console.log(chalk.dim('  No permission rules. Add them to .puter/settings.json or answer "a" at a prompt.\n'));
+                rl.prompt(); return;
+            }
+            console.log(chalk.bold('\n  Permission rules:'));
+            for (const r of permissions) {
+                const color = r.action === 'deny' ? chalk.red : r.action === 'ask' ? chalk.yellow : chalk.green;
+                console.log(`    ${color(r.action.padEnd(5))} ${chalk.white(r.tool)} ${r.pattern} ${chalk.dim(`(${r.source})`)}`);
+            }
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input === '/checkpoints') {
+            if (checkpoints.checkpoints.length === 0) {
+                console.log(chalk.dim('  No checkpoints yet — they are created when the agent edits files.\n'));
+                rl.prompt(); return;
+            }
+            console.log(chalk.bold('\n  Checkpoints (newest last):'));
+            checkpoints.checkpoints.forEach((cp, i) => {
+                const time = cp.createdAt.toLocaleTimeString();
+                console.log(chalk.cyan(`    [${i + 1}]`) + chalk.dim(` ${time} `) + chalk.white(cp.label) +
+                    chalk.dim(` (${cp.files.size} file${cp.files.size === 1 ? '' : 's'})`));
+            });
+            console.log(chalk.dim('\n  /restore <n> returns files to their state before checkpoint n\n'));
+            rl.prompt(); return;
+        }
+        if (input === '/undo' || input.startsWith('/restore')) {
+            if (isAgentRunning) return;
+            try {
+                let restored;
+                if (input === '/undo') {
+                    restored = await undoLast(checkpoints);
+                } else {
+                    const n = parseInt(input.slice(8).trim());
+                    if (!n) throw new Error('Usage: /restore <n> (see /checkpoints)');
+                    restored = await restoreTo(checkpoints, n - 1);
+                }
+                console.log(chalk.yellow(`  Restored ${restored.length} file${restored.length === 1 ? '' : 's'}:`));
+                printRestored(restored, projectDir);
+                console.log(chalk.dim('  (changes made by shell commands are not tracked)\n'));
+                restoreNote = `[Note: the user reverted these files to an earlier state: ${restored.map(r => path.relative(projectDir, r.path)).join(', ')}. Re-read them before editing.]`;
+            } catch (err) {
+                console.log(chalk.red(`  ${err.message}\n`));
+            }
+            rl.prompt(); return;
+        }
+        if (input === '/diff' || input.startsWith('/diff ')) {
+            const diff = await buildSessionDiff(checkpoints, projectDir);
+            if (!diff) {
+                console.log(chalk.dim('  No file changes in this session yet.\n'));
+            } else if (/\s(-p|--pager|pager)$/.test(input)) {
+                if (!openInPager(diff)) console.log(colorizeDiff(diff, { indent: '  ' }) + '\n');
+            } else {
+                const { added, removed } = diffStats(diff);
+                console.log();
+                console.log(colorizeDiff(diff, { indent: '  ' }));
+                console.log(chalk.dim(`\n  ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)} — /diff pager opens this in $PAGER\n`));
+            }
+            rl.prompt(); return;
+        }
+        if (input === '/init') {
+            if (isAgentRunning) return;
+            const file = await projectInstructionsFile(projectDir);
+            const exists = await fs.access(file).then(() => true, () => false);
+            try {
+                await runTurn(initPrompt(file, exists), '/init');
+                await refreshSystemPrompt(session);
+                console.log(chalk.dim(`  ${path.basename(file)} is loaded into the system prompt from now on — /memory to edit it\n`));
+            } finally {
+                rl.prompt();
+            }
+            return;
+        }
+        if (input === '/memory' || input.startsWith('/memory ')) {
+            const arg = input.slice(7).trim();
+            try {
+                if (arg.startsWith('add ')) {
+                    const file = await projectInstructionsFile(projectDir);
+                    await appendInstruction(file, arg.slice(4).trim());
+                    console.log(chalk.green(`  Added to ${path.relative(projectDir, file)}`));
+                } else if (arg === '' || arg === 'user') {
+                    const file = arg === 'user' ? USER_INSTRUCTIONS_FILE : await projectInstructionsFile(projectDir);
+                    rl.pause();
+                    try {
+                        await openInEditor(file);
+                    } finally {
+                        rl.resume();
+                    }
+                    console.log(chalk.green(`  Saved ${file}`));
+                } else if (arg === 'list') {
+                    const files = await loadInstructions(projectDir);
+                    if (files.length === 0) console.log(chalk.dim('  No instruction files loaded. /init creates one for this project.'));
+                    for (const f of files) console.log(chalk.dim(`  ${f.scope.padEnd(8)}`) + chalk.white(f.path) + chalk.dim(` (${f.content.length} chars)`));
+                } else {
+                    throw new Error('Usage: /memory [user] | /memory add <note> | /memory list');
+                }
+                await refreshSystemPrompt(session);
+            } catch (err) {
+                console.log(chalk.red(`  ${err.message}`));
+            }
+            console.log();
+            rl.prompt(); return;
+        }
+        if (input === '/usage') {
+            if (session.usage.requests === 0) {
+                console.log(chalk.dim('  No usage reported in this session yet.'));
+            } else {
+                console.log(chalk.bold('\n  Session usage:'));
+                printUsageTable(session.usage);
+            }
+            console.log(chalk.dim(`\n  Today, all sessions: ${formatUsageLine(await todayUsage())} — puter-ai usage for more\n`));
+            rl.prompt(); return;
+        }
+        if (input === '/session') {
+            console.log(chalk.dim(`  Session: ${session.id} (${session.messages.length - 1} messages)`));
+            console.log(chalk.dim(`  Resume with: puter-ai code --resume ${session.id}\n`));
+            rl.prompt(); return;
+        }
         if (input === '/help') {
             console.log(chalk.bold('\n  Commands:'));
             console.log(chalk.white('    /quit          ') + chalk.dim('Exit'));
             console.log(chalk.white('    /clear         ') + chalk.dim('Clear conversation'));
             console.log(chalk.white('    /model <name>  ') + chalk.dim('Switch AI model'));
             console.log(chalk.white('    /auto          ') + chalk.dim('Toggle auto-approve'));
+            console.log(chalk.white('    /preset [name] ') + chalk.dim('List presets or switch to one ("off" to drop it)'));
+            console.log(chalk.white('    /plan          ') + chalk.dim('Toggle plan mode (read-only; the agent proposes a plan to approve)'));
+            console.log(chalk.white('    /plan approve  ') + chalk.dim('Pin the proposed plan and let the agent carry it out'));
+            console.log(chalk.white('    /plan show     ') + chalk.dim('Show the proposed or pinned plan'));
+            console.log(chalk.white('    /session       ') + chalk.dim('Show the current session ID'));
+            console.log(chalk.white('    /usage         ') + chalk.dim('Show tokens and cost for this session and today'));
+            console.log(chalk.white('    /jobs          ') + chalk.dim('List background commands started by the agent'));
+            console.log(chalk.white('    /mcp           ') + chalk.dim('Show MCP server status and tools'));
+            console.log(chalk.white('    /permissions   ') + chalk.dim('List allow/deny/ask rules'));
+            console.log(chalk.white('    /hooks         ') + chalk.dim('List configured lifecycle hooks'));
+            console.log(chalk.white('    /add-dir <dir> ') + chalk.dim('Allow file tools to access another directory'));
+            console.log(chalk.white('    /undo          ') + chalk.dim('Revert the file changes from the last turn'));
+            console.log(chalk.white('    /diff [pager]  ') + chalk.dim('Show all file changes made this session (optionally in $PAGER)'));
+            console.log(chalk.white('    /checkpoints   ') + chalk.dim('List file checkpoints'));
+            console.log(chalk.white('    /restore <n>   ') + chalk.dim('Revert files to before checkpoint n'));
+            console.log(chalk.white('    /compact [..]  ') + chalk.dim('Summarise old turns to free up context (optional focus)'));
+            console.log(chalk.white('    /init          ') + chalk.dim('Have the agent write a PUTER.md with project instructions'));
+            console.log(chalk.white('    /memory [user] ') + chalk.dim('Edit the project (or your global) instruction file in $EDITOR'));
+            console.log(chalk.white('    /memory add .. ') + chalk.dim('Append a note to the project instruction file'));
+            console.log(chalk.white('    /memory list   ') + chalk.dim('Show which instruction files are loaded'));
             console.log(chalk.white('    /help          ') + chalk.dim('Show this help'));
+            console.log(chalk.white('    @path          ') + chalk.dim('Attach a file or image to the message (Tab completes the path)'));
             console.log(chalk.white('    !<command>     ') + chalk.dim('Run a shell command directly'));
+            console.log(chalk.white('    Ctrl-C         ') + chalk.dim('Cancel the running command (exits when idle)'));
+            printCommandHelp(await loadCommands(projectDir));
             console.log(chalk.dim('\n  Examples:'));
             console.log(chalk.dim('    !dir                   List files (Windows)'));
             console.log(chalk.dim('    !ls -la                List files (Linux/Mac)'));
@@ -438,56 +1338,172 @@ export async function startAgentMode(options = {}) {
         if (input.startsWith('!')) {
             const cmd = input.slice(1).trim();
             if (!cmd) { rl.prompt(); return; }
-            try {
-                const { execSync } = await import('child_process');
-                const output = execSync(cmd, {
-                    cwd: projectDir,
-                    encoding: 'utf-8',
-                    timeout: 30000,
-                    shell: true,
-                    stdio: ['pipe', 'pipe', 'pipe'],
-                });
-                if (output.trim()) console.log(chalk.dim(output.trimEnd()));
-            } catch (err) {
-                const stderr = err.stderr?.trim() || '';
-                const stdout = err.stdout?.trim() || '';
-                if (stdout) console.log(chalk.dim(stdout));
-                if (stderr) console.error(chalk.red(stderr));
-                console.log(chalk.red(`  Exit code: ${err.status || 1}`));
+            const printer = createLinePrinter();
+            const result = await runForeground(cmd, { cwd: projectDir, onOutput: printer.write });
+            printer.flush();
+            if (/^Command (exited|timed out|killed|cancelled)/.test(result)) {
+                console.log(chalk.red(`  ${result.split('\n')[0]}`));
             }
             console.log();
             rl.prompt(); return;
         }
 
+        // Custom commands from .puter/commands and the user commands directory
+        const parsed = parseCommandLine(input);
+        const command = parsed && (await loadCommands(projectDir)).get(parsed.name);
+        if (parsed && !command) {
+            console.log(chalk.red(`  Unknown command: /${parsed.name}`) + chalk.dim(' — /help lists the available commands\n'));
+            rl.prompt(); return;
+        }
+
         if (isAgentRunning) return;
 
-        messages.push({ role: 'user', content: input });
-        isAgentRunning = true;
         try {
-            await runAgentLoop(puter, messages, currentModel, projectDir, options.auto);
+            if (command) {
+                if (command.model) console.log(chalk.dim(`  /${command.name} using model ${command.model}`));
+                const expanded = expandCommand(command, parsed.args);
+                await runTurn(expanded, input, {
+                    model: command.model,
+                    allowedTools: command.allowedTools,
+                    // The user's own commands may mention files; a project's may not
+                    mentionText: command.source === 'user' ? expanded : input,
+                });
+            } else {
+                await runTurn(input);
+            }
         } finally {
-            isAgentRunning = false;
             rl.prompt();
         }
     });
 
-    rl.on('close', () => process.exit(0));
+    // Ctrl-C cancels a running command; with nothing running it exits as before
+    rl.on('SIGINT', () => {
+        if (cancelForeground()) {
+            console.log(chalk.yellow('\n  Cancelling command...'));
+            return;
+        }
+        rl.close();
+    });
+
+    rl.on('close', () => exitSession());
 }
 
 // ─── One-shot agentic command ───
 
+function parseLimit(value, flag) {
+    if (value == null) return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) throw new Error(`${flag} must be a positive number, got "${value}"`);
+    return n;
+}
+
+/**
+ * @returns {Promise<number>} process exit code (see EXIT_CODES)
+ */
 export async function agentCommand(prompt, options = {}) {
-    const puter = await initPuter();
-    const model = options.model || 'claude-sonnet-4.6';
+    const maxSteps = parseLimit(options.maxSteps, '--max-steps');
+    const maxTokens = parseLimit(options.maxTokensBudget, '--max-tokens-budget');
+    const timeout = parseLimit(options.timeout, '--timeout');
+    const startedAt = Date.now();
+    options = applyPreset(options);
+
+    reporter = createReporter(options.outputFormat);
+    const piped = await promptWithStdin(prompt);
+    prompt = piped.prompt;
+    stdinPiped = piped.piped;
+    rawOutput = !reporter && isRawOutput(options);
+    const stdoutLog = console.log;
+    if (rawOutput) console.log = console.error;
+    for (const warning of piped.warnings) console.log(chalk.yellow(`  ⚠ ${warning}`));
+    const provider = await createProvider(options.provider);
     const projectDir = path.resolve(options.project || process.cwd());
+    const session = await openSession(options, projectDir, 'do');
+    session.model ||= await defaultAgentModel(provider);
+    if (!session.model) {
+        throw new Error(`No model configured for the ${provider.name} provider — pass --model <id>, ` +
+            `or set a default with: puter-ai provider ${provider.name} --model <id>`);
+    }
+
+    console.log(chalk.dim(`\n  Model: ${session.model}`));
+    if (session.preset) console.log(chalk.dim(`  Preset: ${session.preset}`));
+    if (provider.name !== 'puter') console.log(chalk.dim(`  Provider: ${provider.name}`));
+    console.log(chalk.dim(`  Project: ${projectDir}`));
+    console.log(chalk.dim(`  Session: ${session.id}`));
+    await connectMcp(projectDir);
+    console.log();
+    reporter?.event('system', { session_id: session.id, model: session.model, provider: provider.name, project_dir: projectDir });
+
+    const hooks = await loadHooks(projectDir, { confirm: confirmProjectCommands('hooks') });
+    const sessionContext = await startSessionHooks(hooks, session, 'do');
+    const submitted = await submitPrompt(hooks, session, prompt);
+
+    const checkpoints = createCheckpointStore();
+    beginCheckpoint(checkpoints, prompt);
+    const usageBefore = structuredClone(session.usage);
+    let run;
+    try {
+        if (submitted === null) {
+            run = { status: 'error', iterations: 0, text: '', toolCalls: [], errors: ['Prompt blocked by a user-prompt-submit hook'] };
+        } else {
+            session.messages.push({ role: 'user', content: sessionContext ? `${sessionContext}\n\n${submitted}` : submitted });
+            await persist(session);
+            run = await runAgentLoop(provider, session, {
+                autoApprove: options.auto,
+                checkpoints,
+                extraDirs: resolveExtraDirs(options.addDir),
+                permissions: await loadPermissionRules(projectDir, { confirm: confirmProjectCommands('allow rules', 'approve tool calls without asking') }),
+                hooks,
+                maxIterations: maxSteps ? Math.floor(maxSteps) : undefined,
+                maxTokens,
+                deadline: timeout ? startedAt + timeout * 1000 : undefined,
+            });
+        }
+    } finally {
+        stopMcpServers();
+        killAllBackground();
+        await endSessionHooks(hooks, session, { reason: 'done', status: run?.status ?? 'error' });
+    }
 
-    console.log(chalk.dim(`\n  Model: ${model}`));
-    console.log(chalk.dim(`  Project: ${projectDir}\n`));
+    let rolledBack = [];
+    if (run.status !== 'done' && options.rollbackOnError) {
+        rolledBack = await rollbackAll(checkpoints);
+        if (rolledBack.length > 0) {
+            console.log(chalk.yellow(`\n  Task did not complete — rolled back ${rolledBack.length} file${rolledBack.length === 1 ? '' : 's'}:`));
+            printRestored(rolledBack, projectDir);
+            console.log();
+        }
+    }
 
-    const messages = [
-        { role: 'system', content: buildSystemPrompt(projectDir) },
-        { role: 'user', content: prompt },
-    ];
+    const usage = usageSince(session.usage, usageBefore);
+    const elapsed = Math.round((Date.now() - startedAt) / 1000);
+    console.log(chalk.dim(`  Usage: ${formatUsageLine(usage)} · ${run.iterations} step${run.iterations === 1 ? '' : 's'} · ${elapsed}s\n`));
+
+    if (rawOutput) {
+        console.log = stdoutLog;
+        rawOutput = false;
+        if (run.text) process.stdout.write(run.text.endsWith('\n') ? run.text : `${run.text}\n`);
+    }
+
+    const status = run.status === 'done' ? 'success' : run.status;
+    reporter?.finish({
+        status,
+        result: run.text,
+        session_id: session.id,
+        model: session.model,
+        iterations: run.iterations,
+        files_changed: (await changedFiles(checkpoints)).map(f => ({ ...f, path: path.relative(projectDir, f.path) })),
+        rolled_back: rolledBack.map(r => path.relative(projectDir, r.path)),
+        tool_calls: run.toolCalls,
+        errors: run.errors,
+        usage: {
+            requests: usage.requests,
+            input_tokens: usage.input,
+            output_tokens: usage.output,
+            cached_tokens: usage.cached,
+            cost_usd: usage.cost,
+        },
+    });
+    reporter = null;
 
-    await runAgentLoop(puter, messages, model, projectDir, options.auto);
+    return EXIT_CODES[status];
 }
@@ -0,0 +1,252 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { supportsVision } from './models.js';
+
+/**
+ * File attachments for chat and agent messages: `chat --file <path>` and
+ * inline `@path/to/file` mentions.
+ *
+ * Text files are inlined into the message as <file path="..."> blocks (cut
+ * at MAX_TEXT_BYTES); images go as OpenAI-style image_url content parts,
+ * which makes the message content an array instead of a string.
+ */
+export const MAX_TEXT_BYTES = 100 * 1024;
+export const MAX_TOTAL_TEXT_BYTES = 400 * 1024;
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+};
+
+// "@path" at the start of the text or after whitespace; trailing punctuation is tried without
+const MENTION_RE = /(^|\s)@(\S+)/g;
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * At most `bytes` bytes from the start of a file, without reading the rest
+ */
+async function readHead(file, bytes) {
+    const handle = await fsp.open(file, 'r');
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+function isFile(file) {
+    try {
+        return fs.statSync(file).isFile();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Files mentioned as @path in the text that exist (relative to baseDir).
+ * Anything else after an @ — emails, handles — is left alone.
+ */
+export function findMentions(text, baseDir) {
+    const found = [];
+    for (const match of String(text).matchAll(MENTION_RE)) {
+        let candidate = match[2];
+        while (candidate && !isFile(path.resolve(baseDir, candidate)) && /[,.;:!?)\]'"]$/.test(candidate)) {
+            candidate = candidate.slice(0, -1);
+        }
+        if (candidate && isFile(path.resolve(baseDir, candidate)) && !found.includes(candidate)) found.push(candidate);
+    }
+    return found;
+}
+
+/**
+ * Read files for attaching. Problems (missing, binary, too big) come back as
+ * warnings instead of failing the whole message. Sizes are checked first, so
+ * no more of a file is read than can be attached.
+ *
+ * @returns {Promise<{attachments: Array<{path: string, kind: 'text'|'image', bytes: number,
+ *          text?: string, truncated?: boolean, mimeType?: string, dataUrl?: string}>, warnings: string[]}>}
+ */
+export async function loadAttachments(files, baseDir) {
+    const attachments = [];
+    const warnings = [];
+    let textBytes = 0;
+
+    for (const file of files) {
+        const absolute = path.resolve(baseDir, file);
+        const display = path.isAbsolute(file) ? file : path.relative(baseDir, absolute);
+        const mimeType = IMAGE_TYPES[path.extname(absolute).toLowerCase()];
+        const room = Math.min(MAX_TEXT_BYTES, MAX_TOTAL_TEXT_BYTES - textBytes);
+        let size;
+        let data;
+        try {
+            const stat = await fsp.stat(absolute);
+            if (!stat.isFile()) throw new Error('not a file');
+            size = stat.size;
+            if (mimeType) {
+                if (size > MAX_IMAGE_BYTES) {
+                    warnings.push(`${display}: image is ${formatSize(size)}, over the ${formatSize(MAX_IMAGE_BYTES)} limit — skipped`);
+                    continue;
+                }
+                data = await fsp.readFile(absolute);
+            } else {
+                // Enough to tell binary files apart even when nothing more fits
+                data = await readHead(absolute, Math.min(size, Math.max(room, 8000)));
+            }
+        } catch (err) {
+            warnings.push(`${display}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+            continue;
+        }
+
+        if (mimeType) {
+            attachments.push({ path: display, kind: 'image', bytes: size, mimeType, dataUrl: `data:${mimeType};base64,${data.toString('base64')}` });
+            continue;
+        }
+
+        if (data.subarray(0, 8000).includes(0)) {
+            warnings.push(`${display}: looks like a binary file — skipped`);
+            continue;
+        }
+        if (room <= 0) {
+            warnings.push(`${display}: over the ${formatSize(MAX_TOTAL_TEXT_BYTES)} limit for all attachments — skipped`);
+            continue;
+        }
+        const truncated = size > room;
+        const text = data.subarray(0, room).toString('utf-8');
+        textBytes += Math.min(size, room);
+        if (truncated) warnings.push(`${display}: ${formatSize(size)} — only the first ${formatSize(room)} is attached`);
+        attachments.push({ path: display, kind: 'text', bytes: size, text, truncated });
+    }
+    return { attachments, warnings };
+}
+
+/**
+ * The message content: a string when only text is attached, content parts when there are images
+ */
+export function buildContent(text, attachments) {
+    const blocks = attachments.filter(a => a.kind === 'text').map(a =>
+        `<file path="${a.path}"${a.truncated ? ` truncated="first ${formatSize(Buffer.byteLength(a.text))} of ${formatSize(a.bytes)}"` : ''}>\n${a.text}\n</file>`);
+    const fullText = blocks.length > 0 ? `${text}\n\n${blocks.join('\n\n')}` : text;
+    const images = attachments.filter(a => a.kind === 'image');
+    if (images.length === 0) return fullText;
+    return [
+        { type: 'text', text: fullText },
+        ...images.map(a => ({ type: 'image_url', image_url: { url: a.dataUrl } })),
+    ];
+}
+
+/**
+ * Attach --file paths and @mentions to a message (`mentions: false` when the
+ * caller found them itself). Images are dropped (with a warning) for models
+ * known not to take them.
+ *
+ * @returns {Promise<{content: string|object[], attachments: object[], warnings: string[]}>}
+ */
+export async function attachFiles(text, { files = [], mentions = true, baseDir = process.cwd(), provider, model } = {}) {
+    const paths = [...new Set([...files, ...(mentions ? findMentions(text, baseDir) : [])])];
+    if (paths.length === 0) return { content: text, attachments: [], warnings: [] };
+
+    let { attachments, warnings } = await loadAttachments(paths, baseDir);
+    if (attachments.some(a => a.kind === 'image') && provider && await supportsVision(provider, model) === false) {
+        warnings.push(`${model} does not accept images — ${attachments.filter(a => a.kind === 'image').map(a => a.path).join(', ')} not sent`);
+        attachments = attachments.filter(a => a.kind !== 'image');
+    }
+    return { content: buildContent(text, attachments), attachments, warnings };
+}
+
+/**
+ * Text piped into the CLI (`git diff | puter-ai chat "review this"`), or null
+ * when stdin is a terminal — or anything but a pipe or file, so a parent
+ * process that leaves stdin open doesn't make us wait forever. Past
+ * MAX_TOTAL_TEXT_BYTES the rest is counted, not kept.
+ *
+ * @returns {Promise<{text: string, bytes: number, truncated: boolean}|null>}
+ */
+export async function readStdin() {
+    let stat;
+    try {
+        stat = fs.fstatSync(0);
+    } catch {
+        return null;
+    }
+    if (process.stdin.isTTY || !(stat.isFIFO() || stat.isFile())) return null;
+
+    const chunks = [];
+    let kept = 0;
+    let bytes = 0;
+    for await (const chunk of process.stdin) {
+        bytes += chunk.length;
+        if (kept >= MAX_TOTAL_TEXT_BYTES) continue;
+        chunks.push(chunk.subarray(0, MAX_TOTAL_TEXT_BYTES - kept));
+        kept += chunks.at(-1).length;
+    }
+    const text = Buffer.concat(chunks).toString('utf-8');
+    if (!text.trim()) return null;
+    return { text, bytes, truncated: bytes > MAX_TOTAL_TEXT_BYTES };
+}
+
+/**
+ * The prompt argument combined with piped input (either may be missing, not both)
+ *
+ * @returns {Promise<{prompt: string, piped: boolean, warnings: string[]}>}
+ */
+export async function promptWithStdin(prompt) {
+    const stdin = await readStdin();
+    if (!stdin) {
+        if (!prompt) throw new Error('No prompt given — pass it as an argument or pipe text in');
+        return { prompt, piped: false, warnings: [] };
+    }
+    const warnings = stdin.truncated
+        ? [`stdin: ${formatSize(stdin.bytes)} — only the first ${formatSize(MAX_TOTAL_TEXT_BYTES)} is used`]
+        : [];
+    const text = stdin.text.replace(/\n$/, '');
+    return { prompt: prompt ? `${prompt}\n\n<stdin>\n${text}\n</stdin>` : text, piped: true, warnings };
+}
+
+/**
+ * "📎 src/app.js (2.1 KB), screenshot.png (image, 340.0 KB)"
+ */
+export function describeAttachments(attachments) {
+    return '📎 ' + attachments.map(a => `${a.path} (${a.kind === 'image' ? 'image, ' : ''}${formatSize(a.bytes)})`).join(', ');
+}
+
+/**
+ * Plain text of a message's content, with images as [image] (transcripts, titles, summaries)
+ */
+export function contentText(content) {
+    if (!Array.isArray(content)) return content == null ? '' : String(content);
+    return content.map(part => (part.type === 'text' ? part.text : `[${part.type === 'image_url' ? 'image' : part.type}]`)).join('\n');
+}
+
+/**
+ * readline completer for @path mentions: completes the last word when it starts with @
+ */
+export function createMentionCompleter(baseDir) {
+    return (line) => {
+        const word = line.match(/(?:^|\s)(@\S*)$/)?.[1];
+        if (!word) return [[], line];
+        const partial = word.slice(1);
+        const dirPart = partial.includes('/') ? partial.slice(0, partial.lastIndexOf('/') + 1) : '';
+        const namePart = partial.slice(dirPart.length);
+        let entries;
+        try {
+            entries = fs.readdirSync(path.resolve(baseDir, dirPart || '.'), { withFileTypes: true });
+        } catch {
+            return [[], word];
+        }
+        const hits = entries
+            .filter(e => e.name.startsWith(namePart) && (namePart.startsWith('.') || !e.name.startsWith('.')))
+            .map(e => `@${dirPart}${e.name}${e.isDirectory() ? '/' : ''}`)
+            .sort();
+        return [hits, word];
+    };
+}
@@ -1,20 +1,186 @@
 import Conf from 'conf';
+import crypto from 'crypto';
+import readline from 'readline';
 
 const config = new Conf({
   projectName: 'puter-cli',
   schema: {
     authToken: { type: 'string', default: '' },
+    profiles: { type: 'object', default: {} },
+    activeProfile: { type: 'string', default: '' },
     defaultModel: { type: 'string', default: 'gpt-5-nano' },
+    permissions: { type: 'object', default: {} },
+    provider: { type: 'string', default: 'puter' },
+    providers: { type: 'object', default: {} },
+    fallbackModels: { type: 'array', items: { type: 'string' }, default: [] },
+    retry: { type: 'object', default: {} },
+    presets: { type: 'object', default: {} },
+    trustedProjects: { type: 'object', default: {} },
   }
 });
 
-export function getToken() {
-  // Priority: env var > saved config
-  return process.env.PUTER_TOKEN || config.get('authToken') || '';
+// ─── Auth profiles ───
+//
+// Tokens live in named profiles, config `profiles.<name>`:
+//   { token, username }                                — plaintext
+//   { encrypted: { salt, iv, tag, data }, username }   — AES-256-GCM, key derived from a passphrase
+// `activeProfile` is used unless --profile or PUTER_PROFILE picks another.
+// A token saved by older versions (`authToken`) becomes the "default" profile.
+
+export const DEFAULT_PROFILE = 'default';
+export const PASSPHRASE_ENV = 'PUTER_AI_PASSPHRASE';
+
+// Set from --profile for this run
+let selectedProfile = null;
+// Decrypted tokens, so the passphrase is asked for once per run
+const unlocked = new Map();
+
+function migrateLegacyToken() {
+  const legacy = config.get('authToken');
+  if (!legacy) return;
+  const profiles = config.get('profiles');
+  profiles[DEFAULT_PROFILE] ??= { token: legacy };
+  config.set('profiles', profiles);
+  if (!config.get('activeProfile')) config.set('activeProfile', DEFAULT_PROFILE);
+  config.set('authToken', '');
+}
+
+export function listProfiles() {
+  migrateLegacyToken();
+  return config.get('profiles');
+}
+
+export function selectProfile(name) {
+  selectedProfile = name || null;
+}
+
+/**
+ * The profile this run uses: --profile > PUTER_PROFILE > the active one
+ */
+export function getProfileName() {
+  migrateLegacyToken();
+  return selectedProfile || process.env.PUTER_PROFILE || config.get('activeProfile') || DEFAULT_PROFILE;
+}
+
+export function getActiveProfile() {
+  migrateLegacyToken();
+  return config.get('activeProfile');
+}
+
+export function setActiveProfile(name) {
+  if (!listProfiles()[name]) throw new Error(unknownProfileMessage(name));
+  config.set('activeProfile', name);
+}
+
+function unknownProfileMessage(name) {
+  const names = Object.keys(listProfiles());
+  return `Unknown auth profile "${name}". ` +
+    (names.length ? `Available: ${names.join(', ')}` : `Add one with: puter-ai auth add --profile ${name}`);
 }
 
-export function saveToken(token) {
-  config.set('authToken', token);
+/**
+ * Save a token under a profile, encrypted when a passphrase is given
+ */
+export function saveProfile(name, token, { passphrase, username } = {}) {
+  if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid profile name "${name}" — use letters, digits, ".", "-" and "_"`);
+  const profile = passphrase ? { encrypted: encryptToken(token, passphrase) } : { token };
+  if (username) profile.username = username;
+  config.set('profiles', { ...listProfiles(), [name]: profile });
+  unlocked.set(name, token);
+  if (!listProfiles()[config.get('activeProfile')]) config.set('activeProfile', name);
+}
+
+/**
+ * Remove a profile; if it was the active one, another (if any) takes over
+ *
+ * @returns {string|null} the profile that is active now
+ */
+export function removeProfile(name) {
+  const profiles = listProfiles();
+  if (!profiles[name]) throw new Error(unknownProfileMessage(name));
+  delete profiles[name];
+  config.set('profiles', profiles);
+  unlocked.delete(name);
+  if (config.get('activeProfile') === name) config.set('activeProfile', Object.keys(profiles)[0] || '');
+  return config.get('activeProfile') || null;
+}
+
+// ─── Token encryption ───
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+export function encryptToken(token, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  return {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+export function decryptToken(encrypted, passphrase) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm',
+      deriveKey(passphrase, Buffer.from(encrypted.salt, 'base64')), Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error('Wrong passphrase — could not decrypt the auth token');
+  }
+}
+
+/**
+ * Read a line without echoing it (passphrases, tokens). The prompt goes to
+ * stderr so it never mixes with JSON output.
+ */
+export function askSecret(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: Boolean(process.stdin.isTTY) });
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer.trim());
+    });
+    muted = true;
+  });
+}
+
+async function unlockProfile(name, profile) {
+  if (!profile.encrypted) return profile.token;
+  if (!unlocked.has(name)) {
+    // Piped stdin is the prompt, not the passphrase
+    if (!process.env[PASSPHRASE_ENV] && !process.stdin.isTTY) {
+      throw new Error(`Auth profile "${name}" is encrypted — set ${PASSPHRASE_ENV} to use it without a terminal`);
+    }
+    const passphrase = process.env[PASSPHRASE_ENV] || await askSecret(`  Passphrase for auth profile "${name}": `);
+    unlocked.set(name, decryptToken(profile.encrypted, passphrase));
+  }
+  return unlocked.get(name);
+}
+
+/**
+ * The token to use. PUTER_TOKEN wins over saved profiles, unless --profile
+ * names one explicitly.
+ */
+export async function getToken() {
+  if (!selectedProfile && process.env.PUTER_TOKEN) return process.env.PUTER_TOKEN;
+  const name = getProfileName();
+  const profile = listProfiles()[name];
+  if (!profile) {
+    if (selectedProfile || process.env.PUTER_PROFILE) throw new Error(unknownProfileMessage(name));
+    return '';
+  }
+  return unlockProfile(name, profile);
 }
 
 export function getDefaultModel() {
@@ -25,12 +191,12 @@ export function setDefaultModel(model) {
   config.set('defaultModel', model);
 }
 
-export async function initPuter() {
-  const token = getToken();
+export async function initPuter(token = null) {
+  token ??= await getToken();
   if (!token) {
     throw new Error(
       'No auth token found.\n' +
-      'Run "puter-ai auth <your-token>" to set your token, or set the PUTER_TOKEN environment variable.\n\n' +
+      'Run "puter-ai auth add" to save your token, or set the PUTER_TOKEN environment variable.\n\n' +
       'To get a token:\n' +
       '  1. Go to https://puter.com and sign in/sign up\n' +
       '  2. Open DevTools Console (F12)\n' +
@@ -44,4 +210,39 @@ export async function initPuter() {
   return puter;
 }
 
+/**
+ * Check a token with Puter: who it belongs to and what is left of the
+ * monthly allowance (in USD; null when Puter doesn't say)
+ *
+ * @returns {Promise<{username: string, email: string|null, remaining: number|null, allowance: number|null}>}
+ */
+export async function fetchAccount(token) {
+  const puter = await initPuter(token);
+  let user;
+  try {
+    user = await puter.auth.whoami();
+  } catch (err) {
+    throw new Error(`Could not reach Puter to check the token: ${err.message}`);
+  }
+  if (!user?.username) {
+    const reason = user?.message || user?.error?.message || (typeof user?.error === 'string' ? user.error : '');
+    throw new Error(`Puter rejected the token${reason ? `: ${reason}` : ''}`);
+  }
+
+  // Allowance figures are in microcents
+  let allowanceInfo = null;
+  try {
+    allowanceInfo = (await puter.auth.getMonthlyUsage())?.allowanceInfo ?? null;
+  } catch {
+    // Usage is a nice-to-have; the token itself is fine
+  }
+  const usd = (microcents) => (Number.isFinite(microcents) ? microcents / 1e8 : null);
+  return {
+    username: user.username,
+    email: user.email || null,
+    remaining: usd(allowanceInfo?.remaining),
+    allowance: usd(allowanceInfo?.monthUsageAllowance),
+  };
+}
+
 export { config };
@@ -3,7 +3,14 @@ import ora from 'ora';
 import { Marked } from 'marked';
 import { markedTerminal } from 'marked-terminal';
 import readline from 'readline';
-import { initPuter, getDefaultModel } from './auth.js';
+import { getDefaultModel } from './auth.js';
+import { createProvider } from './providers.js';
+import { createReporter, isRawOutput, EXIT_CODES } from './output.js';
+import { loadCommands, parseCommandLine, expandCommand, printCommandHelp } from './commands.js';
+import { createUsageTracker, recordUsage, todayUsage, formatUsageLine, printUsageTable } from './usage.js';
+import { chatWithRetry, formatRetry } from './retry.js';
+import { applyPreset, getPreset, chatParams, printPresets } from './presets.js';
+import { attachFiles, findMentions, promptWithStdin, describeAttachments, createMentionCompleter } from './attachments.js';
 
 const marked = new Marked(markedTerminal());
 
@@ -48,37 +55,120 @@ function extractText(response) {
     return JSON.stringify(response, null, 2);
 }
 
+/**
+ * provider.chat with the shared retry policy and fallback chain. Retries show
+ * on the spinner, or as lines on stderr when there is none.
+ */
+function chatWithFeedback(provider, input, chatOptions, spinner = null) {
+    return chatWithRetry(provider, input, chatOptions, {
+        onRetry: (retry) => {
+            if (spinner) spinner.text = chalk.yellow(formatRetry(retry));
+            else console.error(chalk.yellow(`  ${formatRetry(retry)}`));
+        },
+        onFallback: ({ from, to, error }) => {
+            spinner?.stop();
+            console.error(chalk.yellow(`  ${from} failed (${error.message.split('\n')[0]}) — falling back to ${to}`));
+            spinner?.start();
+        },
+    });
+}
+
+/**
+ * Single-shot chat for --output-format json/stream-json
+ */
+async function reportChat(reporter, provider, input, chatOptions) {
+    let text = '';
+    const tracker = createUsageTracker();
+    let model = chatOptions.model;
+    try {
+        const result = await chatWithRetry(provider, input, chatOptions, {
+            onRetry: ({ model: m, attempt, delayMs, error }) => reporter.event('retry', { model: m, attempt, delay_ms: delayMs, error: error.message, error_type: error.type }),
+            onFallback: ({ from, to, error }) => reporter.event('fallback', { from, to, error: error.message, error_type: error.type }),
+        });
+        const response = result.response;
+        model = result.model;
+        if (chatOptions.stream) {
+            for await (const chunk of response) {
+                if (chunk?.usage) await recordUsage(tracker, model, chunk.usage);
+                if (!chunk?.text) continue;
+                text += chunk.text;
+                reporter.event('text_delta', { text: chunk.text });
+            }
+        } else {
+            text = extractText(response);
+            await recordUsage(tracker, model, response?.usage);
+        }
+        reporter.event('assistant', { text });
+        reporter.finish({
+            status: 'success',
+            result: text,
+            model,
+            provider: provider.name,
+            usage: {
+                input_tokens: tracker.input,
+                output_tokens: tracker.output,
+                cached_tokens: tracker.cached,
+                cost_usd: tracker.cost,
+            },
+        });
+        return EXIT_CODES.success;
+    } catch (err) {
+        reporter.event('error', { message: err.message });
+        reporter.finish({ status: 'error', result: text, error: err.message, error_type: err.classification?.type, model, provider: provider.name });
+        return EXIT_CODES.error;
+    }
+}
+
 /**
  * Single-shot chat: send a prompt, get a response
+ *
+ * @returns {Promise<number>} process exit code
  */
 export async function singleChat(prompt, options = {}) {
-    const puter = await initPuter();
-    const model = options.model || getDefaultModel();
+    options = applyPreset(options);
+    const reporter = createReporter(options.outputFormat);
+    const raw = !reporter && isRawOutput(options);
+    const provider = await createProvider(options.provider);
+    const model = options.model || provider.defaultModel || getDefaultModel();
 
-    const chatOptions = { model };
+    const chatOptions = { model, ...chatParams(options) };
     if (options.stream) chatOptions.stream = true;
-    if (options.temperature != null) chatOptions.temperature = parseFloat(options.temperature);
-    if (options.maxTokens != null) chatOptions.max_tokens = parseInt(options.maxTokens);
 
-    // Build messages array if system prompt is provided
+    // Piped stdin joins the prompt; --file paths and @mentions in the prompt argument are attached
+    const piped = await promptWithStdin(prompt);
+    const files = [...(options.file || []), ...findMentions(prompt || '', process.cwd())];
+    const { content, attachments, warnings } = await attachFiles(piped.prompt, { files, mentions: false, provider, model });
+    warnings.unshift(...piped.warnings);
+
+    // Build messages array if there is a system prompt or the content has images
     let input;
-    if (options.system) {
+    if (options.system || typeof content !== 'string') {
         input = [
-            { role: 'system', content: options.system },
-            { role: 'user', content: prompt },
+            ...(options.system ? [{ role: 'system', content: options.system }] : []),
+            { role: 'user', content },
         ];
     } else {
-        input = prompt;
+        input = content;
+    }
+
+    if (reporter) {
+        for (const warning of warnings) reporter.event('warning', { message: warning });
+        return reportChat(reporter, provider, input, chatOptions);
     }
+    if (raw) return rawChat(provider, input, chatOptions, warnings);
 
-    console.log(chalk.dim(`\n  Model: ${model}\n`));
+    console.log(chalk.dim(`\n  Model: ${model}`));
+    if (attachments.length > 0) console.log(chalk.dim(`  ${describeAttachments(attachments)}`));
+    for (const warning of warnings) console.log(chalk.yellow(`  ⚠ ${warning}`));
+    console.log();
 
     if (options.stream) {
         // Streaming mode
-        const response = await puter.ai.chat(input, chatOptions);
+        const { response, model: usedModel } = await chatWithFeedback(provider, input, chatOptions);
         let fullText = '';
         process.stdout.write(chalk.cyan('  '));
         for await (const chunk of response) {
+            if (chunk?.usage) await recordUsage(createUsageTracker(), usedModel, chunk.usage);
             const text = chunk?.text || '';
             process.stdout.write(text);
             fullText += text;
@@ -93,8 +183,9 @@ export async function singleChat(prompt, options = {}) {
         }).start();
 
         try {
-            const response = await puter.ai.chat(input, chatOptions);
+            const { response, model: usedModel } = await chatWithFeedback(provider, input, chatOptions, spinner);
             spinner.stop();
+            await recordUsage(createUsageTracker(), usedModel, response?.usage);
 
             const text = extractText(response);
 
@@ -105,39 +196,75 @@ export async function singleChat(prompt, options = {}) {
             throw err;
         }
     }
+    return EXIT_CODES.success;
+}
+
+/**
+ * Single-shot chat for pipelines (--raw, or stdout not a terminal): just the
+ * response text on stdout, notices on stderr
+ */
+async function rawChat(provider, input, chatOptions, warnings) {
+    for (const warning of warnings) console.error(`Warning: ${warning}`);
+    const { response, model } = await chatWithFeedback(provider, input, chatOptions);
+    let text = '';
+    if (chatOptions.stream) {
+        for await (const chunk of response) {
+            if (chunk?.usage) await recordUsage(createUsageTracker(), model, chunk.usage);
+            if (!chunk?.text) continue;
+            process.stdout.write(chunk.text);
+            text += chunk.text;
+        }
+    } else {
+        await recordUsage(createUsageTracker(), model, response?.usage);
+        text = extractText(response);
+        process.stdout.write(text);
+    }
+    if (!text.endsWith('\n')) process.stdout.write('\n');
+    return EXIT_CODES.success;
 }
 
 /**
  * Interactive chat mode: multi-turn REPL with conversation history
  */
 export async function interactiveChat(options = {}) {
-    const puter = await initPuter();
-    const model = options.model || getDefaultModel();
+    const baseOptions = options;
+    options = applyPreset(options);
+    const provider = await createProvider(options.provider);
+    const model = options.model || provider.defaultModel || getDefaultModel();
     const messages = [];
 
-    if (options.system) {
-        messages.push({ role: 'system', content: options.system });
+    // The active preset's system prompt and parameters, switchable with /preset
+    let currentPreset = options.preset || null;
+    let systemPrompt = options.system || null;
+    let params = chatParams(options);
+
+    if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
     }
 
     console.log(chalk.bold.cyan('\n  ╔══════════════════════════════════════╗'));
     console.log(chalk.bold.cyan('  ║') + chalk.bold.white('   Puter AI — Interactive Chat Mode   ') + chalk.bold.cyan('║'));
     console.log(chalk.bold.cyan('  ╚══════════════════════════════════════╝'));
-    console.log(chalk.dim(`  Model: ${model}`));
+    console.log(chalk.dim(`  Model: ${model}${currentPreset ? ` (preset: ${currentPreset})` : ''}`));
     console.log(chalk.dim('  Type your message and press Enter. Commands:'));
     console.log(chalk.dim('    /quit     — exit'));
     console.log(chalk.dim('    /clear    — clear conversation history'));
     console.log(chalk.dim('    /model <m> — switch model'));
     console.log(chalk.dim('    /stream   — toggle streaming mode'));
+    console.log(chalk.dim('    @path     — attach a file or image (Tab completes)'));
+    console.log(chalk.dim('    /help     — list all commands, including custom ones'));
     console.log();
 
     const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout,
         prompt: chalk.green('  You › '),
+        completer: createMentionCompleter(process.cwd()),
     });
 
     let currentModel = model;
     let streamMode = options.stream || false;
+    const usage = createUsageTracker();
 
     rl.prompt();
 
@@ -157,8 +284,8 @@ export async function interactiveChat(options = {}) {
 
         if (input === '/clear') {
             messages.length = 0;
-            if (options.system) {
-                messages.push({ role: 'system', content: options.system });
+            if (systemPrompt) {
+                messages.push({ role: 'system', content: systemPrompt });
             }
             console.log(chalk.yellow('  ↻ Conversation cleared.\n'));
             rl.prompt();
@@ -172,6 +299,33 @@ export async function interactiveChat(options = {}) {
             return;
         }
 
+        if (input === '/preset' || input.startsWith('/preset ')) {
+            const name = input.slice(7).trim();
+            if (!name) {
+                printPresets(currentPreset);
+                console.log();
+                rl.prompt();
+                return;
+            }
+            try {
+                // "off" goes back to the options the chat was started with, model included
+                const preset = name === 'off'
+                    ? { ...baseOptions, preset: null, model: baseOptions.model || provider.defaultModel || getDefaultModel() }
+                    : getPreset(name);
+                currentPreset = name === 'off' ? null : name;
+                if (preset.model) currentModel = preset.model;
+                params = chatParams(preset);
+                systemPrompt = preset.system || null;
+                if (messages[0]?.role === 'system') messages.shift();
+                if (systemPrompt) messages.unshift({ role: 'system', content: systemPrompt });
+                console.log(chalk.yellow(`  ↻ ${currentPreset ? `Preset: ${currentPreset}` : 'Preset off'} — model: ${currentModel}\n`));
+            } catch (err) {
+                console.log(chalk.red(`  ${err.message}\n`));
+            }
+            rl.prompt();
+            return;
+        }
+
         if (input === '/stream') {
             streamMode = !streamMode;
             console.log(chalk.yellow(`  ↻ Streaming: ${streamMode ? 'ON' : 'OFF'}\n`));
@@ -179,18 +333,71 @@ export async function interactiveChat(options = {}) {
             return;
         }
 
+        if (input === '/usage') {
+            if (usage.requests === 0) {
+                console.log(chalk.dim('  No usage reported in this chat yet.'));
+            } else {
+                console.log(chalk.bold('\n  Chat usage:'));
+                printUsageTable(usage);
+            }
+            console.log(chalk.dim(`\n  Today: ${formatUsageLine(await todayUsage())}\n`));
+            rl.prompt();
+            return;
+        }
+
+        if (input === '/help') {
+            console.log(chalk.bold('\n  Commands:'));
+            console.log(chalk.white('    /quit          ') + chalk.dim('Exit'));
+            console.log(chalk.white('    /clear         ') + chalk.dim('Clear conversation history'));
+            console.log(chalk.white('    /model <name>  ') + chalk.dim('Switch model'));
+            console.log(chalk.white('    /stream        ') + chalk.dim('Toggle streaming mode'));
+            console.log(chalk.white('    /preset [name] ') + chalk.dim('List presets or switch to one ("off" to drop it)'));
+            console.log(chalk.white('    /usage         ') + chalk.dim('Show tokens and cost for this chat and today'));
+            console.log(chalk.white('    /help          ') + chalk.dim('Show this help'));
+            console.log(chalk.white('    @path          ') + chalk.dim('Attach a file or image to the message (Tab completes the path)'));
+            printCommandHelp(await loadCommands(process.cwd()));
+            console.log();
+            rl.prompt();
+            return;
+        }
+
+        // Custom commands expand to a prompt (optionally for another model)
+        let content = input;
+        let messageModel = currentModel;
+        // @mentions count in what the user typed and in their own commands, not in a project's
+        let mentionText = input;
+        const parsed = parseCommandLine(input);
+        if (parsed) {
+            const command = (await loadCommands(process.cwd())).get(parsed.name);
+            if (!command) {
+                console.log(chalk.red(`  Unknown command: /${parsed.name}`) + chalk.dim(' — /help lists the available commands\n'));
+                rl.prompt();
+                return;
+            }
+            content = expandCommand(command, parsed.args);
+            messageModel = command.model || currentModel;
+            if (command.source === 'user') mentionText = content;
+        }
+
+        // Files mentioned as @path go along with the message
+        const files = findMentions(mentionText, process.cwd());
+        const attached = await attachFiles(content, { files, mentions: false, provider, model: messageModel });
+        if (attached.attachments.length > 0) console.log(chalk.dim(`  ${describeAttachments(attached.attachments)}`));
+        for (const warning of attached.warnings) console.log(chalk.yellow(`  ⚠ ${warning}`));
+
         // Add user message to history
-        messages.push({ role: 'user', content: input });
+        messages.push({ role: 'user', content: attached.content });
 
-        const chatOptions = { model: currentModel };
+        const chatOptions = { model: messageModel, ...params };
         if (streamMode) chatOptions.stream = true;
 
         try {
             if (streamMode) {
-                const response = await puter.ai.chat(messages, chatOptions);
+                const { response, model: usedModel } = await chatWithFeedback(provider, messages, chatOptions);
                 let fullText = '';
                 process.stdout.write(chalk.cyan('\n  AI › '));
                 for await (const chunk of response) {
+                    if (chunk?.usage) await recordUsage(usage, usedModel, chunk.usage);
                     const text = chunk?.text || '';
                     process.stdout.write(text);
                     fullText += text;
@@ -204,8 +411,14 @@ export async function interactiveChat(options = {}) {
                     indent: 2,
                 }).start();
 
-                const response = await puter.ai.chat(messages, chatOptions);
-                spinner.stop();
+                let result;
+                try {
+                    result = await chatWithFeedback(provider, messages, chatOptions, spinner);
+                } finally {
+                    spinner.stop();
+                }
+                await recordUsage(usage, result.model, result.response?.usage);
+                const response = result.response;
 
                 const text = extractText(response);
 
@@ -0,0 +1,137 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * File checkpoints for agent edits.
+ *
+ * Before the agent writes a file, its previous content is snapshotted into the
+ * checkpoint for the current user turn (null if the file did not exist yet).
+ * Restoring a checkpoint writes those contents back and deletes files the
+ * agent created. Only the first snapshot of a file per turn is kept, so a
+ * checkpoint always holds the state from before that turn started.
+ */
+export function createCheckpointStore() {
+    return { checkpoints: [], current: null };
+}
+
+/**
+ * Start a new checkpoint for a user turn
+ */
+export function beginCheckpoint(store, label) {
+    store.current = {
+        label: label.replace(/\s+/g, ' ').slice(0, 60),
+        createdAt: new Date(),
+        files: new Map(), // absolute path -> previous content (null = did not exist)
+    };
+}
+
+/**
+ * Close the current checkpoint. Turns that touched no files are dropped.
+ */
+export function endCheckpoint(store) {
+    if (store.current && store.current.files.size > 0) {
+        store.checkpoints.push(store.current);
+    }
+    store.current = null;
+}
+
+/**
+ * Snapshot a file before it is modified
+ */
+export async function snapshotFile(store, filePath) {
+    if (!store.current) beginCheckpoint(store, '(untitled)');
+    if (store.current.files.has(filePath)) return;
+
+    try {
+        store.current.files.set(filePath, await fs.readFile(filePath));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        store.current.files.set(filePath, null);
+    }
+}
+
+/**
+ * The content every touched file had before the session first changed it
+ *
+ * @returns {Map<string, Buffer|null>} absolute path -> content (null = did not exist)
+ */
+export function originalContents(store) {
+    const original = new Map();
+    for (const checkpoint of [...store.checkpoints, store.current].filter(Boolean)) {
+        for (const [filePath, content] of checkpoint.files) {
+            if (!original.has(filePath)) original.set(filePath, content);
+        }
+    }
+    return original;
+}
+
+/**
+ * Files whose content differs from their snapshot, across every checkpoint
+ *
+ * @returns {Promise<Array<{path: string, change: 'created'|'modified'|'deleted'}>>}
+ */
+export async function changedFiles(store) {
+    const original = originalContents(store);
+    const changes = [];
+    for (const [filePath, before] of original) {
+        let after = null;
+        try { after = await fs.readFile(filePath); } catch { /* deleted or never written */ }
+        if (before === null && after !== null) changes.push({ path: filePath, change: 'created' });
+        else if (before !== null && after === null) changes.push({ path: filePath, change: 'deleted' });
+        else if (before !== null && !before.equals(after)) changes.push({ path: filePath, change: 'modified' });
+    }
+    return changes;
+}
+
+async function restoreCheckpoint(checkpoint) {
+    const restored = [];
+    for (const [filePath, content] of checkpoint.files) {
+        if (content === null) {
+            await fs.rm(filePath, { force: true });
+            restored.push({ path: filePath, action: 'deleted' });
+        } else {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, content);
+            restored.push({ path: filePath, action: 'restored' });
+        }
+    }
+    return restored;
+}
+
+/**
+ * Restore the files to their state before checkpoint `index` (0-based),
+ * undoing it and every later checkpoint, newest first.
+ *
+ * @returns {Array<{path: string, action: 'restored'|'deleted'}>}
+ */
+export async function restoreTo(store, index) {
+    endCheckpoint(store);
+    if (index < 0 || index >= store.checkpoints.length) {
+        throw new Error(`No checkpoint #${index + 1} (have ${store.checkpoints.length})`);
+    }
+
+    const undone = store.checkpoints.splice(index).reverse();
+    const results = new Map();
+    for (const checkpoint of undone) {
+        for (const r of await restoreCheckpoint(checkpoint)) results.set(r.path, r);
+    }
+    return [...results.values()];
+}
+
+/**
+ * Undo the most recent checkpoint
+ */
+export async function undoLast(store) {
+    endCheckpoint(store);
+    if (store.checkpoints.length === 0) throw new Error('Nothing to undo.');
+    return restoreTo(store, store.checkpoints.length - 1);
+}
+
+/**
+ * Undo everything recorded in the store (used by --rollback-on-error)
+ */
+export async function rollbackAll(store) {
+    endCheckpoint(store);
+    if (store.checkpoints.length === 0) return [];
+    return restoreTo(store, 0);
+}
@@ -0,0 +1,150 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './auth.js';
+import { matchGlob } from './glob.js';
+
+/**
+ * User-defined slash commands: markdown files whose body is a prompt.
+ *
+ *   .puter/commands/review.md      -> /review   (project, wins on name clashes)
+ *   <config dir>/commands/*.md     -> available in every project
+ *
+ * Optional frontmatter:
+ *   ---
+ *   description: Review a file for bugs
+ *   argument-hint: <file>
+ *   model: gpt-4o
+ *   allowed-tools: read_file, search_files
+ *   ---
+ *
+ * In the body, $ARGUMENTS is replaced by everything typed after the command
+ * and $1..$9 by the individual (shell-style quoted) arguments.
+ */
+export const USER_COMMANDS_DIR = path.join(path.dirname(config.path), 'commands');
+
+export function projectCommandsDir(projectDir) {
+    return path.join(projectDir, '.puter', 'commands');
+}
+
+/**
+ * Minimal frontmatter: `key: value` lines, lists as "a, b" or "[a, b]"
+ */
+function parseFrontmatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: text };
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const kv = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (!kv) continue;
+        meta[kv[1].toLowerCase()] = kv[2].replace(/^(["'])(.*)\1$/, '$2');
+    }
+    return { meta, body: text.slice(match[0].length) };
+}
+
+function parseList(value) {
+    if (!value) return null;
+    return value.replace(/^\[|\]$/g, '').split(',').map(s => s.trim().replace(/^(["'])(.*)\1$/, '$2')).filter(Boolean);
+}
+
+async function readCommandsDir(dir, source) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const commands = [];
+    for (const entry of entries) {
+        if (!entry.isFile() || !entry.name.endsWith('.md')) continue;
+        const file = path.join(dir, entry.name);
+        try {
+            const { meta, body } = parseFrontmatter(await fs.readFile(file, 'utf-8'));
+            commands.push({
+                name: entry.name.slice(0, -3).toLowerCase(),
+                description: meta.description || body.trim().split('\n')[0].slice(0, 60),
+                argumentHint: meta['argument-hint'] || '',
+                model: meta.model || null,
+                allowedTools: parseList(meta['allowed-tools']),
+                body: body.trim(),
+                source,
+                path: file,
+            });
+        } catch { /* unreadable file */ }
+    }
+    return commands;
+}
+
+/**
+ * Every custom command for a project, keyed by name (project commands override user ones)
+ *
+ * @returns {Promise<Map<string, object>>}
+ */
+export async function loadCommands(projectDir) {
+    const commands = new Map();
+    for (const command of await readCommandsDir(USER_COMMANDS_DIR, 'user')) commands.set(command.name, command);
+    if (projectDir) {
+        for (const command of await readCommandsDir(projectCommandsDir(projectDir), 'project')) commands.set(command.name, command);
+    }
+    return commands;
+}
+
+/**
+ * Split "/name rest of line" into the command and its argument string
+ */
+export function parseCommandLine(input) {
+    const match = input.match(/^\/([\w:-]+)(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * Shell-like argument splitting: whitespace separated, "double" or 'single' quotes group
+ */
+function splitArgs(text) {
+    const args = [];
+    const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = re.exec(text))) args.push(match[1] ?? match[2] ?? match[3]);
+    return args;
+}
+
+/**
+ * The prompt a command expands to for the given arguments
+ */
+export function expandCommand(command, args = '') {
+    const positional = splitArgs(args);
+    const usesPlaceholders = /\$(ARGUMENTS|[1-9])/.test(command.body);
+    // One pass, so text inside the arguments is never expanded again
+    const prompt = command.body.replace(/\$(ARGUMENTS|[1-9])/g, (_, key) => (
+        key === 'ARGUMENTS' ? args : positional[key - 1] ?? ''
+    ));
+    // Arguments for a command without placeholders are not silently dropped
+    if (!usesPlaceholders && args) return `${prompt}\n\n${args}`;
+    return prompt;
+}
+
+/**
+ * True if a command's allowed-tools list (names or globs) permits a tool
+ */
+export function isToolAllowed(allowedTools, name) {
+    if (!allowedTools) return true;
+    return allowedTools.some(pattern => matchGlob(pattern, name, { pathMode: false }));
+}
+
+/**
+ * /help lines for the custom commands
+ */
+export function printCommandHelp(commands) {
+    if (commands.size === 0) {
+        console.log(chalk.dim(`\n  Add your own commands as .puter/commands/<name>.md or ${path.join(USER_COMMANDS_DIR, '<name>.md')}`));
+        return;
+    }
+    console.log(chalk.bold('\n  Custom commands:'));
+    for (const c of [...commands.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+        const usage = `/${c.name}${c.argumentHint ? ` ${c.argumentHint}` : ''}`;
+        console.log(chalk.white(`    ${usage.padEnd(14)} `) + chalk.dim(`${c.description} (${c.source})`));
+    }
+}
@@ -0,0 +1,179 @@
+import { getContextLimit } from './models.js';
+import { contentText } from './attachments.js';
+
+// Compact once the conversation reaches this share of the model's context window
+export const COMPACT_THRESHOLD = 0.8;
+
+// Share of the context window kept verbatim (most recent turns) when summarising
+const KEEP_RECENT_SHARE = 0.25;
+
+// Always keep at least this many trailing messages out of the summary
+const MIN_RECENT_MESSAGES = 4;
+
+// Tool results older than the newest N are trimmed when pruning
+const KEEP_TOOL_RESULTS = 8;
+const STALE_TOOL_OUTPUT_CHARS = 1500;
+
+// An attached image counts as this many characters (~1k tokens), whatever its base64 size
+const IMAGE_CHARS = 4000;
+
+export const SUMMARY_PREFIX = '[Summary of earlier conversation]';
+
+/**
+ * Rough token estimate (~4 chars per token). Good enough to decide when
+ * to compact — it never has to be exact, only conservative.
+ */
+export function estimateTokens(message) {
+    let chars = 0;
+    const content = message?.content;
+    if (typeof content === 'string') {
+        chars += content.length;
+    } else if (Array.isArray(content)) {
+        for (const part of content) chars += part.type === 'image_url' ? IMAGE_CHARS : (part.text || JSON.stringify(part)).length;
+    }
+    for (const tc of message?.tool_calls || []) {
+        chars += (tc.function?.name || '').length + (tc.function?.arguments || '').length;
+    }
+    // Per-message overhead for role/formatting tokens
+    return Math.ceil(chars / 4) + 4;
+}
+
+export function estimateConversationTokens(messages) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m), 0);
+}
+
+export function needsCompaction(messages, model) {
+    return estimateConversationTokens(messages) > getContextLimit(model) * COMPACT_THRESHOLD;
+}
+
+/**
+ * Trim bulky tool output that is no longer current: every result except the
+ * newest KEEP_TOOL_RESULTS, plus any read_file result for a path that was read
+ * again later. Mutates messages in place and returns the number trimmed.
+ */
+export function pruneStaleToolOutput(messages) {
+    const toolIndexes = [];
+    const readPaths = new Map(); // tool_call_id -> path
+    for (const msg of messages) {
+        for (const tc of msg.tool_calls || []) {
+            if (tc.function?.name !== 'read_file') continue;
+            try {
+                const { path, offset } = JSON.parse(tc.function.arguments);
+                // Different ranges of the same file don't supersede each other
+                readPaths.set(tc.id, offset > 1 ? `${path} from line ${offset}` : path);
+            } catch { /* malformed arguments */ }
+        }
+    }
+    messages.forEach((m, i) => { if (m.role === 'tool') toolIndexes.push(i); });
+
+    const seenPaths = new Set();
+    let pruned = 0;
+    for (let n = toolIndexes.length - 1; n >= 0; n--) {
+        const msg = messages[toolIndexes[n]];
+        const readPath = readPaths.get(msg.tool_call_id);
+        const superseded = readPath && seenPaths.has(readPath);
+        if (readPath) seenPaths.add(readPath);
+
+        const isOld = n < toolIndexes.length - KEEP_TOOL_RESULTS;
+        if (typeof msg.content !== 'string' || msg.content.length <= STALE_TOOL_OUTPUT_CHARS) continue;
+        if (!superseded && !isOld) continue;
+
+        const lineCount = msg.content.split('\n').length;
+        msg.content = superseded
+            ? `[Stale output elided: ${readPath} was read again later]`
+            : `${msg.content.slice(0, 500)}\n... [older tool output elided, ${lineCount} lines total]`;
+        pruned++;
+    }
+    return pruned;
+}
+
+/**
+ * Find where the verbatim tail starts. Walks back from the end until the tail
+ * would exceed keepTokens, then moves forward to a user/assistant message so
+ * tool results are never separated from the call that produced them.
+ */
+function findCut(messages, keepTokens) {
+    let tokens = 0;
+    let cut = messages.length;
+    while (cut > 1) {
+        const next = estimateTokens(messages[cut - 1]);
+        if (messages.length - cut >= MIN_RECENT_MESSAGES && tokens + next > keepTokens) break;
+        tokens += next;
+        cut--;
+    }
+    while (cut < messages.length && messages[cut].role === 'tool') cut++;
+    return cut;
+}
+
+function renderForSummary(messages) {
+    return messages.map((m) => {
+        if (m.role === 'tool') {
+            const out = String(m.content || '');
+            return `TOOL RESULT:\n${out.length > 2000 ? out.slice(0, 2000) + '\n...' : out}`;
+        }
+        const calls = (m.tool_calls || [])
+            .map(tc => `\n[called ${tc.function?.name} ${tc.function?.arguments || ''}]`)
+            .join('');
+        return `${m.role.toUpperCase()}: ${contentText(m.content)}${calls}`;
+    }).join('\n\n');
+}
+
+const SUMMARY_INSTRUCTIONS = `You are compacting the history of an agentic coding session so it fits in the context window.
+Write a concise but complete summary of the conversation below. Include:
+- The user's requests and goals, quoting the current request verbatim
+- Key decisions made and why
+- Files read, created or modified, with the important details of each change
+- Commands run and their relevant results (test failures, errors)
+- Open problems and the next steps that were planned
+Do not invent anything. Output only the summary.`;
+
+/**
+ * Replace everything between the system prompt and the recent turns with a
+ * model-generated summary. Mutates messages in place.
+ *
+ * @returns {{ before: number, after: number, summarized: number, usage: object } | null}
+ *          null when there is nothing old enough to summarise; usage is the
+ *          summary request's usage as the provider reported it
+ */
+export async function compactMessages(provider, messages, model, { focus } = {}) {
+    const before = estimateConversationTokens(messages);
+    pruneStaleToolOutput(messages);
+
+    const keepTokens = Math.floor(getContextLimit(model) * KEEP_RECENT_SHARE);
+    const cut = findCut(messages, keepTokens);
+    if (cut <= 1) return null;
+
+    const old = messages.slice(1, cut);
+    const instructions = focus
+        ? `${SUMMARY_INSTRUCTIONS}\nPay particular attention to: ${focus}`
+        : SUMMARY_INSTRUCTIONS;
+
+    const response = await provider.chat([
+        { role: 'system', content: instructions },
+        { role: 'user', content: renderForSummary(old) },
+    ], { model });
+
+    const summary = typeof response === 'string'
+        ? response
+        : typeof response?.message?.content === 'string'
+            ? response.message.content
+            : (response?.message?.content || []).filter(c => c.type === 'text').map(c => c.text).join('');
+    if (!summary.trim()) throw new Error('Model returned an empty summary');
+
+    // Keep user/assistant alternation valid for whatever follows the summary
+    const replacement = [{ role: 'user', content: `${SUMMARY_PREFIX}\n${summary.trim()}` }];
+    if (messages[cut]?.role === 'user' || cut === messages.length) {
+        replacement.push({ role: 'assistant', content: 'Understood. Continuing from the summary.' });
+    }
+    messages.splice(1, cut - 1, ...replacement);
+
+    // A single huge tool result in the tail can still overflow on its own
+    const maxChars = keepTokens * 2;
+    for (const msg of messages) {
+        if (msg.role === 'tool' && typeof msg.content === 'string' && msg.content.length > maxChars) {
+            msg.content = `${msg.content.slice(0, maxChars)}\n... [output truncated to fit the context window]`;
+        }
+    }
+
+    return { before, after: estimateConversationTokens(messages), summarized: old.length, usage: response?.usage };
+}
@@ -0,0 +1,199 @@
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+
+/**
+ * Line diffs for approval previews and /diff.
+ *
+ * Myers' O(ND) algorithm on lines, after stripping the common prefix and
+ * suffix, rendered as standard unified diff text (so it can also be piped
+ * to a pager or saved as a patch). Very different inputs fall back to a
+ * plain "replace everything in between" once the edit distance gets large.
+ */
+
+const DEFAULT_CONTEXT = 3;
+const MAX_EDIT_DISTANCE = 4000;
+
+function splitLines(text) {
+    if (text === '') return { lines: [], noEol: false };
+    const lines = text.split('\n');
+    const noEol = lines.at(-1) !== '';
+    if (!noEol) lines.pop();
+    return { lines, noEol };
+}
+
+/**
+ * Shortest edit script between two arrays of lines
+ *
+ * @returns {Array<{type: 'equal'|'delete'|'insert', oldIndex: number, newIndex: number}>}
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > MAX_EDIT_DISTANCE) return null;
+        // Only diagonals -d-1..d+1 are read while backtracking step d
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) { found = true; break; }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--; y--;
+            ops.push({ type: 'equal', oldIndex: x, newIndex: y });
+        }
+        if (d > 0) {
+            if (x === prevX) ops.push({ type: 'insert', oldIndex: x, newIndex: prevY });
+            else ops.push({ type: 'delete', oldIndex: prevX, newIndex: y });
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Edit script for two line arrays, with the common prefix/suffix trimmed first
+ */
+export function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    let middle = myers(midA, midB);
+    if (!middle) {
+        middle = [
+            ...midA.map((_, i) => ({ type: 'delete', oldIndex: i, newIndex: 0 })),
+            ...midB.map((_, i) => ({ type: 'insert', oldIndex: midA.length, newIndex: i })),
+        ];
+    }
+
+    const ops = [];
+    for (let i = 0; i < start; i++) ops.push({ type: 'equal', oldIndex: i, newIndex: i });
+    for (const op of middle) ops.push({ type: op.type, oldIndex: op.oldIndex + start, newIndex: op.newIndex + start });
+    for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'equal', oldIndex: endA + i, newIndex: endB + i });
+    return ops;
+}
+
+function hunkRange(start, count) {
+    // An empty range is written as the line before it
+    if (count === 0) return `${start},0`;
+    return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Unified diff between two texts, or '' if they are identical
+ *
+ * @param {object} options
+ * @param {string} options.oldLabel label for the --- line (e.g. a/src/x.js or /dev/null)
+ * @param {string} options.newLabel label for the +++ line
+ * @param {number} options.context  lines of context around each change
+ */
+export function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = DEFAULT_CONTEXT } = {}) {
+    if (oldText === newText) return '';
+    const before = splitLines(oldText);
+    const after = splitLines(newText);
+
+    // A last line without newline differs from the same line with one
+    const key = ({ lines, noEol }) => lines.map((l, i) => (noEol && i === lines.length - 1 ? `${l}\0` : l));
+    const ops = diffLines(key(before), key(after));
+
+    const out = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    const changed = ops.map((op, i) => (op.type !== 'equal' ? i : -1)).filter(i => i !== -1);
+
+    let i = 0;
+    while (i < changed.length) {
+        // Grow the hunk while the next change is close enough to share context
+        let last = i;
+        while (last + 1 < changed.length && changed[last + 1] - changed[last] <= context * 2 + 1) last++;
+        const from = Math.max(0, changed[i] - context);
+        const to = Math.min(ops.length - 1, changed[last] + context);
+        const hunk = ops.slice(from, to + 1);
+
+        const first = hunk[0];
+        const oldCount = hunk.filter(op => op.type !== 'insert').length;
+        const newCount = hunk.filter(op => op.type !== 'delete').length;
+        out.push(`@@ -${hunkRange(first.oldIndex, oldCount)} +${hunkRange(first.newIndex, newCount)} @@`);
+
+        for (const op of hunk) {
+            const [prefix, side, index] = op.type === 'insert' ? ['+', after, op.newIndex]
+                : op.type === 'delete' ? ['-', before, op.oldIndex]
+                    : [' ', before, op.oldIndex];
+            out.push(`${prefix}${side.lines[index]}`);
+            if (side.noEol && index === side.lines.length - 1) out.push('\\ No newline at end of file');
+        }
+        i = last + 1;
+    }
+    return out.join('\n');
+}
+
+/**
+ * Lines added and removed in a unified diff
+ */
+export function diffStats(diff) {
+    let added = 0;
+    let removed = 0;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+') && !line.startsWith('+++')) added++;
+        else if (line.startsWith('-') && !line.startsWith('---')) removed++;
+    }
+    return { added, removed };
+}
+
+/**
+ * Colour a unified diff for the terminal, optionally cut to maxLines
+ */
+export function colorizeDiff(diff, { maxLines = Infinity, indent = '' } = {}) {
+    const lines = diff.split('\n');
+    const shown = lines.slice(0, maxLines).map((line) => {
+        const text = `${indent}${line.replace(/\r$/, '')}`;
+        if (line.startsWith('+++') || line.startsWith('---')) return chalk.dim(text);
+        if (line.startsWith('@@')) return chalk.cyan(text);
+        if (line.startsWith('+')) return chalk.green(text);
+        if (line.startsWith('-')) return chalk.red(text);
+        return chalk.dim(text);
+    });
+    if (lines.length > maxLines) shown.push(chalk.dim(`${indent}... (${lines.length - maxLines} more diff lines)`));
+    return shown.join('\n');
+}
+
+/**
+ * Show text in $PAGER (default: less -R). Returns false if no pager could run.
+ */
+export function openInPager(text) {
+    if (!process.stdout.isTTY) return false;
+    const pager = process.env.PAGER || (process.platform === 'win32' ? 'more' : 'less -R');
+    const result = spawnSync(pager, {
+        shell: true,
+        input: text,
+        stdio: ['pipe', 'inherit', 'inherit'],
+    });
+    return !result.error && result.status === 0;
+}
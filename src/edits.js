@@ -0,0 +1,167 @@
+/**
+ * Literal search-and-replace edits for the edit_file tool.
+ *
+ * A call carries one edit (target/replacement) or an `edits` array; all of
+ * them are applied in order to the in-memory content and the file is only
+ * written if every one succeeds. Targets must match exactly once unless
+ * replace_all is set. Files with CRLF line endings are matched and written
+ * back with CRLF, whatever endings the model used.
+ */
+
+/**
+ * The list of edits in a tool call, in either form
+ *
+ * @returns {Array<{target: string, replacement: string, replace_all: boolean}>}
+ */
+export function normalizeEdits(args) {
+    const list = Array.isArray(args.edits) && args.edits.length > 0
+        ? args.edits
+        : [{ target: args.target, replacement: args.replacement, replace_all: args.replace_all }];
+    return list.map(e => ({
+        target: e?.target ?? '',
+        replacement: e?.replacement ?? '',
+        replace_all: Boolean(e?.replace_all),
+    }));
+}
+
+function findAll(content, target) {
+    const positions = [];
+    let index = content.indexOf(target);
+    while (index !== -1) {
+        positions.push(index);
+        index = content.indexOf(target, index + target.length);
+    }
+    return positions;
+}
+
+function lineAt(content, offset) {
+    let line = 1;
+    for (let i = 0; i < offset; i++) if (content.charCodeAt(i) === 10) line++;
+    return line;
+}
+
+/**
+ * Explain why a target was not found, pointing at near misses
+ */
+function notFoundMessage(content, target) {
+    const squash = s => s.replace(/\s+/g, ' ').trim();
+    const firstLine = target.split('\n').find(l => l.trim());
+    if (squash(target) && squash(content).includes(squash(target))) {
+        return 'target not found, but text matching it up to whitespace exists — check indentation and line breaks';
+    }
+    if (firstLine) {
+        const index = content.indexOf(firstLine.trim());
+        if (index !== -1) {
+            return `target not found; its first line appears at line ${lineAt(content, index)} but the rest differs — re-read the file and copy the text exactly`;
+        }
+    }
+    return 'target not found — re-read the file and copy the text exactly';
+}
+
+/**
+ * Apply one literal replacement, carrying earlier changed spans along
+ */
+function applyOne(content, edit, spans) {
+    const positions = findAll(content, edit.target);
+    if (positions.length === 0) throw new Error(notFoundMessage(content, edit.target));
+    if (positions.length > 1 && !edit.replace_all) {
+        const lines = positions.slice(0, 10).map(p => lineAt(content, p));
+        const more = positions.length > 10 ? ', ...' : '';
+        throw new Error(
+            `target is ambiguous: found ${positions.length} times (lines ${lines.join(', ')}${more}). ` +
+            'Include more surrounding lines to make it unique, or set replace_all to change every occurrence.'
+        );
+    }
+
+    const delta = edit.replacement.length - edit.target.length;
+    // Where an offset in the old content ends up in the new one
+    const mapOffset = (x) => {
+        let shift = 0;
+        for (const p of positions) {
+            if (x >= p + edit.target.length) shift += delta;
+            else if (x > p) return p + shift;
+            else break;
+        }
+        return x + shift;
+    };
+
+    let result = '';
+    let last = 0;
+    const added = [];
+    for (const p of positions) {
+        result += content.slice(last, p);
+        added.push({ start: result.length, end: result.length + edit.replacement.length });
+        result += edit.replacement;
+        last = p + edit.target.length;
+    }
+    result += content.slice(last);
+
+    const moved = spans.map(s => ({ start: mapOffset(s.start), end: mapOffset(s.end) }));
+    return { content: result, spans: mergeSpans([...moved, ...added]), count: positions.length };
+}
+
+function mergeSpans(spans) {
+    const sorted = [...spans].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const s of sorted) {
+        const prev = merged.at(-1);
+        if (prev && s.start <= prev.end) prev.end = Math.max(prev.end, s.end);
+        else merged.push({ ...s });
+    }
+    return merged;
+}
+
+/**
+ * Line ranges ("12-15", "40") of changed spans in the final content
+ */
+function describeRanges(content, spans) {
+    const ranges = [];
+    // Text deleted at the very end of the file is reported on its last line
+    const lastLine = Math.max(1, lineAt(content, content.length) - (content.endsWith('\n') ? 1 : 0));
+    for (const s of spans) {
+        const start = Math.min(lineAt(content, s.start), lastLine);
+        let end = start;
+        for (let i = s.start; i < s.end; i++) if (content.charCodeAt(i) === 10) end++;
+        // A span ending with its newline doesn't touch the next line
+        if (s.end > s.start && content.charCodeAt(s.end - 1) === 10) end--;
+        end = Math.min(Math.max(start, end), lastLine);
+        // Spans sharing a line are reported as one range
+        const prev = ranges.at(-1);
+        if (prev && start <= prev.end) prev.end = Math.max(prev.end, end);
+        else ranges.push({ start, end });
+    }
+    return ranges.map(r => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`));
+}
+
+/**
+ * Apply a batch of edits to file content
+ *
+ * @returns {{content: string, replacements: number, ranges: string[]}}
+ * @throws {Error} naming the edit that failed; nothing is applied in that case
+ */
+export function applyEdits(original, edits) {
+    // CRLF files are edited as LF and converted back, so model-written \n still matches
+    const crlf = original.includes('\r\n') && !/(^|[^\r])\n/.test(original);
+    let content = crlf ? original.replace(/\r\n/g, '\n') : original;
+    const toLf = s => (crlf ? s.replace(/\r\n/g, '\n') : s);
+
+    let spans = [];
+    let replacements = 0;
+    edits.forEach((raw, i) => {
+        const edit = { ...raw, target: toLf(raw.target), replacement: toLf(raw.replacement) };
+        const label = edits.length > 1 ? `edit #${i + 1}: ` : '';
+        if (!edit.target) throw new Error(`${label}target is empty`);
+        if (edit.target === edit.replacement) throw new Error(`${label}target and replacement are identical`);
+        try {
+            const applied = applyOne(content, edit, spans);
+            content = applied.content;
+            spans = applied.spans;
+            replacements += applied.count;
+        } catch (err) {
+            throw new Error(`${label}${err.message}`);
+        }
+    });
+
+    const ranges = describeRanges(content, spans);
+    return { content: crlf ? content.replace(/\n/g, '\r\n') : content, replacements, ranges };
+}
@@ -0,0 +1,222 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+
+/**
+ * File reading for the agent: encoding and binary detection, and line-ranged
+ * reads that stream through the file instead of loading it whole, so any
+ * part of a large file can be reached with offset/limit.
+ */
+
+export const DEFAULT_READ_LIMIT = 500;      // lines
+export const MAX_READ_LIMIT = 2000;         // lines
+const MAX_READ_CHARS = 100000;              // chars returned per call
+const MAX_LINE_LENGTH = 2000;               // longer lines are cut
+const MAX_COUNT_BYTES = 20 * 1024 * 1024;   // past this, stop counting lines after the range
+const MAX_SCAN_BYTES = 256 * 1024 * 1024;   // no read goes further into a file than this
+const SAMPLE_SIZE = 8000;
+
+// ─── Detection ───
+
+const MAGIC = [
+    { bytes: [0x89, 0x50, 0x4e, 0x47], type: 'PNG image' },
+    { bytes: [0xff, 0xd8, 0xff], type: 'JPEG image' },
+    { bytes: [0x47, 0x49, 0x46, 0x38], type: 'GIF image' },
+    { bytes: [0x52, 0x49, 0x46, 0x46], type: 'RIFF container (WebP/WAV/AVI)' },
+    { bytes: [0x25, 0x50, 0x44, 0x46], type: 'PDF document' },
+    { bytes: [0x50, 0x4b, 0x03, 0x04], type: 'ZIP archive (also jar/docx/xlsx)' },
+    { bytes: [0x1f, 0x8b], type: 'gzip archive' },
+    { bytes: [0x42, 0x5a, 0x68], type: 'bzip2 archive' },
+    { bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a], type: 'xz archive' },
+    { bytes: [0x7f, 0x45, 0x4c, 0x46], type: 'ELF executable' },
+    { bytes: [0x4d, 0x5a], type: 'Windows executable' },
+    { bytes: [0xcf, 0xfa, 0xed, 0xfe], type: 'Mach-O executable' },
+    { bytes: [0x00, 0x61, 0x73, 0x6d], type: 'WebAssembly module' },
+    { bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65], type: 'SQLite database' },
+];
+
+function startsWith(buffer, bytes) {
+    return bytes.every((b, i) => buffer[i] === b);
+}
+
+/**
+ * True if a chunk of bytes looks binary: a NUL byte, or lots of control characters
+ */
+export function looksBinary(buffer) {
+    if (buffer.includes(0)) return true;
+    let control = 0;
+    for (const byte of buffer) {
+        if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 13 && byte !== 12 && byte !== 27) control++;
+    }
+    return buffer.length > 0 && control / buffer.length > 0.1;
+}
+
+/**
+ * Work out how to decode a file from its first bytes
+ *
+ * @returns {{binary: boolean, type?: string, encoding?: string, bomLength?: number}}
+ */
+export function detectEncoding(sample) {
+    if (startsWith(sample, [0xef, 0xbb, 0xbf])) return { binary: false, encoding: 'utf-8', bomLength: 3 };
+    if (startsWith(sample, [0xff, 0xfe])) return { binary: false, encoding: 'utf-16le', bomLength: 2 };
+    if (startsWith(sample, [0xfe, 0xff])) return { binary: false, encoding: 'utf-16be', bomLength: 2 };
+
+    const magic = MAGIC.find(m => startsWith(sample, m.bytes));
+    if (magic) return { binary: true, type: magic.type };
+    if (looksBinary(sample)) return { binary: true, type: 'binary data' };
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return { binary: false, encoding: 'utf-8', bomLength: 0 };
+    } catch {
+        // Not valid UTF-8 but not binary either: most likely a legacy 8-bit encoding
+        return { binary: false, encoding: 'windows-1252', bomLength: 0 };
+    }
+}
+
+async function readSample(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(SAMPLE_SIZE), 0, SAMPLE_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+export function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function describeBinary(displayPath, size, type, sample) {
+    const hex = [...sample.subarray(0, 32)].map(b => b.toString(16).padStart(2, '0')).join(' ');
+    return `[Binary file: ${displayPath} — ${type}, ${formatSize(size)}]\n` +
+        `First bytes: ${hex}\n` +
+        'Contents not shown. Use run_command with a suitable tool (file, unzip -l, xxd | head, ...) if you need to inspect it.';
+}
+
+// ─── Ranged reading ───
+
+/**
+ * Decoded lines of a file, streamed, as { text, length }: only the first
+ * MAX_LINE_LENGTH characters of a line are kept (length is the full one), so
+ * a file without newlines never sits in memory whole. Reading stops after
+ * MAX_SCAN_BYTES; `scan.stopped` tells the caller it did.
+ */
+async function* readLines(filePath, encoding, start, scan = {}) {
+    const decoder = new TextDecoder(encoding);
+    let text = '';
+    let length = 0;
+    let lastChar = '';
+    const finish = () => {
+        // \r\n line endings
+        if (lastChar === '\r') length--;
+        const line = { text: text.slice(0, length), length };
+        text = '';
+        length = 0;
+        lastChar = '';
+        return line;
+    };
+    const add = (piece) => {
+        if (text.length < MAX_LINE_LENGTH) text += piece.slice(0, MAX_LINE_LENGTH - text.length);
+        length += piece.length;
+        if (piece) lastChar = piece[piece.length - 1];
+    };
+
+    let bytes = 0;
+    for await (const chunk of createReadStream(filePath, { start })) {
+        const decoded = decoder.decode(chunk, { stream: true });
+        let from = 0;
+        let newline;
+        while ((newline = decoded.indexOf('\n', from)) !== -1) {
+            add(decoded.slice(from, newline));
+            yield finish();
+            from = newline + 1;
+        }
+        add(decoded.slice(from));
+        bytes += chunk.length;
+        if (bytes >= MAX_SCAN_BYTES) {
+            scan.stopped = true;
+            break;
+        }
+    }
+    if (!scan.stopped) add(decoder.decode());
+    // A trailing newline does not start another line
+    if (length > 0) yield finish();
+}
+
+/**
+ * Read a window of lines from a text file, formatted with line numbers
+ *
+ * @param {object} options
+ * @param {number} options.offset 1-based line to start at
+ * @param {number} options.limit  maximum number of lines
+ * @returns {Promise<string>}
+ */
+export async function readFileRange(filePath, { displayPath = filePath, offset = 1, limit = DEFAULT_READ_LIMIT } = {}) {
+    const stat = await fs.stat(filePath);
+    if (stat.isDirectory()) throw new Error(`${displayPath} is a directory — use list_directory instead`);
+
+    const start = Math.max(parseInt(offset) || 1, 1);
+    const count = Math.min(Math.max(parseInt(limit) || DEFAULT_READ_LIMIT, 1), MAX_READ_LIMIT);
+
+    if (stat.size === 0) return `[${displayPath}: empty file]`;
+
+    const sample = await readSample(filePath);
+    const detected = detectEncoding(sample);
+    if (detected.binary) return describeBinary(displayPath, stat.size, detected.type, sample);
+
+    const out = [];
+    let chars = 0;
+    let lineNo = 0;
+    let lastShown = 0;
+    let totalKnown = true;
+    let cutByChars = false;
+    const scan = {};
+
+    for await (const { text, length } of readLines(filePath, detected.encoding, detected.bomLength, scan)) {
+        lineNo++;
+        if (lineNo < start) continue;
+
+        if (lineNo < start + count && !cutByChars) {
+            const line = length > MAX_LINE_LENGTH ? `${text}... [line truncated, ${scan.stopped ? 'over ' : ''}${length} chars]` : text;
+            const formatted = `${String(lineNo).padStart(6)}\t${line}`;
+            if (chars + formatted.length > MAX_READ_CHARS && out.length > 0) {
+                cutByChars = true;
+                continue;
+            }
+            out.push(formatted);
+            chars += formatted.length + 1;
+            lastShown = lineNo;
+        } else if (stat.size > MAX_COUNT_BYTES) {
+            // Counting every line of a huge file is not worth the wait
+            totalKnown = false;
+            break;
+        }
+    }
+
+    // The last line may be cut off where reading stopped
+    if (scan.stopped) totalKnown = false;
+    const total = totalKnown ? lineNo : null;
+    const totalText = total === null ? 'more' : String(total);
+    const notes = [];
+    if (detected.encoding !== 'utf-8') notes.push(`decoded as ${detected.encoding}`);
+    if (detected.bomLength) notes.push('has BOM');
+
+    if (out.length === 0) {
+        if (scan.stopped) {
+            return `[${displayPath}: ${formatSize(stat.size)}] offset ${start} is past the first ${formatSize(MAX_SCAN_BYTES)} read_file reaches — ` +
+                `use run_command (e.g. sed -n '${start},${start + count - 1}p') for it.`;
+        }
+        return `[${displayPath}: ${totalText} lines, ${formatSize(stat.size)}] offset ${start} is past the end of the file.`;
+    }
+
+    const header = `[${displayPath}: lines ${start}-${lastShown} of ${totalText}, ${formatSize(stat.size)}${notes.length ? `, ${notes.join(', ')}` : ''}]`;
+    const parts = [header, out.join('\n')];
+    if (total === null || lastShown < total) {
+        const reason = cutByChars ? ' (output size limit reached)' : '';
+        parts.push(`... ${total === null ? 'more lines follow' : `${total - lastShown} more lines`}${reason} — call read_file with offset=${lastShown + 1} to continue`);
+    }
+    return parts.join('\n');
+}
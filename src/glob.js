@@ -0,0 +1,48 @@
+/**
+ * Minimal glob matching shared by permission rules and file search.
+ *
+ * Path mode (default): `**` matches across directories, `*` and `?` stay
+ * within one path segment, `{a,b}` alternates. Text mode (for shell commands
+ * and other free text): `*` matches anything, spaces and slashes included.
+ */
+export function globToRegExp(pattern, { pathMode = true, ignoreCase = false } = {}) {
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '*') {
+            if (pathMode && pattern[i + 1] === '*') {
+                // "**/" also matches zero directories
+                if (pattern[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+                else { re += '.*'; i++; }
+            } else {
+                re += pathMode ? '[^/]*' : '.*';
+            }
+        } else if (ch === '?') {
+            re += pathMode ? '[^/]' : '.';
+        } else if (ch === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) { re += '\\{'; continue; }
+            const options = pattern.slice(i + 1, end).split(',');
+            re += `(?:${options.map(o => globToRegExp(o, { pathMode }).source.slice(1, -1)).join('|')})`;
+            i = end;
+        } else {
+            re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`, ignoreCase ? 'i' : '');
+}
+
+export function matchGlob(pattern, value, options) {
+    return globToRegExp(pattern, options).test(value);
+}
+
+/**
+ * Match a project-relative path (forward slashes) against a glob. Patterns
+ * without a slash match the basename anywhere, like .gitignore and grep --include.
+ */
+export function matchPath(pattern, relPath, options) {
+    if (!pattern.includes('/')) {
+        return matchGlob(pattern, relPath.split('/').pop(), options) || matchGlob(pattern, relPath, options);
+    }
+    return matchGlob(pattern.replace(/^\.?\//, ''), relPath, options);
+}
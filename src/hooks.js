@@ -0,0 +1,178 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { matchGlob } from './glob.js';
+import { loadSettingsLayers, confirmProjectConfig } from './settings.js';
+
+/**
+ * Lifecycle hooks: shell commands run at fixed points of an agent session,
+ * configured under the `hooks` key of any settings layer (see settings.js):
+ *
+ *   { "hooks": {
+ *       "pre-tool":  [{ "matcher": "run_command", "command": "./scripts/guard.sh" }],
+ *       "post-tool": [{ "matcher": "write_file|edit_file", "command": "npx prettier --write \"$PUTER_FILE\"" }],
+ *       "user-prompt-submit": [{ "command": "..." }],
+ *       "session-start": ["..."],
+ *       "session-end": ["..."] } }
+ *
+ * Each hook gets a JSON payload on stdin describing the event. Exit code 0
+ * means carry on; 2 means block, with stderr as the reason fed back to the
+ * model; anything else is reported as a hook failure and ignored. On exit 0 a
+ * hook may print JSON instead:
+ *   { "decision": "block", "reason": "..." }   block the call or prompt
+ *   { "args": { ... } }                        pre-tool: replace tool arguments
+ *   { "message": "..." }                       post-tool: text added to the tool result
+ *   { "context": "..." }                       user-prompt-submit / session-start: added for the model
+ * Plain stdout from user-prompt-submit and session-start hooks counts as context.
+ */
+export const HOOK_EVENTS = ['pre-tool', 'post-tool', 'user-prompt-submit', 'session-start', 'session-end'];
+
+const DEFAULT_HOOK_TIMEOUT = 60;    // seconds
+const MAX_HOOK_OUTPUT = 20000;      // chars of stdout/stderr kept
+
+function normalizeHook(hook, source) {
+    if (typeof hook === 'string') hook = { command: hook };
+    if (!hook?.command) return null;
+    return {
+        command: String(hook.command),
+        matcher: hook.matcher ? String(hook.matcher) : '*',
+        timeout: Number(hook.timeout) || DEFAULT_HOOK_TIMEOUT,
+        source,
+    };
+}
+
+/**
+ * Hooks from every settings layer, per event (user hooks run first).
+ * Hooks from the project's settings are only included once the user trusts
+ * them: confirm(lines) is asked the first time they are seen (or changed).
+ *
+ * @returns {Promise<Record<string, Array<{command: string, matcher: string, timeout: number, source: string}>>>}
+ */
+export async function loadHooks(projectDir, { confirm } = {}) {
+    const hooks = Object.fromEntries(HOOK_EVENTS.map(e => [e, []]));
+    for (const { source, settings } of await loadSettingsLayers(projectDir)) {
+        for (const [event, list] of Object.entries(settings.hooks || {})) {
+            if (!hooks[event]) continue;
+            for (const hook of [].concat(list)) {
+                const normalized = normalizeHook(hook, source);
+                if (normalized) hooks[event].push(normalized);
+            }
+        }
+    }
+
+    const fromProject = HOOK_EVENTS.flatMap(event => hooks[event].filter(h => h.source !== 'user').map(h => ({ event, ...h })));
+    if (fromProject.length > 0) {
+        const lines = fromProject.map(h => `${h.event}${h.matcher !== '*' ? ` (${h.matcher})` : ''}: ${h.command}`);
+        const trusted = await confirmProjectConfig(projectDir, 'hooks', fromProject, () => confirm?.(lines));
+        if (!trusted) for (const event of HOOK_EVENTS) hooks[event] = hooks[event].filter(h => h.source === 'user');
+    }
+    return hooks;
+}
+
+export function hasHooks(hooks, event) {
+    return Boolean(hooks?.[event]?.length);
+}
+
+/**
+ * "write_file|edit_file", "mcp__*" and "*" style tool matchers
+ */
+function matchesTool(matcher, toolName) {
+    if (!toolName) return true;
+    return matcher.split('|').some(p => matchGlob(p.trim(), toolName, { pathMode: false }));
+}
+
+function runHookCommand(hook, payload, projectDir) {
+    return new Promise((resolve) => {
+        const env = {
+            ...process.env,
+            PUTER_HOOK_EVENT: payload.event,
+            PUTER_PROJECT_DIR: projectDir,
+        };
+        if (payload.tool_name) env.PUTER_TOOL_NAME = payload.tool_name;
+        if (payload.tool_input?.path) env.PUTER_FILE = path.resolve(projectDir, payload.tool_input.path);
+
+        let child;
+        try {
+            child = spawn(hook.command, { cwd: projectDir, shell: true, env, stdio: ['pipe', 'pipe', 'pipe'] });
+        } catch (err) {
+            resolve({ code: null, stdout: '', stderr: err.message });
+            return;
+        }
+
+        let stdout = '';
+        let stderr = '';
+        let timedOut = false;
+        child.stdout.on('data', (d) => { if (stdout.length < MAX_HOOK_OUTPUT) stdout += d; });
+        child.stderr.on('data', (d) => { if (stderr.length < MAX_HOOK_OUTPUT) stderr += d; });
+        // The hook may exit without reading its input
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(payload));
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, hook.timeout * 1000);
+
+        child.on('error', (err) => {
+            clearTimeout(timer);
+            resolve({ code: null, stdout, stderr: err.message });
+        });
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            resolve({ code: timedOut ? null : code, stdout: stdout.trim(), stderr: stderr.trim(), timedOut });
+        });
+    });
+}
+
+function parseJsonOutput(stdout) {
+    if (!stdout.startsWith('{')) return null;
+    try {
+        return JSON.parse(stdout);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Run the hooks for an event, in order. A block stops the remaining hooks;
+ * argument changes from one pre-tool hook are seen by the next.
+ *
+ * @param {object} payload event data sent to the hooks (event and project_dir are added)
+ * @returns {Promise<{blocked: boolean, reason: string, args: object|null,
+ *          messages: string[], context: string[], failures: string[]}>}
+ */
+export async function runHooks(hooks, event, payload, projectDir) {
+    const outcome = { blocked: false, reason: '', args: null, messages: [], context: [], failures: [] };
+    const list = (hooks?.[event] || []).filter(h => matchesTool(h.matcher, payload.tool_name));
+
+    for (const hook of list) {
+        const input = { event, project_dir: projectDir, ...payload };
+        if (outcome.args) input.tool_input = outcome.args;
+        const result = await runHookCommand(hook, input, projectDir);
+
+        if (result.code === 2) {
+            outcome.blocked = true;
+            outcome.reason = result.stderr || result.stdout || `blocked by hook "${hook.command}"`;
+            break;
+        }
+        if (result.code !== 0) {
+            const why = result.timedOut ? `timed out after ${hook.timeout}s` : result.code === null ? result.stderr : `exited with code ${result.code}`;
+            outcome.failures.push(`Hook "${hook.command}" ${why}${result.stderr && result.code !== null ? `: ${result.stderr.split('\n')[0]}` : ''}`);
+            continue;
+        }
+
+        const json = parseJsonOutput(result.stdout);
+        if (json) {
+            if (json.decision === 'block') {
+                outcome.blocked = true;
+                outcome.reason = json.reason || `blocked by hook "${hook.command}"`;
+                break;
+            }
+            if (json.args && typeof json.args === 'object') outcome.args = json.args;
+            if (json.message) outcome.messages.push(String(json.message));
+            if (json.context) outcome.context.push(String(json.context));
+        } else if (result.stdout && (event === 'user-prompt-submit' || event === 'session-start')) {
+            outcome.context.push(result.stdout);
+        }
+    }
+    return outcome;
+}
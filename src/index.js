@@ -2,34 +2,67 @@
 
 import { Command } from 'commander';
 import chalk from 'chalk';
-import { saveToken, getToken, setDefaultModel, getDefaultModel } from './auth.js';
+import path from 'path';
+import {
+    getToken, setDefaultModel, getDefaultModel, listProfiles, saveProfile, removeProfile, setActiveProfile, getActiveProfile,
+    getProfileName, selectProfile, fetchAccount, askSecret, PASSPHRASE_ENV,
+} from './auth.js';
 import { singleChat, interactiveChat } from './chat.js';
-import { formatModelsTable } from './models.js';
+import { formatModelsTable, getModelCatalog, filterModels, MODELS_CACHE_FILE } from './models.js';
 import { startAgentMode, agentCommand } from './agent.js';
+import { PROVIDERS, createProvider, getProviderName, getProviderConfig, setProviderConfig } from './providers.js';
+import { config } from './auth.js';
+import { validateOutputFormat, printErrorResult } from './output.js';
+import { listSessions, loadSession, deleteSession, formatSessionLine, formatTranscript } from './sessions.js';
+import { getFallbackModels, parseModelChain } from './retry.js';
+import { summarizeDailyUsage, formatUsageLine, formatCost, printUsageTable, USAGE_FILE } from './usage.js';
+import { savePreset, removePreset, printPresets, describePreset, REASONING_EFFORTS } from './presets.js';
 
 const program = new Command();
 
+// Accumulate a repeatable option into an array
+function collect(value, previous) {
+    return [...previous, value];
+}
+
+// Print a fatal error in the command's output format and exit with failure
+function reportFatal(err, opts = {}) {
+    if (opts.outputFormat === 'json' || opts.outputFormat === 'stream-json') {
+        printErrorResult(err);
+    } else {
+        console.error(chalk.red(`\n  Error: ${err.message}\n`));
+    }
+    process.exit(1);
+}
+
 program
     .name('puter-ai')
     .description(chalk.cyan('🚀 Puter AI CLI') + ' — Agentic coding assistant powered by 500+ free AI models')
-    .version('2.0.0');
+    .version('2.0.0')
+    .option('--profile <name>', 'Auth profile to use for this command (see: puter-ai auth list)')
+    .hook('preAction', () => selectProfile(program.opts().profile));
 
 // ─── Default command: chat ───
 program
     .command('chat')
-    .description('Send a prompt to an AI model')
-    .argument('<prompt>', 'The prompt to send')
+    .description('Send a prompt to an AI model (piped stdin is added to the prompt)')
+    .argument('[prompt]', 'The prompt to send (optional when text is piped in)')
     .option('-m, --model <model>', 'AI model to use')
     .option('-s, --stream', 'Stream the response in real-time')
     .option('-t, --temperature <number>', 'Temperature (0-2)')
     .option('--max-tokens <number>', 'Maximum tokens to generate')
     .option('--system <message>', 'System prompt')
+    .option('-f, --file <path>', 'Attach a text file or image (repeatable; @path in the prompt works too)', collect, [])
+    .option('--provider <name>', 'LLM provider: puter, openai or ollama')
+    .option('--preset <name>', 'Use a saved preset (model, temperature, system prompt, ...)')
+    .option('--output-format <format>', 'Output format: text, json or stream-json', 'text')
+    .option('--raw', 'Print only the response text, unformatted (the default when stdout is not a terminal)')
     .action(async (prompt, opts) => {
         try {
-            await singleChat(prompt, opts);
+            validateOutputFormat(opts.outputFormat);
+            process.exitCode = await singleChat(prompt, opts);
         } catch (err) {
-            console.error(chalk.red(`\n  Error: ${err.message}\n`));
-            process.exit(1);
+            reportFatal(err, opts);
         }
     });
 
@@ -41,6 +74,8 @@ program
     .option('-m, --model <model>', 'AI model to use')
     .option('-s, --stream', 'Enable streaming by default')
     .option('--system <message>', 'System prompt')
+    .option('--provider <name>', 'LLM provider: puter, openai or ollama')
+    .option('--preset <name>', 'Use a saved preset (model, temperature, system prompt, ...)')
     .action(async (opts) => {
         try {
             await interactiveChat(opts);
@@ -50,44 +85,205 @@ program
         }
     });
 
-// ─── Auth command ───
-program
+// ─── Auth ───
+
+function printTokenHelp() {
+    console.log(chalk.dim('  To get a token:'));
+    console.log(chalk.dim('    1. Go to https://puter.com and sign in'));
+    console.log(chalk.dim('    2. Open DevTools Console (F12)'));
+    console.log(chalk.dim('    3. Run: puter.auth.getToken()'));
+    console.log(chalk.dim('    4. Copy the token\n'));
+}
+
+function printAccount(account) {
+    console.log(chalk.green(`  ✓ Signed in as ${chalk.bold(account.username)}`) + (account.email ? chalk.dim(` (${account.email})`) : ''));
+    if (account.remaining != null) {
+        console.log(chalk.dim(`    Remaining this month: ${formatCost(account.remaining)}` +
+            (account.allowance != null ? ` of ${formatCost(account.allowance)}` : '')));
+    }
+}
+
+/**
+ * Save a token to the current profile (--profile), checking it with Puter first
+ */
+async function addToken(token, opts = {}) {
+    const profile = getProfileName();
+    token ||= await askSecret(`  Puter auth token for profile "${profile}": `);
+    if (!token) throw new Error('No token given');
+
+    let account = null;
+    if (opts.verify !== false) {
+        account = await fetchAccount(token);
+    }
+
+    let passphrase = null;
+    if (opts.encrypt) {
+        passphrase = process.env[PASSPHRASE_ENV] || await askSecret('  Passphrase to encrypt the token: ');
+        if (!process.env[PASSPHRASE_ENV] && await askSecret('  Repeat the passphrase: ') !== passphrase) {
+            throw new Error('Passphrases do not match');
+        }
+        if (!passphrase) throw new Error('The passphrase cannot be empty');
+    }
+
+    saveProfile(profile, token, { passphrase, username: account?.username });
+    console.log(chalk.green(`\n  ✓ Token saved to profile "${profile}"`) + chalk.dim(passphrase ? ' (encrypted)' : ''));
+    if (account) printAccount(account);
+    else console.log(chalk.dim('    Not checked with Puter (--no-verify)'));
+    if (getActiveProfile() !== profile) console.log(chalk.dim(`    Make it the default with: puter-ai auth use ${profile}`));
+    console.log();
+}
+
+async function showAuthStatus() {
+    const token = await getToken();
+    if (!token) {
+        console.log(chalk.yellow('\n  ⚠ No auth token configured.'));
+        console.log(chalk.dim('  To add your token:\n'));
+        console.log(chalk.white('    puter-ai auth add [--profile <name>] [--encrypt]\n'));
+        printTokenHelp();
+        return;
+    }
+    const fromEnv = !program.opts().profile && Boolean(process.env.PUTER_TOKEN);
+    console.log(chalk.dim(`\n  Profile: ${fromEnv ? 'PUTER_TOKEN environment variable' : getProfileName()}`));
+    console.log(chalk.dim(`  Token: ${token.slice(0, 8)}...${token.slice(-4)}`));
+    printAccount(await fetchAccount(token));
+    console.log();
+}
+
+const auth = program
     .command('auth')
-    .description('Set your Puter auth token')
-    .argument('[token]', 'Your Puter auth token')
-    .action((token) => {
-        if (token) {
-            saveToken(token);
-            console.log(chalk.green('\n  ✓ Auth token saved successfully!\n'));
-        } else {
-            const current = getToken();
-            if (current) {
-                console.log(chalk.green('\n  ✓ Auth token is configured'));
-                console.log(chalk.dim(`    Token: ${current.slice(0, 8)}...${current.slice(-4)}\n`));
-            } else {
-                console.log(chalk.yellow('\n  ⚠ No auth token configured.'));
-                console.log(chalk.dim('  To set your token:\n'));
-                console.log(chalk.white('    puter-ai auth <your-token>\n'));
-                console.log(chalk.dim('  To get a token:'));
-                console.log(chalk.dim('    1. Go to https://puter.com and sign in'));
-                console.log(chalk.dim('    2. Open DevTools Console (F12)'));
-                console.log(chalk.dim('    3. Run: puter.auth.getToken()'));
-                console.log(chalk.dim('    4. Copy the token\n'));
-            }
+    .description('Manage Puter auth tokens: add, switch between and check profiles')
+    .argument('[token]', 'Save a token to the current profile (same as "auth add <token>")')
+    .action(async (token) => {
+        try {
+            if (token) await addToken(token);
+            else await showAuthStatus();
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+auth
+    .command('add')
+    .description('Save a token to a profile (--profile <name>, default: the current one) after checking it with Puter')
+    .argument('[token]', 'Puter auth token (asked for, hidden, if omitted)')
+    .option('--encrypt', `Encrypt the token with a passphrase (asked for, or ${PASSPHRASE_ENV})`)
+    .option('--no-verify', 'Save the token without checking it with Puter')
+    .action(async (token, opts) => {
+        try {
+            await addToken(token, opts);
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+auth
+    .command('use')
+    .description('Make a profile the default')
+    .argument('<profile>', 'Profile name')
+    .action((name) => {
+        try {
+            setActiveProfile(name);
+            console.log(chalk.green(`\n  ✓ Using auth profile "${name}"\n`));
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+auth
+    .command('list')
+    .alias('ls')
+    .description('List auth profiles')
+    .action(() => {
+        const profiles = Object.entries(listProfiles());
+        if (profiles.length === 0) {
+            console.log(chalk.dim('\n  No auth profiles. Add one with: puter-ai auth add [--profile <name>]\n'));
+            return;
+        }
+        const active = getActiveProfile();
+        console.log();
+        for (const [name, profile] of profiles.sort((a, b) => a[0].localeCompare(b[0]))) {
+            const marker = name === active ? chalk.green('* ') : '  ';
+            const details = [profile.username, profile.encrypted ? 'encrypted' : null].filter(Boolean).join(' · ');
+            console.log(`  ${marker}${chalk.cyan(name.padEnd(14))} ${chalk.dim(details)}`);
+        }
+        if (process.env.PUTER_TOKEN) console.log(chalk.dim('\n  PUTER_TOKEN is set and is used instead, unless --profile is given'));
+        console.log(chalk.dim('\n  Switch with: puter-ai auth use <profile>, or --profile <name> on any command\n'));
+    });
+
+auth
+    .command('logout')
+    .description('Remove a saved token (default: the current profile)')
+    .argument('[profile]', 'Profile name')
+    .action((name) => {
+        try {
+            name ||= getProfileName();
+            const active = removeProfile(name);
+            console.log(chalk.green(`\n  ✓ Logged out of profile "${name}"`));
+            console.log(chalk.dim(active ? `    Active profile: ${active}\n` : '    No auth profiles left\n'));
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+auth
+    .command('whoami')
+    .alias('status')
+    .description('Check the current token with Puter: account and remaining usage')
+    .action(async () => {
+        try {
+            await showAuthStatus();
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
         }
     });
 
 // ─── Models command ───
 program
     .command('models')
-    .description('List popular available AI models')
-    .action(() => {
-        console.log(chalk.bold.cyan('\n  ╔══════════════════════════════════════════╗'));
-        console.log(chalk.bold.cyan('  ║') + chalk.bold.white('   Available AI Models (Popular Picks)    ') + chalk.bold.cyan('║'));
-        console.log(chalk.bold.cyan('  ╚══════════════════════════════════════════╝'));
-        console.log(formatModelsTable());
-        console.log(chalk.dim('\n  500+ models available. Use any model ID with: puter-ai chat "prompt" -m <model-id>'));
-        console.log(chalk.dim('  Full list: https://developer.puter.com/ai/models/\n'));
+    .description('List the models your provider offers, with context length and tool/vision support')
+    .option('-s, --search <text>', 'Only models whose ID, name or description contains the text')
+    .option('--vendor <name>', 'Only models from this vendor (e.g. anthropic, google)')
+    .option('--json', 'Print the models as JSON')
+    .option('--refresh', 'Fetch the list again instead of using the cache')
+    .option('--provider <name>', 'LLM provider: puter, openai or ollama')
+    .action(async (opts) => {
+        try {
+            const provider = await createProvider(opts.provider);
+            const catalog = await getModelCatalog(provider, { refresh: opts.refresh });
+            const models = filterModels(catalog.models, opts);
+            if (opts.json) {
+                console.log(JSON.stringify({ provider: provider.name, source: catalog.source, fetched_at: catalog.fetchedAt, models }, null, 2));
+                return;
+            }
+
+            console.log(chalk.bold.cyan('\n  ╔══════════════════════════════════════════╗'));
+            console.log(chalk.bold.cyan('  ║') + chalk.bold.white('          Available AI Models             ') + chalk.bold.cyan('║'));
+            console.log(chalk.bold.cyan('  ╚══════════════════════════════════════════╝'));
+            if (catalog.source === 'builtin') {
+                console.log(chalk.yellow(`\n  Could not load the model list (${catalog.error}) — showing popular picks instead.`));
+            } else if (catalog.source === 'none') {
+                console.log(chalk.yellow(`\n  Could not load the model list from ${provider.name} (${catalog.error}).\n`));
+                return;
+            } else if (catalog.source === 'stale') {
+                console.log(chalk.yellow(`\n  Could not refresh the model list (${catalog.error}) — showing the list from ${catalog.fetchedAt.slice(0, 10)}.`));
+            }
+            if (models.length === 0) {
+                console.log(chalk.dim('\n  No models match.\n'));
+                return;
+            }
+            console.log(formatModelsTable(models));
+            console.log(chalk.dim(`\n  ${models.length} of ${catalog.models.length} models from ${provider.name}` +
+                (catalog.fetchedAt ? `, fetched ${new Date(catalog.fetchedAt).toLocaleString()}` : '') + '. Tools/Vision "?" = not reported.'));
+            console.log(chalk.dim(`  Use any model ID with: puter-ai chat "prompt" -m <model-id>. Cache: ${MODELS_CACHE_FILE}\n`));
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
     });
 
 // ─── Set default model ───
@@ -100,6 +296,108 @@ program
         console.log(chalk.green(`\n  ✓ Default model set to: ${model}\n`));
     });
 
+// ─── Provider ───
+program
+    .command('provider')
+    .description('Show or set the LLM provider (puter, openai, ollama)')
+    .argument('[name]', 'Provider to make the default')
+    .option('--base-url <url>', 'API base URL (e.g. http://localhost:11434 or https://my-gateway/v1)')
+    .option('--api-key <key>', 'API key for the provider')
+    .option('-m, --model <model>', 'Default model to use with this provider')
+    .action((name, opts) => {
+        if (name && !PROVIDERS.includes(name)) {
+            console.error(chalk.red(`\n  Error: Unknown provider "${name}". Available: ${PROVIDERS.join(', ')}\n`));
+            process.exit(1);
+        }
+
+        const target = name || getProviderName();
+        const updates = {};
+        if (opts.baseUrl) updates.baseUrl = opts.baseUrl;
+        if (opts.apiKey) updates.apiKey = opts.apiKey;
+        if (opts.model) updates.model = opts.model;
+        if (Object.keys(updates).length > 0) setProviderConfig(target, updates);
+        if (name) config.set('provider', name);
+
+        const settings = getProviderConfig(target);
+        console.log(chalk.green(`\n  ✓ Provider: ${target}`) + (name ? '' : chalk.dim(' (active)')));
+        if (settings.baseUrl) console.log(chalk.dim(`    Base URL: ${settings.baseUrl}`));
+        if (settings.apiKey) console.log(chalk.dim(`    API key: ${settings.apiKey.slice(0, 4)}...${settings.apiKey.slice(-4)}`));
+        if (settings.model) console.log(chalk.dim(`    Default model: ${settings.model}`));
+        console.log();
+    });
+
+// ─── Fallback models ───
+program
+    .command('fallback')
+    .description('Show or set the models tried, in order, when the requested one is unavailable')
+    .argument('[models...]', 'Model IDs, e.g. "claude-sonnet-4.6 -> gpt-5 -> gemini-2.5-pro"')
+    .option('--clear', 'Remove the fallback chain')
+    .action((models, opts) => {
+        if (opts.clear) {
+            config.set('fallbackModels', []);
+        } else if (models.length > 0) {
+            config.set('fallbackModels', parseModelChain(models.join(' ')));
+        }
+
+        const chain = getFallbackModels();
+        if (chain.length === 0) {
+            console.log(chalk.dim('\n  No fallback models. Requests fail once retries for the requested model run out.'));
+            console.log(chalk.dim('  Set a chain with: puter-ai fallback gpt-5 gemini-2.5-pro\n'));
+            return;
+        }
+        console.log(chalk.green('\n  ✓ Fallback chain: ') + chain.join(chalk.dim(' -> ')));
+        if (process.env.PUTER_AI_FALLBACK_MODELS) console.log(chalk.dim('    (from PUTER_AI_FALLBACK_MODELS)'));
+        console.log(chalk.dim('    Tried in order after the requested model when it is unavailable or keeps failing\n'));
+    });
+
+// ─── Presets ───
+const presets = program
+    .command('preset')
+    .description('Manage named presets: a model with its temperature, limits, system prompt and tools');
+
+presets
+    .command('add')
+    .description('Create or replace a preset')
+    .argument('<name>', 'Preset name, used with --preset <name> or /preset <name>')
+    .option('-m, --model <model>', 'AI model to use')
+    .option('-t, --temperature <number>', 'Temperature (0-2)')
+    .option('--max-tokens <number>', 'Maximum tokens to generate per response')
+    .option('--system <message>', 'System prompt (added to the agent\'s instructions in code/do)')
+    .option('--reasoning-effort <level>', `Reasoning effort: ${REASONING_EFFORTS.join(', ')}`)
+    .option('--allowed-tools <tools>', 'Comma-separated tools the agent may use (e.g. "read_file,mcp__github__*")')
+    .action((name, opts) => {
+        try {
+            const preset = savePreset(name, opts);
+            console.log(chalk.green(`\n  ✓ Preset ${name}: `) + chalk.dim(describePreset(preset)) + '\n');
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+presets
+    .command('list', { isDefault: true })
+    .alias('ls')
+    .description('List presets')
+    .action(() => {
+        console.log();
+        printPresets();
+        console.log(chalk.dim('\n  Use with: puter-ai chat "prompt" --preset <name>, or /preset <name> in a session\n'));
+    });
+
+presets
+    .command('remove')
+    .alias('rm')
+    .description('Delete a preset')
+    .argument('<name>', 'Preset name')
+    .action((name) => {
+        if (!removePreset(name)) {
+            console.error(chalk.red(`\n  Error: Unknown preset "${name}"\n`));
+            process.exit(1);
+        }
+        console.log(chalk.green(`\n  ✓ Removed preset ${name}\n`));
+    });
+
 // ─── Agentic coding mode (interactive) ───
 program
     .command('code')
@@ -108,6 +406,12 @@ program
     .option('-m, --model <model>', 'AI model to use (skips picker)')
     .option('-p, --project <dir>', 'Project directory (default: cwd)')
     .option('-a, --auto', 'Auto-approve safe file operations')
+    .option('--provider <name>', 'LLM provider: puter, openai or ollama')
+    .option('-r, --resume [id]', 'Resume a saved session (picker if no ID given)')
+    .option('--continue', 'Continue the most recent session for this project')
+    .option('--add-dir <dir>', 'Allow file tools to access another directory (repeatable)', collect, [])
+    .option('--plan', 'Start in plan mode: read-only until you approve the agent\'s plan')
+    .option('--preset <name>', 'Use a saved preset (model, temperature, system prompt, ...)')
     .action(async (opts) => {
         try {
             await startAgentMode(opts);
@@ -120,30 +424,128 @@ program
 // ─── One-shot agentic command ───
 program
     .command('do')
-    .description('Execute a one-shot agentic task (e.g. "fix the failing tests")')
-    .argument('<prompt>', 'What to do')
-    .option('-m, --model <model>', 'AI model to use', 'claude-sonnet-4.6')
+    .description('Execute a one-shot agentic task (e.g. "fix the failing tests"); piped stdin is added to the prompt')
+    .argument('[prompt]', 'What to do (optional when text is piped in)')
+    .option('-m, --model <model>', 'AI model to use (default: claude-sonnet-4.6)')
     .option('-p, --project <dir>', 'Project directory (default: cwd)')
     .option('-a, --auto', 'Auto-approve safe file operations')
+    .option('--provider <name>', 'LLM provider: puter, openai or ollama')
+    .option('-r, --resume <id>', 'Run the task inside a saved session')
+    .option('--continue', 'Run the task inside the most recent session for this project')
+    .option('--rollback-on-error', 'Revert file changes if the task fails or hits the iteration limit')
+    .option('--add-dir <dir>', 'Allow file tools to access another directory (repeatable)', collect, [])
+    .option('--max-steps <n>', 'Stop after n agent steps (default: 25)')
+    .option('--max-tokens-budget <n>', 'Stop once the run has used n tokens (input + output)')
+    .option('--timeout <seconds>', 'Stop once the run has taken this long')
+    .option('--preset <name>', 'Use a saved preset (model, temperature, system prompt, ...)')
+    .option('--output-format <format>', 'Output format: text, json or stream-json (exit code 2 = stopped by a limit)', 'text')
+    .option('--raw', 'Progress on stderr, only the final answer on stdout (the default when stdout is not a terminal)')
     .action(async (prompt, opts) => {
         try {
-            await agentCommand(prompt, opts);
+            validateOutputFormat(opts.outputFormat);
+            process.exitCode = await agentCommand(prompt, opts);
+            // A model request abandoned by --timeout can keep the process alive until it returns
+            if (opts.timeout) process.stdout.write('', () => process.exit());
+        } catch (err) {
+            reportFatal(err, opts);
+        }
+    });
+
+// ─── Saved agent sessions ───
+const sessions = program
+    .command('sessions')
+    .description('Browse saved agent sessions');
+
+sessions
+    .command('list', { isDefault: true })
+    .alias('ls')
+    .description('List saved sessions')
+    .option('-a, --all', 'Show sessions for all projects, not just the current directory')
+    .option('-p, --project <dir>', 'Project directory (default: cwd)')
+    .action(async (opts) => {
+        const projectDir = opts.all ? undefined : path.resolve(opts.project || process.cwd());
+        const list = await listSessions({ projectDir });
+        if (list.length === 0) {
+            console.log(chalk.dim(`\n  No saved sessions${projectDir ? ` for ${projectDir}` : ''}.\n`));
+            return;
+        }
+        console.log();
+        for (const s of list) {
+            console.log(`  ${formatSessionLine(s)}`);
+            if (opts.all) console.log(chalk.dim(`    ${s.projectDir}`));
+        }
+        console.log(chalk.dim('\n  Resume with: puter-ai code --resume <id>\n'));
+    });
+
+sessions
+    .command('show')
+    .description('Print the transcript of a saved session')
+    .argument('<id>', 'Session ID (or unique prefix)')
+    .action(async (id) => {
+        try {
+            const session = await loadSession(id);
+            console.log('\n' + formatTranscript(session));
+        } catch (err) {
+            console.error(chalk.red(`\n  Error: ${err.message}\n`));
+            process.exit(1);
+        }
+    });
+
+sessions
+    .command('delete')
+    .alias('rm')
+    .description('Delete a saved session')
+    .argument('<id>', 'Session ID (or unique prefix)')
+    .action(async (id) => {
+        try {
+            const deleted = await deleteSession(id);
+            console.log(chalk.green(`\n  ✓ Deleted session ${deleted}\n`));
         } catch (err) {
             console.error(chalk.red(`\n  Error: ${err.message}\n`));
             process.exit(1);
         }
     });
 
+// ─── Token usage ───
+program
+    .command('usage')
+    .description('Show token usage and cost per day and per model')
+    .option('-d, --days <n>', 'Number of days to include', '7')
+    .option('--json', 'Print the totals as JSON')
+    .action(async (opts) => {
+        const days = Math.max(1, parseInt(opts.days) || 7);
+        const { days: perDay, total } = await summarizeDailyUsage(days);
+        if (opts.json) {
+            console.log(JSON.stringify({ days: perDay, total }, null, 2));
+            return;
+        }
+        if (perDay.length === 0) {
+            console.log(chalk.dim(`\n  No usage recorded in the last ${days} day${days === 1 ? '' : 's'}.\n`));
+            return;
+        }
+        console.log(chalk.bold(`\n  Usage, last ${days} day${days === 1 ? '' : 's'}:\n`));
+        for (const d of perDay) console.log(`    ${chalk.cyan(d.day)}  ${formatUsageLine(d)}`);
+        console.log(chalk.bold('\n  By model:\n'));
+        printUsageTable(total);
+        console.log(chalk.dim(`\n  Costs are shown when the provider reports them. Data: ${USAGE_FILE}\n`));
+    });
+
 // ─── Default: show help if no command ───
 program.addHelpText('after', `
 ${chalk.dim('  Examples:')}
     ${chalk.white('puter-ai code')}                    ${chalk.dim('Start agentic coding assistant')}
     ${chalk.white('puter-ai do "add error handling"')} ${chalk.dim('One-shot agentic task')}
+    ${chalk.white('puter-ai code --continue')}         ${chalk.dim('Pick up the last agent session')}
+    ${chalk.white('puter-ai sessions list')}           ${chalk.dim('Browse saved agent sessions')}
     ${chalk.white('puter-ai chat "Hello!"')}           ${chalk.dim('Quick AI query')}
     ${chalk.white('puter-ai chat "Hi" --stream')}      ${chalk.dim('Stream the response')}
+    ${chalk.white('puter-ai chat "Why?" -f err.log')}  ${chalk.dim('Ask about a file (or @err.log)')}
+    ${chalk.white('git diff | puter-ai chat "review"')} ${chalk.dim('Pipe text in, plain text out')}
     ${chalk.white('puter-ai interactive')}             ${chalk.dim('Multi-turn chat')}
     ${chalk.white('puter-ai models')}                  ${chalk.dim('List available models')}
-    ${chalk.white('puter-ai auth <token>')}            ${chalk.dim('Set auth token')}
+    ${chalk.white('puter-ai usage')}                   ${chalk.dim('Tokens and cost for the last 7 days')}
+    ${chalk.white('puter-ai auth add')}                ${chalk.dim('Save and check an auth token')}
+    ${chalk.white('puter-ai provider ollama')}         ${chalk.dim('Use a local Ollama server')}
 `);
 
 program.parse();
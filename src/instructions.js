@@ -0,0 +1,180 @@
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { config } from './auth.js';
+
+/**
+ * Instruction files (PUTER.md / AGENTS.md) that are added to the agent's
+ * system prompt, lowest precedence first:
+ *   - user    — PUTER.md next to the config file, applies to every project
+ *   - parent  — instruction files in directories above the project
+ *   - project — instruction files in the project root
+ *
+ * A line may pull in another file with `@path` (relative to the file it
+ * appears in, or ~/...); includes nest up to MAX_INCLUDE_DEPTH levels.
+ * Everything included goes to the provider, so only the user's own file may
+ * include files outside the project; project and parent files may not.
+ */
+export const INSTRUCTION_FILES = ['PUTER.md', 'AGENTS.md'];
+export const USER_INSTRUCTIONS_FILE = path.join(path.dirname(config.path), 'PUTER.md');
+
+const MAX_FILE_CHARS = 40000;
+const MAX_TOTAL_CHARS = 100000;
+const MAX_INCLUDE_DEPTH = 5;
+
+// "@path" at the start of a line or after whitespace; emails and decorators like foo@bar don't count
+const INCLUDE_PATTERN = /(^|\s)@((?:~\/|\.{1,2}\/|\/)?[\w.\-/]+[\w/])/g;
+
+async function readIfExists(file) {
+    try {
+        return await fs.readFile(file, 'utf-8');
+    } catch {
+        return null;
+    }
+}
+
+function resolveInclude(ref, fromDir) {
+    if (ref.startsWith('~/')) return path.join(os.homedir(), ref.slice(2));
+    return path.resolve(fromDir, ref);
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Append the files a document includes with @path, recursively. With a
+ * `root`, files outside it (symlinks resolved) are left out.
+ */
+async function expandIncludes(content, file, seen, depth, root = null) {
+    const includes = [];
+    let inFence = false;
+    for (const line of content.split('\n')) {
+        if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence) continue;
+        for (const match of line.matchAll(INCLUDE_PATTERN)) {
+            const target = resolveInclude(match[2], path.dirname(file));
+            if (!includes.includes(target)) includes.push(target);
+        }
+    }
+
+    const sections = [content.trimEnd()];
+    for (const target of includes) {
+        if (seen.has(target)) continue;
+        if (depth >= MAX_INCLUDE_DEPTH) {
+            sections.push(`[@${target} not included: includes nest more than ${MAX_INCLUDE_DEPTH} levels deep]`);
+            continue;
+        }
+        const stat = await fs.stat(target).catch(() => null);
+        if (!stat?.isFile()) continue; // not a file reference after all
+        if (root && !isInside(root, await fs.realpath(target))) {
+            sections.push(`[@${target} not included: it is outside the project]`);
+            continue;
+        }
+        seen.add(target);
+
+        let included = await readIfExists(target);
+        if (included === null) continue;
+        if (included.length > MAX_FILE_CHARS) included = `${included.slice(0, MAX_FILE_CHARS)}\n... [truncated]`;
+        sections.push(`<!-- included from ${target} -->\n${await expandIncludes(included, target, seen, depth + 1, root)}`);
+    }
+    return sections.join('\n\n');
+}
+
+/**
+ * Directories above the project, outermost first, stopping at the home directory or the root
+ */
+function parentDirs(projectDir) {
+    const dirs = [];
+    const home = os.homedir();
+    let dir = projectDir;
+    while (dir !== home && path.dirname(dir) !== dir) {
+        dir = path.dirname(dir);
+        dirs.unshift(dir);
+    }
+    return dirs;
+}
+
+/**
+ * Find and load every instruction file for a project
+ *
+ * @returns {Promise<Array<{path: string, scope: 'user'|'parent'|'project', content: string}>>}
+ */
+export async function loadInstructions(projectDir) {
+    const candidates = [{ path: USER_INSTRUCTIONS_FILE, scope: 'user' }];
+    for (const dir of parentDirs(projectDir)) {
+        for (const name of INSTRUCTION_FILES) candidates.push({ path: path.join(dir, name), scope: 'parent' });
+    }
+    for (const name of INSTRUCTION_FILES) candidates.push({ path: path.join(projectDir, name), scope: 'project' });
+
+    const projectRoot = await fs.realpath(projectDir).catch(() => path.resolve(projectDir));
+    const seen = new Set();
+    const loaded = [];
+    let total = 0;
+    for (const candidate of candidates) {
+        if (seen.has(candidate.path)) continue;
+        let content = await readIfExists(candidate.path);
+        if (content === null || !content.trim()) continue;
+        seen.add(candidate.path);
+
+        if (content.length > MAX_FILE_CHARS) content = `${content.slice(0, MAX_FILE_CHARS)}\n... [truncated]`;
+        content = await expandIncludes(content, candidate.path, seen, 1, candidate.scope === 'user' ? null : projectRoot);
+        if (total + content.length > MAX_TOTAL_CHARS) {
+            content = `${content.slice(0, Math.max(0, MAX_TOTAL_CHARS - total))}\n... [truncated: instruction files exceed ${MAX_TOTAL_CHARS} characters]`;
+        }
+        total += content.length;
+        loaded.push({ ...candidate, content });
+    }
+    return loaded;
+}
+
+/**
+ * The system prompt section for loaded instruction files ('' if none)
+ */
+export function formatInstructions(instructions) {
+    if (instructions.length === 0) return '';
+    const sections = instructions.map(i => `## ${i.path} (${i.scope})\n\n${i.content}`);
+    return '\n\n# Instructions from the user\n\n' +
+        'The user wrote these instructions for you. Follow them; when they conflict with the guidelines above, ' +
+        'these win, and later (more specific) files win over earlier ones.\n\n' +
+        sections.join('\n\n');
+}
+
+/**
+ * The project's own instruction file: an existing PUTER.md or AGENTS.md, else PUTER.md
+ */
+export async function projectInstructionsFile(projectDir) {
+    for (const name of INSTRUCTION_FILES) {
+        const file = path.join(projectDir, name);
+        if (await readIfExists(file) !== null) return file;
+    }
+    return path.join(projectDir, INSTRUCTION_FILES[0]);
+}
+
+/**
+ * Append a note to an instruction file, creating it if needed
+ */
+export async function appendInstruction(file, note) {
+    const existing = await readIfExists(file) ?? '';
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, `${existing}${separator}- ${note}\n`, 'utf-8');
+}
+
+/**
+ * Open a file in $VISUAL / $EDITOR and wait for it to close. The editor
+ * setting may carry arguments ("code --wait"); no shell is involved, so the
+ * file name is passed as is.
+ */
+export async function openInEditor(file) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    if (await readIfExists(file) === null) await fs.writeFile(file, '', 'utf-8');
+
+    const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+    const [command, ...args] = editor.trim().split(/\s+/);
+    const result = spawnSync(command, [...args, file], { stdio: 'inherit' });
+    if (result.error) throw new Error(`Could not start editor "${editor}": ${result.error.message}`);
+    if (result.status !== 0) throw new Error(`Editor "${editor}" exited with code ${result.status}`);
+}
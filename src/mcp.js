@@ -0,0 +1,275 @@
+import { spawn } from 'child_process';
+import { loadSettingsLayers, confirmProjectConfig } from './settings.js';
+
+/**
+ * Minimal Model Context Protocol client for stdio servers.
+ *
+ * Servers are configured under `mcpServers` in any settings layer:
+ *   { "mcpServers": { "db": { "command": "npx", "args": ["-y", "some-mcp-server"], "env": {} } } }
+ *
+ * Their tools are exposed to the model as `mcp__<server>__<tool>`. Servers
+ * defined by the project (not the user config) only start once the user
+ * trusts them.
+ */
+
+const PROTOCOL_VERSION = '2025-06-18';
+const REQUEST_TIMEOUT = 60000;
+const TOOL_PREFIX = 'mcp__';
+
+// Connected servers, by name
+const servers = new Map();
+
+function sanitizeName(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function createConnection(name, spec, cwd) {
+    const child = spawn(spec.command, spec.args || [], {
+        cwd: spec.cwd || cwd,
+        env: { ...process.env, ...(spec.env || {}) },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        shell: process.platform === 'win32',
+    });
+
+    const conn = {
+        name,
+        child,
+        status: 'starting',
+        error: null,
+        tools: [],
+        stderr: [],
+        nextId: 1,
+        pending: new Map(),
+    };
+
+    function failAll(err) {
+        for (const { reject, timer } of conn.pending.values()) {
+            clearTimeout(timer);
+            reject(err);
+        }
+        conn.pending.clear();
+    }
+
+    // Writes to a server that already died surface through 'exit' instead
+    child.stdin.on('error', () => {});
+
+    let buffer = '';
+    child.stdout.setEncoding('utf-8');
+    child.stdout.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+            let msg;
+            try { msg = JSON.parse(line); } catch { continue; }
+            handleMessage(conn, msg);
+        }
+    });
+
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', (chunk) => {
+        conn.stderr.push(...chunk.split('\n').filter(Boolean));
+        conn.stderr.splice(0, Math.max(0, conn.stderr.length - 20));
+    });
+
+    child.on('error', (err) => {
+        conn.status = 'failed';
+        conn.error = err.message;
+        failAll(err);
+    });
+    child.on('exit', (code) => {
+        if (conn.status !== 'stopped') {
+            conn.status = 'failed';
+            conn.error = conn.error || `exited with code ${code}${conn.stderr.length ? `: ${conn.stderr.at(-1)}` : ''}`;
+        }
+        failAll(new Error(`MCP server "${name}" ${conn.error || 'stopped'}`));
+    });
+
+    return conn;
+}
+
+function send(conn, msg) {
+    conn.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\n');
+}
+
+function handleMessage(conn, msg) {
+    // Response to one of our requests
+    if (msg.id !== undefined && conn.pending.has(msg.id) && !msg.method) {
+        const { resolve, reject, timer } = conn.pending.get(msg.id);
+        clearTimeout(timer);
+        conn.pending.delete(msg.id);
+        if (msg.error) reject(new Error(msg.error.message || JSON.stringify(msg.error)));
+        else resolve(msg.result);
+        return;
+    }
+
+    // Request from the server — we only support ping
+    if (msg.id !== undefined && msg.method) {
+        if (msg.method === 'ping') send(conn, { id: msg.id, result: {} });
+        else send(conn, { id: msg.id, error: { code: -32601, message: `Method not supported: ${msg.method}` } });
+    }
+    // Notifications are ignored
+}
+
+function request(conn, method, params, timeout = REQUEST_TIMEOUT) {
+    if (conn.status === 'failed' || conn.status === 'stopped') {
+        return Promise.reject(new Error(`MCP server "${conn.name}" is not running (${conn.error || conn.status})`));
+    }
+    const id = conn.nextId++;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            conn.pending.delete(id);
+            reject(new Error(`MCP server "${conn.name}" timed out on ${method}`));
+        }, timeout);
+        conn.pending.set(id, { resolve, reject, timer });
+        send(conn, { id, method, params });
+    });
+}
+
+async function connect(conn) {
+    await request(conn, 'initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'puter-ai', version: '2.0.0' },
+    }, 30000);
+    send(conn, { method: 'notifications/initialized' });
+
+    const tools = [];
+    let cursor;
+    do {
+        const result = await request(conn, 'tools/list', cursor ? { cursor } : {});
+        tools.push(...(result?.tools || []));
+        cursor = result?.nextCursor;
+    } while (cursor);
+
+    conn.tools = tools;
+    conn.status = 'connected';
+}
+
+/**
+ * Start every configured MCP server. Servers that fail to start are kept
+ * with status 'failed' so /mcp can show why.
+ *
+ * confirm(lines) is asked whether to trust the project's servers the first
+ * time they are seen (or changed); without a yes they are left out.
+ */
+export async function startMcpServers(projectDir, { confirm } = {}) {
+    const specs = {};
+    const fromProject = new Set();
+    for (const { source, settings } of await loadSettingsLayers(projectDir)) {
+        for (const [name, spec] of Object.entries(settings.mcpServers || {})) {
+            specs[name] = spec;
+            if (source === 'user') fromProject.delete(name);
+            else fromProject.add(name);
+        }
+    }
+
+    const untrusted = Object.fromEntries([...fromProject]
+        .filter(name => !servers.has(name) && specs[name]?.command && !specs[name].disabled)
+        .map(name => [name, specs[name]]));
+    if (Object.keys(untrusted).length > 0) {
+        const lines = Object.entries(untrusted).map(([name, spec]) => `${name}: ${[spec.command, ...(spec.args || [])].join(' ')}`);
+        const trusted = await confirmProjectConfig(projectDir, 'mcpServers', untrusted, () => confirm?.(lines));
+        if (!trusted) for (const name of Object.keys(untrusted)) delete specs[name];
+    }
+
+    await Promise.all(Object.entries(specs).map(async ([name, spec]) => {
+        if (servers.has(name) || spec.disabled) return;
+        if (!spec.command) {
+            servers.set(name, { name, status: 'failed', error: 'no "command" configured', tools: [], pending: new Map() });
+            return;
+        }
+        const conn = createConnection(name, spec, projectDir);
+        servers.set(name, conn);
+        try {
+            await connect(conn);
+        } catch (err) {
+            conn.status = 'failed';
+            conn.error = conn.error || err.message;
+            conn.child.kill();
+        }
+    }));
+
+    return getMcpStatus();
+}
+
+export function stopMcpServers() {
+    for (const conn of servers.values()) {
+        if (conn.child && conn.status !== 'failed') {
+            conn.status = 'stopped';
+            conn.child.kill();
+        }
+    }
+    servers.clear();
+}
+
+// Don't leave server processes behind when the CLI exits
+process.on('exit', stopMcpServers);
+
+/**
+ * Tool definitions for all connected servers, in the same format as TOOL_DEFINITIONS
+ */
+export function getMcpToolDefinitions() {
+    const defs = [];
+    for (const conn of servers.values()) {
+        if (conn.status !== 'connected') continue;
+        for (const tool of conn.tools) {
+            defs.push({
+                type: 'function',
+                function: {
+                    name: `${TOOL_PREFIX}${sanitizeName(conn.name)}__${sanitizeName(tool.name)}`.slice(0, 64),
+                    description: `[MCP: ${conn.name}] ${tool.description || tool.name}`,
+                    parameters: tool.inputSchema || { type: 'object', properties: {} },
+                },
+            });
+        }
+    }
+    return defs;
+}
+
+export function isMcpTool(name) {
+    return name.startsWith(TOOL_PREFIX);
+}
+
+function findTool(name) {
+    for (const conn of servers.values()) {
+        const prefix = `${TOOL_PREFIX}${sanitizeName(conn.name)}__`;
+        if (!name.startsWith(prefix)) continue;
+        const tool = conn.tools.find(t => `${prefix}${sanitizeName(t.name)}`.slice(0, 64) === name);
+        if (tool) return { conn, tool };
+    }
+    return null;
+}
+
+/**
+ * Call an MCP tool and flatten its content blocks into text for the model
+ */
+export async function callMcpTool(name, args) {
+    const found = findTool(name);
+    if (!found) return `Error: Unknown MCP tool: ${name}`;
+
+    try {
+        const result = await request(found.conn, 'tools/call', { name: found.tool.name, arguments: args || {} });
+        const parts = (result?.content || []).map((block) => {
+            if (block.type === 'text') return block.text;
+            if (block.type === 'resource') return block.resource?.text || `[resource: ${block.resource?.uri}]`;
+            return `[${block.type} content omitted]`;
+        });
+        if (parts.length === 0 && result?.structuredContent) parts.push(JSON.stringify(result.structuredContent, null, 2));
+        const text = parts.join('\n') || '(no output)';
+        return result?.isError ? `Error from MCP tool ${found.tool.name}: ${text}` : text;
+    } catch (err) {
+        return `Error calling MCP tool ${found.tool.name}: ${err.message}`;
+    }
+}
+
+export function getMcpStatus() {
+    return [...servers.values()].map(conn => ({
+        name: conn.name,
+        status: conn.status,
+        error: conn.error,
+        tools: conn.tools.map(t => t.name),
+    }));
+}
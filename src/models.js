@@ -1,5 +1,8 @@
 import chalk from 'chalk';
 import readline from 'readline';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './auth.js';
 
 export const POPULAR_MODELS = [
     // OpenAI
@@ -66,28 +69,320 @@ export const RECOMMENDED_AGENT_MODELS = [
     { id: 'llama-3.1-sonar-large-128k-online', label: 'Perplexity Sonar (Online)', desc: 'Real-time web search capabilities' },
 ];
 
-export function formatModelsTable() {
-    let currentVendor = '';
-    const lines = [];
+// Context window sizes (tokens) by model ID prefix — longest prefix wins
+const CONTEXT_LIMITS = {
+    'gpt-5': 400000,
+    'gpt-4o': 128000,
+    'o3': 200000,
+    'o4-mini': 200000,
+    'claude': 200000,
+    'gemini': 1000000,
+    'grok-4': 256000,
+    'grok-3': 131072,
+    'deepseek': 64000,
+    'mistral': 128000,
+    'meta-llama/llama-4': 1000000,
+    'qwen': 32768,
+    'llama-3.1-sonar': 127072,
+};
 
-    for (const m of POPULAR_MODELS) {
-        if (m.vendor !== currentVendor) {
-            currentVendor = m.vendor;
-            lines.push('');
-            lines.push(chalk.bold(`  -- ${currentVendor} --`));
+const DEFAULT_CONTEXT_LIMIT = 128000;
+
+// Capabilities of model families when the provider doesn't say — longest prefix wins
+const TOOL_PREFIXES = ['gpt-4', 'gpt-5', 'o3', 'o4-mini', 'claude', 'gemini', 'grok', 'deepseek-chat', 'mistral', 'meta-llama/llama-4', 'qwen'];
+const NO_TOOL_PREFIXES = ['llama-3.1-sonar', 'deepseek-r1', 'deepseek-reasoner', 'o1-mini', 'o1-preview'];
+const VISION_PREFIXES = ['gpt-4o', 'gpt-4.1', 'gpt-5', 'o3', 'o4-mini', 'claude', 'gemini', 'grok-4', 'meta-llama/llama-4', 'mistral-medium-3', 'qwen-vl', 'llava'];
+
+function longestPrefix(prefixes, model) {
+    let best = '';
+    for (const prefix of prefixes) {
+        if (model.startsWith(prefix) && prefix.length > best.length) best = prefix;
+    }
+    return best;
+}
+
+// Context lengths reported by the provider's catalog, once one has been loaded
+const catalogContext = new Map();
+
+/**
+ * Context window for a model ID (falls back to a conservative default)
+ */
+export function getContextLimit(model = '') {
+    if (catalogContext.has(model)) return catalogContext.get(model);
+    const best = longestPrefix(Object.keys(CONTEXT_LIMITS), model);
+    return best ? CONTEXT_LIMITS[best] : DEFAULT_CONTEXT_LIMIT;
+}
+
+// ─── Model catalog ───
+
+/**
+ * The provider's model list, cached per provider in MODELS_CACHE_FILE for
+ * CATALOG_TTL_MS. When the provider can't be reached an expired cache is
+ * still used. Without one, Puter falls back to the built-in POPULAR_MODELS
+ * list; other providers get an empty catalog, since Puter's models say
+ * nothing about what an OpenAI-compatible server or Ollama offers.
+ *
+ * Every entry is normalised to
+ *   { id, name, vendor, aliases, contextLength, tools, vision, description }
+ * where tools/vision are true, false or null (unknown).
+ */
+export const MODELS_CACHE_FILE = path.join(path.dirname(config.path), 'models-cache.json');
+const CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+
+const VENDOR_NAMES = {
+    'openai-completion': 'OpenAI',
+    openai: 'OpenAI',
+    claude: 'Anthropic',
+    anthropic: 'Anthropic',
+    gemini: 'Google',
+    google: 'Google',
+    xai: 'xAI',
+    'x-ai': 'xAI',
+    deepseek: 'DeepSeek',
+    mistral: 'Mistral',
+    mistralai: 'Mistral',
+    'meta-llama': 'Meta',
+    qwen: 'Alibaba',
+    perplexity: 'Perplexity',
+    openrouter: 'OpenRouter',
+    'together-ai': 'Together',
+    groq: 'Groq',
+    ollama: 'Ollama',
+};
+
+function guessTools(id) {
+    const yes = longestPrefix(TOOL_PREFIXES, id);
+    const no = longestPrefix(NO_TOOL_PREFIXES, id);
+    if (!yes && !no) return null;
+    return yes.length > no.length;
+}
+
+function guessVision(id) {
+    return longestPrefix(VISION_PREFIXES, id) ? true : null;
+}
+
+function firstBoolean(...values) {
+    return values.find(v => typeof v === 'boolean') ?? null;
+}
+
+/**
+ * One entry of a provider's raw list (Puter, OpenAI-style /models, OpenRouter, Ollama) in catalog form
+ */
+function normalizeModel(raw) {
+    const id = String(raw.id ?? raw.name ?? raw.model ?? '');
+    const owner = raw.provider ?? raw.owned_by ?? (id.includes('/') ? id.split('/')[0] : '');
+    const inputs = raw.modalities?.input ?? raw.architecture?.input_modalities ?? raw.input_modalities;
+    const params = raw.supported_parameters ?? raw.capabilities;
+    return {
+        id,
+        name: raw.name && raw.name !== id ? String(raw.name) : '',
+        vendor: VENDOR_NAMES[String(owner).toLowerCase()] || owner || 'Other',
+        aliases: Array.isArray(raw.aliases) ? raw.aliases.map(String) : [],
+        contextLength: Number(raw.context ?? raw.context_length ?? raw.context_window ?? raw.contextLength) || null,
+        tools: firstBoolean(
+            raw.tools, raw.supports_tools, raw.tool_use, raw.function_calling, raw.capabilities?.tools,
+            Array.isArray(params) ? params.includes('tools') : undefined,
+        ) ?? guessTools(id),
+        vision: firstBoolean(
+            raw.vision, raw.supports_vision, raw.capabilities?.vision,
+            Array.isArray(inputs) ? inputs.includes('image') : undefined,
+            Array.isArray(raw.capabilities) ? raw.capabilities.includes('vision') : undefined,
+        ) ?? guessVision(id),
+        description: raw.description ? String(raw.description).split('\n')[0].slice(0, 80) : '',
+    };
+}
+
+function builtinCatalog() {
+    return POPULAR_MODELS.map(m => ({
+        ...normalizeModel({ id: m.id, description: m.description }),
+        vendor: m.vendor,
+        contextLength: getContextLimit(m.id),
+    }));
+}
+
+async function readCache() {
+    try {
+        return JSON.parse(await fs.readFile(MODELS_CACHE_FILE, 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+async function writeCache(cache) {
+    try {
+        await fs.mkdir(path.dirname(MODELS_CACHE_FILE), { recursive: true });
+        await fs.writeFile(MODELS_CACHE_FILE, JSON.stringify(cache), 'utf-8');
+    } catch { /* the cache is only an optimisation */ }
+}
+
+function remember(models) {
+    for (const m of models) {
+        if (!m.contextLength) continue;
+        for (const id of [m.id, ...m.aliases]) catalogContext.set(id, m.contextLength);
+    }
+}
+
+/**
+ * The model catalog for a provider
+ *
+ * @param {object} provider from createProvider()
+ * @param {object} options
+ * @param {boolean} options.refresh ignore a fresh cache and ask the provider
+ * @returns {Promise<{models: object[], source: 'live'|'cache'|'stale'|'builtin'|'none', fetchedAt: string|null, error: string|null}>}
+ */
+export async function getModelCatalog(provider, { refresh = false } = {}) {
+    const cache = await readCache();
+    const cached = cache[provider.name];
+    const age = cached ? Date.now() - Date.parse(cached.fetchedAt) : Infinity;
+
+    if (cached && !refresh && age < CATALOG_TTL_MS) {
+        remember(cached.models);
+        return { models: cached.models, source: 'cache', fetchedAt: cached.fetchedAt, error: null };
+    }
+
+    let error = null;
+    if (provider.listModels) {
+        try {
+            const models = (await provider.listModels()).map(normalizeModel).filter(m => m.id);
+            if (models.length > 0) {
+                const fetchedAt = new Date().toISOString();
+                await writeCache({ ...cache, [provider.name]: { fetchedAt, models } });
+                remember(models);
+                return { models, source: 'live', fetchedAt, error: null };
+            }
+            error = 'the provider returned no models';
+        } catch (err) {
+            error = err.message;
+        }
+    } else {
+        error = `the ${provider.name} provider can't list models`;
+    }
+
+    if (cached) {
+        remember(cached.models);
+        return { models: cached.models, source: 'stale', fetchedAt: cached.fetchedAt, error };
+    }
+    if (provider.name === 'puter') return { models: builtinCatalog(), source: 'builtin', fetchedAt: null, error };
+    return { models: [], source: 'none', fetchedAt: null, error };
+}
+
+/**
+ * A model by ID or alias (case-insensitive)
+ */
+export function findModel(models, id) {
+    const wanted = String(id).toLowerCase();
+    return models.find(m => m.id.toLowerCase() === wanted || m.aliases.some(a => a.toLowerCase() === wanted)) || null;
+}
+
+/**
+ * Models matching --search (ID, name or description) and --vendor
+ */
+export function filterModels(models, { search, vendor } = {}) {
+    const words = search ? String(search).toLowerCase().split(/\s+/).filter(Boolean) : [];
+    return models.filter((m) => {
+        if (vendor && !m.vendor.toLowerCase().includes(String(vendor).toLowerCase())) return false;
+        const haystack = `${m.id} ${m.aliases.join(' ')} ${m.name} ${m.description}`.toLowerCase();
+        return words.every(w => haystack.includes(w));
+    });
+}
+
+/**
+ * Whether a model takes images: true, false, or null when neither the
+ * provider's list nor the model name tells
+ */
+export async function supportsVision(provider, id) {
+    const catalog = await getModelCatalog(provider);
+    return findModel(catalog.models, id)?.vision ?? guessVision(id);
+}
+
+/**
+ * Warn about a model chosen for agent mode that can't call tools, that the
+ * provider doesn't list, or that can't be checked because the list couldn't
+ * be loaded. Returns true if a warning was printed.
+ */
+export function warnAboutModel(catalog, id) {
+    if (catalog.source === 'none') {
+        console.log(chalk.yellow(`  Warning: could not load the provider's model list (${catalog.error}) — ${id} is not checked.`));
+        return true;
+    }
+    const model = findModel(catalog.models, id);
+    if (model?.tools === false) {
+        console.log(chalk.yellow(`  Warning: ${id} does not support function calling — the agent can't use tools with it.`));
+        return true;
+    }
+    if (!model && catalog.source !== 'builtin') {
+        console.log(chalk.yellow(`  Warning: ${id} is not in the provider's model list (puter-ai models --search to look it up).`));
+        return true;
+    }
+    return false;
+}
+
+function formatContext(n) {
+    if (!n) return '-';
+    return n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : `${Math.round(n / 1000)}k`;
+}
+
+function formatFlag(value) {
+    if (value === true) return chalk.green('yes');
+    if (value === false) return chalk.red('no ');
+    return chalk.dim('?  ');
+}
+
+export function formatModelsTable(models = builtinCatalog()) {
+    const byVendor = new Map();
+    for (const m of models) {
+        if (!byVendor.has(m.vendor)) byVendor.set(m.vendor, []);
+        byVendor.get(m.vendor).push(m);
+    }
+
+    const width = Math.min(44, Math.max(20, ...models.map(m => m.id.length)));
+    const lines = ['', chalk.dim(`    ${'Model'.padEnd(width)} ${'Context'.padStart(7)}  Tools  Vision`)];
+    for (const [vendor, list] of [...byVendor].sort((a, b) => a[0].localeCompare(b[0]))) {
+        lines.push('');
+        lines.push(chalk.bold(`  -- ${vendor} --`));
+        for (const m of list.sort((a, b) => a.id.localeCompare(b.id))) {
+            const about = m.description || m.name;
+            lines.push(`    ${chalk.white(m.id.padEnd(width))} ${formatContext(m.contextLength).padStart(7)}  ${formatFlag(m.tools)}    ${formatFlag(m.vision)}` +
+                (about ? `    ${chalk.dim(about)}` : ''));
         }
-        lines.push(`    ${chalk.white(m.id.padEnd(38))} ${chalk.dim(m.description)}`);
     }
 
     return lines.join('\n');
 }
 
 /**
- * Interactive model picker — shows a numbered list and lets user choose
+ * The agent model when none was chosen and there is nobody to ask: the
+ * provider's configured default, Claude Sonnet on Puter, else Claude Sonnet
+ * or the first other recommended model the provider's catalog offers
+ *
+ * @returns {Promise<string|null>} null when nothing fits
+ */
+export async function defaultAgentModel(provider) {
+    const preferred = 'claude-sonnet-4.6';
+    if (provider.defaultModel) return provider.defaultModel;
+    if (provider.name === 'puter') return preferred;
+    const { models } = await getModelCatalog(provider);
+    return [preferred, ...RECOMMENDED_AGENT_MODELS.map(m => m.id)].find(id => findModel(models, id)) ?? null;
+}
+
+/**
+ * Interactive model picker — shows a numbered list and lets user choose.
+ * With a catalog, recommendations the provider doesn't offer are left out
+ * and the choice is checked for tool support.
  */
-export function pickModel(defaultModel = 'claude-sonnet-4.6') {
+export async function pickModel(defaultModel = 'claude-sonnet-4.6', { catalog } = {}) {
+    const model = await askForModel(defaultModel, catalog);
+    if (catalog) warnAboutModel(catalog, model);
+    return model;
+}
+
+function askForModel(defaultModel, catalog) {
     return new Promise((resolve) => {
-        const models = RECOMMENDED_AGENT_MODELS;
+        let models = RECOMMENDED_AGENT_MODELS;
+        if (catalog && catalog.source !== 'builtin') {
+            const offered = models.filter(m => findModel(catalog.models, m.id));
+            if (offered.length > 0) models = offered;
+        }
 
         console.log(chalk.bold.cyan('\n  Select a model:\n'));
 
@@ -0,0 +1,94 @@
+/**
+ * Machine-readable output for `do` and `chat`.
+ *
+ *   text        — the normal coloured terminal output
+ *   json        — a single result object on stdout when the run ends
+ *   stream-json — one NDJSON event per line as the run progresses, ending
+ *                 with the same result object
+ *
+ * In the machine formats stdout carries nothing but JSON; all human output
+ * is silenced.
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+// Every way of being stopped by a limit (--max-steps, --max-tokens-budget, --timeout) exits with 2
+export const EXIT_CODES = {
+    success: 0,
+    error: 1,
+    max_iterations: 2,
+    budget_exceeded: 2,
+    timeout: 2,
+};
+
+/**
+ * Plain text output — no spinner, colours or rendered markdown — for --raw,
+ * or when stdout is piped or redirected
+ */
+export function isRawOutput(options = {}) {
+    return Boolean(options.raw) || !process.stdout.isTTY;
+}
+
+export function validateOutputFormat(format = 'text') {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new Error(`Invalid --output-format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+const ERROR_RESULT_RE = /^(Error|Operation denied|Operation skipped)/;
+// How run_command results start when the command failed (see processes.js)
+const FAILED_COMMAND_RE = /^Command (exited with code|timed out|killed by|cancelled)/;
+
+/**
+ * Whether a tool result reports a failure (`is_error` in the machine formats):
+ * tool errors, refused calls, and commands that exited non-zero, timed out or
+ * were stopped
+ */
+export function isErrorResult(name, result) {
+    if (typeof result !== 'string') return false;
+    return ERROR_RESULT_RE.test(result) || (name === 'run_command' && FAILED_COMMAND_RE.test(result));
+}
+
+function writeJson(obj) {
+    process.stdout.write(JSON.stringify(obj) + '\n');
+}
+
+/**
+ * Create a reporter for a machine format, or null for plain text output
+ */
+export function createReporter(format = 'text') {
+    if (validateOutputFormat(format) === 'text') return null;
+
+    const startedAt = Date.now();
+    const original = { log: console.log, error: console.error, warn: console.warn, info: console.info };
+
+    // Keep stdout clean: anything printed for humans is dropped
+    const noop = () => {};
+    console.log = console.error = console.warn = console.info = noop;
+
+    return {
+        format,
+
+        /**
+         * Record a progress event (only written in stream-json)
+         */
+        event(type, data = {}) {
+            if (format === 'stream-json') writeJson({ type, ...data, timestamp: new Date().toISOString() });
+        },
+
+        /**
+         * Write the final result object and restore the console
+         */
+        finish(result) {
+            Object.assign(console, original);
+            writeJson({ type: 'result', ...result, duration_ms: Date.now() - startedAt });
+        },
+    };
+}
+
+/**
+ * Report an error that happened before a reporter existed (bad token, bad flags, ...)
+ */
+export function printErrorResult(err) {
+    writeJson({ type: 'result', status: 'error', error: err.message });
+}
@@ -0,0 +1,228 @@
+import path from 'path';
+import { matchGlob, matchPath } from './glob.js';
+import { loadSettingsLayers, projectSettingsPath, readSettingsFile, writeSettingsFile, confirmProjectConfig, isProjectConfigTrusted, trustProjectConfig } from './settings.js';
+
+/**
+ * Permission rules decide per tool call whether to allow, deny or ask,
+ * before falling back to TOOL_RISK and the auto-approve toggle.
+ *
+ * Rules are read from the `permissions` key of every settings layer (see
+ * settings.js); "always allow" answers land in .puter/settings.local.json.
+ *
+ * Format, in every layer:
+ *   { "permissions": {
+ *       "allow": { "run_command": ["npm test*"], "write_file": ["src/**"] },
+ *       "deny":  { "run_command": ["rm *"] },
+ *       "ask":   { "edit_file": ["package.json"] } } }
+ *
+ * A deny rule always wins over ask, and ask over allow.
+ *
+ * Allow rules from the project's files come with the repository, so they
+ * only count once the user trusts them (see settings.js); deny and ask rules
+ * apply straight away.
+ *
+ * Shell commands are also checked part by part (see splitCommand): a deny or
+ * ask rule matching any part applies, and an allow rule only counts when
+ * every part is allowed — so "npm test*" does not let through
+ * "npm test && rm -rf ~".
+ */
+
+const ACTIONS = ['deny', 'ask', 'allow'];
+const PATH_TOOLS = new Set(['read_file', 'write_file', 'edit_file', 'list_directory', 'search_files']);
+
+function collectRules(permissions, source, rules) {
+    for (const action of ACTIONS) {
+        for (const [tool, patterns] of Object.entries(permissions?.[action] || {})) {
+            for (const pattern of [].concat(patterns)) {
+                rules.push({ action, tool, pattern: String(pattern), source });
+            }
+        }
+    }
+}
+
+async function projectAllowRules(projectDir) {
+    const rules = [];
+    for (const { source, settings } of await loadSettingsLayers(projectDir)) {
+        if (source !== 'user') collectRules({ allow: settings.permissions?.allow }, source, rules);
+    }
+    return rules;
+}
+
+/**
+ * Load and merge the rules from all sources. The project's allow rules are
+ * left out unless trusted: confirm(lines) is asked the first time they are
+ * seen (or changed).
+ */
+export async function loadPermissionRules(projectDir, { confirm } = {}) {
+    const rules = [];
+    for (const { source, settings } of await loadSettingsLayers(projectDir)) {
+        collectRules(settings.permissions, source, rules);
+    }
+
+    const fromProject = rules.filter(r => r.action === 'allow' && r.source !== 'user');
+    if (fromProject.length > 0) {
+        const lines = fromProject.map(r => `${r.tool}: ${r.pattern}`);
+        const trusted = await confirmProjectConfig(projectDir, 'permissions', fromProject, () => confirm?.(lines));
+        if (!trusted) return rules.filter(r => !fromProject.includes(r));
+    }
+    return rules;
+}
+
+/**
+ * The string a rule pattern is matched against for a given tool call
+ */
+export function ruleSubject(name, args, projectDir) {
+    if (name === 'run_command') return (args.command || '').trim();
+    if (PATH_TOOLS.has(name)) {
+        return path.relative(projectDir, path.resolve(projectDir, args.path || '.')).split(path.sep).join('/') || '.';
+    }
+    if (name === 'web_search') return args.query || '';
+    return JSON.stringify(args);
+}
+
+function isRedirect(command, i) {
+    // The & in 2>&1, &> and <&3, and the | in >| belong to a redirection
+    const prev = command[i - 1];
+    return prev === '>' || prev === '<' || (command[i] === '&' && command[i + 1] === '>');
+}
+
+/**
+ * The simple commands a shell command line runs: split on &&, ||, ;, |, & and
+ * newlines, with $(...), <(...), >(...) and `...` substitutions as commands of
+ * their own. Nothing is split inside single quotes; inside double quotes only
+ * substitutions count.
+ *
+ *   splitCommand('npm test && echo "$(whoami)"') → ['npm test', 'whoami', 'echo ""']
+ */
+export function splitCommand(command) {
+    const segments = [];
+    // One frame per nesting level; close is what ends a substitution
+    const frames = [{ text: '', quote: null, close: null }];
+    const flush = (frame) => {
+        const text = frame.text.trim();
+        if (text) segments.push(text);
+        frame.text = '';
+    };
+
+    for (let i = 0; i < command.length; i++) {
+        const frame = frames[frames.length - 1];
+        const ch = command[i];
+        const next = command[i + 1];
+
+        if (frame.quote === "'") {
+            if (ch === "'") frame.quote = null;
+            frame.text += ch;
+        } else if (ch === '\\') {
+            frame.text += ch + (next ?? '');
+            i++;
+        } else if (next === '(' && (ch === '$' || ((ch === '<' || ch === '>') && !frame.quote))) {
+            frames.push({ text: '', quote: null, close: ')' });
+            i++;
+        } else if (ch === '`' && frame.close === '`') {
+            flush(frame);
+            frames.pop();
+        } else if (ch === '`') {
+            frames.push({ text: '', quote: null, close: '`' });
+        } else if (ch === ')' && frame.close === ')' && !frame.quote) {
+            flush(frame);
+            frames.pop();
+        } else if (frame.quote === '"') {
+            if (ch === '"') frame.quote = null;
+            frame.text += ch;
+        } else if (ch === '"' || ch === "'") {
+            frame.quote = ch;
+            frame.text += ch;
+        } else if ((ch === '&' || ch === '|') && next === ch) {
+            flush(frame);
+            i++;
+        } else if (ch === ';' || ch === '\n' || ((ch === '&' || ch === '|') && !isRedirect(command, i))) {
+            flush(frame);
+        } else {
+            frame.text += ch;
+        }
+    }
+    // Unclosed substitutions still run whatever they contain
+    for (const frame of frames.reverse()) flush(frame);
+    return segments;
+}
+
+function evaluateCommand(rules, command) {
+    const commandRules = rules.filter(r => r.tool === 'run_command' || r.tool === '*');
+    const matching = (subject) => commandRules.filter(r => matchGlob(r.pattern, subject, { pathMode: false }));
+    const segments = splitCommand(command);
+
+    for (const action of ['deny', 'ask']) {
+        for (const subject of [command, ...segments]) {
+            const rule = matching(subject).find(r => r.action === action);
+            if (rule) return rule;
+        }
+    }
+
+    // An "always allow" answer saves the exact command line, which covers all of it
+    const exact = commandRules.find(r => r.action === 'allow' && r.pattern === command);
+    if (exact) return exact;
+    const allowed = segments.map(segment => matching(segment).find(r => r.action === 'allow'));
+    return allowed.length > 0 && allowed.every(Boolean) ? allowed[0] : null;
+}
+
+/**
+ * Find the rule that applies to a tool call
+ *
+ * @returns {{action: 'allow'|'deny'|'ask', tool: string, pattern: string, source: string} | null}
+ */
+export function evaluatePermission(rules, name, args, projectDir) {
+    if (name === 'read_files') {
+        // Each file is checked like a read_file call (read_file rules apply too); the strictest answer wins
+        const fileRules = rules
+            .filter(r => r.tool === 'read_files' || r.tool === 'read_file' || r.tool === '*')
+            .map(r => ({ ...r, tool: 'read_file' }));
+        const found = [].concat(args.paths || []).map(p => evaluatePermission(fileRules, 'read_file', { path: String(p) }, projectDir));
+        for (const action of ACTIONS) {
+            const rule = found.find(r => r?.action === action);
+            if (rule) return rule;
+        }
+        return null;
+    }
+
+    if (name === 'run_command') return evaluateCommand(rules, ruleSubject(name, args, projectDir));
+
+    const subject = ruleSubject(name, args, projectDir);
+    const matches = rules.filter(r => (r.tool === name || r.tool === '*') && (
+        PATH_TOOLS.has(name)
+            ? matchPath(r.pattern, subject)
+            : matchGlob(r.pattern, subject, { pathMode: false })
+    ));
+    for (const action of ACTIONS) {
+        const rule = matches.find(r => r.action === action);
+        if (rule) return rule;
+    }
+    return null;
+}
+
+/**
+ * Pattern offered for "always allow": the exact command or file path
+ */
+export function suggestAllowPattern(name, args, projectDir) {
+    if (PATH_TOOLS.has(name) || name === 'run_command') return ruleSubject(name, args, projectDir);
+    return '*';
+}
+
+/**
+ * Persist an allow rule to .puter/settings.local.json. The user gave it, so
+ * it doesn't make the project's allow rules need confirming again.
+ */
+export async function addAllowRule(projectDir, tool, pattern) {
+    const before = await projectAllowRules(projectDir);
+    const wasTrusted = before.length === 0 || isProjectConfigTrusted(projectDir, 'permissions', before);
+    const file = projectSettingsPath(projectDir, true);
+    const settings = await readSettingsFile(file);
+    settings.permissions ??= {};
+    settings.permissions.allow ??= {};
+    const patterns = [].concat(settings.permissions.allow[tool] || []);
+    if (!patterns.includes(pattern)) patterns.push(pattern);
+    settings.permissions.allow[tool] = patterns;
+
+    await writeSettingsFile(file, settings);
+    if (wasTrusted) trustProjectConfig(projectDir, 'permissions', await projectAllowRules(projectDir));
+    return file;
+}
@@ -0,0 +1,69 @@
+import { TOOL_RISK } from './tools.js';
+
+/**
+ * Plan mode: the agent may only look around (the read-only `safe` tools) and
+ * answers with a numbered plan. Once the user approves it, the plan is pinned
+ * into the system prompt so it survives compaction, and the agent carries it out.
+ */
+// Safe to run without asking, but they change something
+const NOT_READ_ONLY = new Set(['kill_command']);
+
+export const PLAN_TOOLS = Object.keys(TOOL_RISK).filter(name => TOOL_RISK[name] === 'safe' && !NOT_READ_ONLY.has(name));
+
+// Added after each user message while plan mode is on
+export const PLAN_MODE_NOTE = `[Plan mode: you can only read, list and search — do not try to change files or run commands. Investigate what you need, then reply with a short summary of your findings followed by a plan under a "## Plan" heading: a numbered list with one step per line, naming the files to change, what changes, and how to verify the result. If something is unclear, list your questions under "## Questions" instead of guessing.]`;
+
+export const EXECUTE_PLAN_PROMPT = 'The plan is approved. Carry it out now, step by step.';
+
+/**
+ * The numbered steps under the last "Plan" heading of a reply (or, without
+ * such a heading, its last numbered list). Null if the reply has no plan.
+ *
+ * @returns {{steps: string[], text: string}|null}
+ */
+export function extractPlan(text) {
+    if (!text) return null;
+    const lines = text.split('\n');
+    let start = -1;
+    lines.forEach((line, i) => { if (/^#{1,4}\s*(?:\w+\s+)?plan\b/i.test(line.trim())) start = i + 1; });
+
+    const steps = [];
+    const collect = (from) => {
+        let afterBlank = false;
+        for (let i = from; i < lines.length; i++) {
+            const line = lines[i];
+            const item = line.match(/^\s*(?:\d+[.)]|[-*](?:\s+\[[ x]\])?)\s+(.*)$/);
+            const indented = /^\s{2,}/.test(line);
+            if (!line.trim()) { afterBlank = true; continue; }
+            // A heading or an unindented paragraph after the list ends it
+            if (steps.length > 0 && (/^#{1,4}\s/.test(line.trim()) || (afterBlank && !item && !indented))) break;
+            afterBlank = false;
+            if (item && !indented) steps.push(item[1].trim());
+            else if (steps.length > 0) steps[steps.length - 1] += ` ${line.trim()}`;
+        }
+    };
+
+    if (start !== -1) {
+        collect(start);
+    } else {
+        // No heading: the last run of numbered lines
+        const numbered = lines.map((l, i) => (/^\d+[.)]\s+/.test(l.trim()) && !/^\s{2,}/.test(l) ? i : -1)).filter(i => i !== -1);
+        if (numbered.length < 2) return null;
+        let first = numbered.length - 1;
+        while (first > 0 && numbered[first] - numbered[first - 1] <= 3) first--;
+        collect(numbered[first]);
+    }
+
+    if (steps.length === 0) return null;
+    return { steps, text: steps.map((s, i) => `${i + 1}. ${s}`).join('\n') };
+}
+
+/**
+ * The system prompt section for an approved plan ('' if none)
+ */
+export function formatPinnedPlan(plan) {
+    if (!plan) return '';
+    return '\n\n# Approved plan\n\n' +
+        'The user approved this plan. Follow it step by step; if a step turns out to be wrong or impossible, ' +
+        `say so and explain how you are adapting instead of silently deviating.\n\n${plan.text}`;
+}
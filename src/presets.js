@@ -0,0 +1,125 @@
+import chalk from 'chalk';
+import { config } from './auth.js';
+
+/**
+ * Named presets: a model and the settings that go with it, stored in config
+ * under `presets`:
+ *
+ *   { "presets": { "review": { "model": "claude-opus-4.6", "temperature": 0.2,
+ *       "maxTokens": 4000, "system": "Be terse.", "reasoningEffort": "high",
+ *       "allowedTools": ["read_file", "search_files"] } } }
+ *
+ * Selected with --preset on any command or /preset in the REPLs. Options
+ * given on the command line win over the preset's.
+ */
+export const PRESET_FIELDS = ['model', 'temperature', 'maxTokens', 'system', 'reasoningEffort', 'allowedTools'];
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+export function listPresets() {
+    return config.get('presets') || {};
+}
+
+export function getPreset(name) {
+    const preset = listPresets()[name];
+    if (!preset) {
+        const names = Object.keys(listPresets());
+        throw new Error(`Unknown preset "${name}". ${names.length ? `Available: ${names.join(', ')}` : 'Create one with: puter-ai preset add <name> -m <model>'}`);
+    }
+    return { name, ...preset };
+}
+
+/**
+ * Checked and converted preset values (CLI strings become numbers and lists)
+ */
+export function validatePreset(values) {
+    const preset = {};
+    if (values.model) preset.model = String(values.model);
+    if (values.temperature != null) {
+        const t = Number(values.temperature);
+        if (!Number.isFinite(t) || t < 0 || t > 2) throw new Error(`temperature must be between 0 and 2, got "${values.temperature}"`);
+        preset.temperature = t;
+    }
+    if (values.maxTokens != null) {
+        const n = Number(values.maxTokens);
+        if (!Number.isInteger(n) || n <= 0) throw new Error(`max tokens must be a positive whole number, got "${values.maxTokens}"`);
+        preset.maxTokens = n;
+    }
+    if (values.system) preset.system = String(values.system);
+    if (values.reasoningEffort) {
+        if (!REASONING_EFFORTS.includes(values.reasoningEffort)) {
+            throw new Error(`reasoning effort must be one of ${REASONING_EFFORTS.join(', ')}, got "${values.reasoningEffort}"`);
+        }
+        preset.reasoningEffort = values.reasoningEffort;
+    }
+    if (values.allowedTools) {
+        const tools = [].concat(values.allowedTools).flatMap(t => String(t).split(',')).map(t => t.trim()).filter(Boolean);
+        if (tools.length > 0) preset.allowedTools = tools;
+    }
+    if (Object.keys(preset).length === 0) throw new Error('A preset needs at least one setting (e.g. -m <model>)');
+    return preset;
+}
+
+export function savePreset(name, values) {
+    if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid preset name "${name}" — use letters, digits, ".", "-" and "_"`);
+    const preset = validatePreset(values);
+    config.set('presets', { ...listPresets(), [name]: preset });
+    return { name, ...preset };
+}
+
+export function removePreset(name) {
+    const presets = listPresets();
+    if (!presets[name]) return false;
+    delete presets[name];
+    config.set('presets', presets);
+    return true;
+}
+
+/**
+ * Command options with the --preset's values filled in where no flag was given
+ */
+export function applyPreset(options) {
+    if (!options.preset) return options;
+    const preset = getPreset(options.preset);
+    const merged = { ...options };
+    for (const field of PRESET_FIELDS) {
+        if (merged[field] == null && preset[field] != null) merged[field] = preset[field];
+    }
+    return merged;
+}
+
+/**
+ * The provider.chat() parameters among a command's (or preset's) options
+ */
+export function chatParams(options) {
+    const params = {};
+    if (options.temperature != null) params.temperature = parseFloat(options.temperature);
+    if (options.maxTokens != null) params.max_tokens = parseInt(options.maxTokens);
+    if (options.reasoningEffort) params.reasoning_effort = options.reasoningEffort;
+    return params;
+}
+
+/**
+ * "claude-opus-4.6 · temperature 0.2 · max 4000 tokens · ..."
+ */
+export function describePreset(preset) {
+    const parts = [];
+    if (preset.model) parts.push(preset.model);
+    if (preset.temperature != null) parts.push(`temperature ${preset.temperature}`);
+    if (preset.maxTokens != null) parts.push(`max ${preset.maxTokens} tokens`);
+    if (preset.reasoningEffort) parts.push(`${preset.reasoningEffort} reasoning`);
+    if (preset.allowedTools) parts.push(`tools: ${preset.allowedTools.join(', ')}`);
+    if (preset.system) parts.push(`system: "${preset.system.replace(/\s+/g, ' ').slice(0, 40)}${preset.system.length > 40 ? '...' : ''}"`);
+    return parts.join(' · ');
+}
+
+export function printPresets(current = null) {
+    const presets = Object.entries(listPresets());
+    if (presets.length === 0) {
+        console.log(chalk.dim('  No presets yet. Create one with: puter-ai preset add <name> -m <model> [-t 0.2] [--system "..."]'));
+        return;
+    }
+    for (const [name, preset] of presets.sort((a, b) => a[0].localeCompare(b[0]))) {
+        const marker = name === current ? chalk.green('* ') : '  ';
+        console.log(`  ${marker}${chalk.cyan(name.padEnd(14))} ${chalk.dim(describePreset(preset))}`);
+    }
+}
@@ -0,0 +1,219 @@
+import { spawn } from 'child_process';
+
+/**
+ * Shell command runner for the agent: foreground commands stream their
+ * output and can be cancelled with Ctrl-C, background commands keep running
+ * and are polled with command_output / stopped with kill_command.
+ */
+
+export const DEFAULT_TIMEOUT = 120;   // seconds
+export const MAX_TIMEOUT = 1800;      // seconds
+const MAX_BUFFER = 512 * 1024;        // chars kept per process
+const MAX_RETURNED = 30000;           // chars handed back to the model at once
+
+const background = new Map();         // id -> job
+let nextJobId = 1;
+let foreground = null;                // the job currently running in the foreground
+
+function spawnShell(command, cwd) {
+    // On POSIX give the command its own process group so the whole tree can be killed
+    return spawn(command, {
+        cwd,
+        shell: true,
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, FORCE_COLOR: '0' },
+    });
+}
+
+function killTree(child, signal = 'SIGTERM') {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    try {
+        if (process.platform === 'win32') child.kill(signal);
+        else process.kill(-child.pid, signal);
+    } catch { /* already gone */ }
+}
+
+function createJob(command, cwd, onOutput) {
+    const child = spawnShell(command, cwd);
+    const job = {
+        command,
+        child,
+        output: '',
+        dropped: 0,         // chars discarded from the front once MAX_BUFFER is hit
+        readOffset: 0,      // absolute position command_output has read up to
+        exitCode: null,
+        signal: null,
+        startedAt: Date.now(),
+        timedOut: false,
+        cancelled: false,
+    };
+
+    const append = (chunk) => {
+        const text = chunk.toString();
+        job.output += text;
+        if (job.output.length > MAX_BUFFER) {
+            const excess = job.output.length - MAX_BUFFER;
+            job.output = job.output.slice(excess);
+            job.dropped += excess;
+        }
+        onOutput?.(text);
+    };
+    child.stdout.on('data', append);
+    child.stderr.on('data', append);
+
+    job.done = new Promise((resolve) => {
+        child.on('error', (err) => {
+            append(`${err.message}\n`);
+            job.exitCode = 127;
+            resolve(job);
+        });
+        child.on('close', (code, signal) => {
+            job.exitCode = code;
+            job.signal = signal;
+            resolve(job);
+        });
+    });
+
+    return job;
+}
+
+/**
+ * Shorten output for the model, keeping the beginning and (mostly) the end
+ */
+function clip(text) {
+    if (text.length <= MAX_RETURNED) return text;
+    const head = Math.floor(MAX_RETURNED / 3);
+    const tail = MAX_RETURNED - head;
+    return `${text.slice(0, head)}\n\n... (${text.length - MAX_RETURNED} chars omitted) ...\n\n${text.slice(-tail)}`;
+}
+
+function describeExit(job) {
+    if (job.cancelled) return 'Command cancelled by user (Ctrl-C)';
+    if (job.timedOut) return `Command timed out and was killed`;
+    if (job.signal) return `Command killed by ${job.signal}`;
+    return `Command exited with code ${job.exitCode}`;
+}
+
+/**
+ * Cancel the foreground command (Ctrl-C). Returns false if none is running.
+ */
+export function cancelForeground() {
+    if (!foreground) return false;
+    foreground.cancelled = true;
+    killTree(foreground.child, 'SIGINT');
+    // Escalate if it ignores SIGINT
+    const job = foreground;
+    setTimeout(() => killTree(job.child, 'SIGKILL'), 2000).unref();
+    return true;
+}
+
+/**
+ * Run a command in the foreground, streaming output through onOutput
+ *
+ * @param {number} timeout seconds
+ */
+export async function runForeground(command, { cwd, timeout = DEFAULT_TIMEOUT, onOutput } = {}) {
+    const seconds = Math.min(Math.max(Number(timeout) || DEFAULT_TIMEOUT, 1), MAX_TIMEOUT);
+    const job = createJob(command, cwd, onOutput);
+    foreground = job;
+
+    // Outside a readline REPL, Ctrl-C arrives as a process signal
+    const onSigint = () => cancelForeground();
+    process.on('SIGINT', onSigint);
+
+    const timer = setTimeout(() => {
+        job.timedOut = true;
+        killTree(job.child, 'SIGTERM');
+        setTimeout(() => killTree(job.child, 'SIGKILL'), 2000).unref();
+    }, seconds * 1000);
+
+    try {
+        await job.done;
+    } finally {
+        clearTimeout(timer);
+        process.off('SIGINT', onSigint);
+        foreground = null;
+    }
+
+    const output = job.output.trimEnd();
+    if (job.exitCode === 0 && !job.cancelled && !job.timedOut) {
+        return clip(output) || '(command completed with no output)';
+    }
+    const reason = job.timedOut ? `${describeExit(job)} after ${seconds}s` : describeExit(job);
+    return `${reason}\n${clip(output)}`.trim();
+}
+
+/**
+ * Start a command in the background and return its job ID
+ */
+export function startBackground(command, { cwd } = {}) {
+    const job = createJob(command, cwd);
+    job.id = nextJobId++;
+    background.set(job.id, job);
+    return job;
+}
+
+function findJob(id) {
+    const job = background.get(Number(id));
+    if (!job) throw new Error(`No background command with id ${id}. Running: ${[...background.keys()].join(', ') || 'none'}`);
+    return job;
+}
+
+function jobStatus(job) {
+    if (job.exitCode === null && job.signal === null) return `running (${Math.round((Date.now() - job.startedAt) / 1000)}s)`;
+    return describeExit(job).replace(/^Command /, '');
+}
+
+/**
+ * New output of a background command since the last call
+ *
+ * @param {number} wait seconds to wait for the command to finish first (optional)
+ */
+export async function readBackgroundOutput(id, { wait = 0 } = {}) {
+    const job = findJob(id);
+    if (wait > 0 && job.exitCode === null) {
+        await Promise.race([job.done, new Promise(r => setTimeout(r, Math.min(wait, 300) * 1000))]);
+    }
+
+    const start = Math.max(job.readOffset - job.dropped, 0);
+    const skipped = Math.max(job.dropped - job.readOffset, 0);
+    const fresh = job.output.slice(start);
+    job.readOffset = job.dropped + job.output.length;
+
+    const header = `[#${job.id} ${job.command}] ${jobStatus(job)}`;
+    const note = skipped > 0 ? `\n(${skipped} chars of older output were discarded)` : '';
+    return `${header}${note}\n${clip(fresh.trimEnd()) || '(no new output)'}`;
+}
+
+export async function killBackground(id) {
+    const job = findJob(id);
+    if (job.exitCode !== null || job.signal !== null) {
+        return `Background command #${job.id} already finished: ${jobStatus(job)}`;
+    }
+    killTree(job.child, 'SIGTERM');
+    const exited = await Promise.race([job.done.then(() => true), new Promise(r => setTimeout(() => r(false), 3000))]);
+    if (!exited) {
+        killTree(job.child, 'SIGKILL');
+        await job.done;
+    }
+    return `Killed background command #${job.id} (${job.command})`;
+}
+
+export function listBackground() {
+    return [...background.values()].map(job => ({ id: job.id, command: job.command, status: jobStatus(job) }));
+}
+
+/**
+ * Kill every background command (end of a one-shot run)
+ */
+export function killAllBackground() {
+    for (const job of background.values()) killTree(job.child, 'SIGKILL');
+    background.clear();
+}
+
+// Background commands must not outlive the CLI
+process.on('exit', () => {
+    killAllBackground();
+    if (foreground) killTree(foreground.child, 'SIGKILL');
+});
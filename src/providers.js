@@ -0,0 +1,310 @@
+import { initPuter, config } from './auth.js';
+
+/**
+ * LLM provider layer.
+ *
+ * Every provider exposes the same surface as puter.ai.chat so chat.js and
+ * agent.js don't care which backend they talk to:
+ *
+ *   provider.chat(messages, { model, stream, temperature, max_tokens, reasoning_effort, tools, signal })
+ *     - non-streaming: resolves to { message: { role, content, tool_calls }, usage }
+ *     - streaming:     resolves to an async iterable of { text } chunks
+ *                      (plus a final { tool_calls } chunk if the model called tools,
+ *                      and a { usage } chunk if the backend reports usage)
+ *
+ *   provider.listModels()
+ *     - resolves to the backend's raw model list (see models.js for how it is read)
+ *
+ * Settings live in config under `providers.<name>` ({ baseUrl, apiKey, model }),
+ * and the active provider under `provider` (default: puter).
+ */
+export const PROVIDERS = ['puter', 'openai', 'ollama'];
+
+const DEFAULT_BASE_URLS = {
+    openai: 'https://api.openai.com/v1',
+    ollama: 'http://localhost:11434',
+};
+
+export function getProviderName(override) {
+    return override || process.env.PUTER_AI_PROVIDER || config.get('provider') || 'puter';
+}
+
+export function getProviderConfig(name) {
+    return config.get(`providers.${name}`) || {};
+}
+
+export function setProviderConfig(name, values) {
+    const current = getProviderConfig(name);
+    config.set(`providers.${name}`, { ...current, ...values });
+}
+
+/**
+ * Create the provider selected by --provider, PUTER_AI_PROVIDER or config
+ */
+export async function createProvider(override) {
+    const name = getProviderName(override);
+    const settings = getProviderConfig(name);
+
+    switch (name) {
+        case 'puter': return createPuterProvider(settings);
+        case 'openai': return createOpenAIProvider(settings);
+        case 'ollama': return createOllamaProvider(settings);
+        default:
+            throw new Error(`Unknown provider "${name}". Available: ${PROVIDERS.join(', ')}`);
+    }
+}
+
+// ─── Puter ───
+
+async function createPuterProvider(settings) {
+    const puter = await initPuter();
+    return {
+        name: 'puter',
+        defaultModel: settings.model,
+        // puter.js takes no AbortSignal; the option must not reach the API
+        chat: (messages, { signal, ...options } = {}) => puter.ai.chat(messages, options),
+        async listModels() {
+            // listModels() swallows its own errors and returns []
+            const models = await puter.ai.listModels();
+            if (!Array.isArray(models) || models.length === 0) throw new Error('Puter returned no models');
+            return models;
+        },
+    };
+}
+
+// ─── Shared HTTP helpers ───
+
+// A chat request (streamed ones included) that takes longer than this is abandoned
+const CHAT_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * The text of an `error` field, which backends send as a string or an object
+ */
+function errorText(error) {
+    if (typeof error === 'string') return error;
+    return error?.message || JSON.stringify(error);
+}
+
+/**
+ * POST a chat request. It is cut off after CHAT_TIMEOUT_MS, or earlier by
+ * `signal` (the caller's deadline); either way it fails as a timeout, which
+ * classifyError() treats as retryable.
+ */
+async function postJson(url, body, headers = {}, signal) {
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(CHAT_TIMEOUT_MS)]) : AbortSignal.timeout(CHAT_TIMEOUT_MS),
+        });
+    } catch (err) {
+        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
+            throw Object.assign(new Error(`Request to ${url} timed out`), { code: 'ETIMEDOUT' });
+        }
+        throw new Error(`Could not reach ${url}: ${err.cause?.message || err.message}`);
+    }
+
+    if (!response.ok) {
+        let detail = await response.text();
+        try {
+            const { error } = JSON.parse(detail);
+            if (error) detail = errorText(error);
+        } catch { /* not JSON */ }
+        const err = new Error(`${response.status} ${response.statusText}: ${String(detail).slice(0, 500)}`);
+        err.status = response.status;
+        throw err;
+    }
+    return response;
+}
+
+const LIST_TIMEOUT_MS = 10000;
+
+async function getJson(url, headers = {}) {
+    let response;
+    try {
+        response = await fetch(url, { headers, signal: AbortSignal.timeout(LIST_TIMEOUT_MS) });
+    } catch (err) {
+        throw new Error(`Could not reach ${url}: ${err.cause?.message || err.message}`);
+    }
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText} from ${url}`);
+    return response.json();
+}
+
+/**
+ * Split a streamed response body into lines
+ */
+async function* readLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            yield buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+        }
+    }
+    if (buffer.trim()) yield buffer.trim();
+}
+
+// ─── OpenAI-compatible (OpenAI, vLLM, LM Studio, LiteLLM, ...) ───
+
+function createOpenAIProvider(settings) {
+    const baseUrl = (settings.baseUrl || DEFAULT_BASE_URLS.openai).replace(/\/+$/, '');
+    const apiKey = settings.apiKey || process.env.OPENAI_API_KEY || '';
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    async function* streamChunks(response) {
+        const toolCalls = [];
+        for await (const line of readLines(response.body)) {
+            if (!line.startsWith('data:')) continue;
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') break;
+
+            let event;
+            try { event = JSON.parse(data); } catch { continue; }
+            if (event.usage) yield { usage: event.usage };
+            const delta = event.choices?.[0]?.delta || {};
+            if (delta.content) yield { text: delta.content };
+
+            // Tool call arguments arrive in fragments keyed by index
+            for (const tc of delta.tool_calls || []) {
+                const slot = toolCalls[tc.index ?? 0] ??= { id: '', type: 'function', function: { name: '', arguments: '' } };
+                if (tc.id) slot.id = tc.id;
+                if (tc.function?.name) slot.function.name += tc.function.name;
+                if (tc.function?.arguments) slot.function.arguments += tc.function.arguments;
+            }
+        }
+        if (toolCalls.length > 0) yield { tool_calls: toolCalls.filter(Boolean) };
+    }
+
+    return {
+        name: 'openai',
+        defaultModel: settings.model,
+        async chat(messages, options = {}) {
+            const body = {
+                model: options.model,
+                messages: typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages,
+            };
+            if (options.tools?.length) body.tools = options.tools;
+            if (options.temperature != null) body.temperature = options.temperature;
+            if (options.max_tokens != null) body.max_tokens = options.max_tokens;
+            if (options.reasoning_effort) body.reasoning_effort = options.reasoning_effort;
+            if (options.stream) {
+                body.stream = true;
+                body.stream_options = { include_usage: true };
+            }
+
+            const response = await postJson(`${baseUrl}/chat/completions`, body, headers, options.signal);
+            if (options.stream) return streamChunks(response);
+
+            const data = await response.json();
+            const choice = data.choices?.[0];
+            if (!choice) throw new Error('Provider returned no choices');
+            return { message: choice.message, usage: data.usage, finish_reason: choice.finish_reason };
+        },
+        async listModels() {
+            const data = await getJson(`${baseUrl}/models`, headers);
+            return data.data || [];
+        },
+    };
+}
+
+// ─── Ollama (native /api/chat) ───
+
+/**
+ * Ollama wants tool call arguments as objects, has no tool call IDs, and takes
+ * images as base64 next to a plain-text content
+ */
+function toOllamaMessages(messages) {
+    if (typeof messages === 'string') return [{ role: 'user', content: messages }];
+    return messages.map((m) => {
+        if (m.role === 'assistant' && m.tool_calls) {
+            return {
+                role: 'assistant',
+                content: m.content || '',
+                tool_calls: m.tool_calls.map(tc => ({
+                    function: {
+                        name: tc.function.name,
+                        arguments: typeof tc.function.arguments === 'string'
+                            ? JSON.parse(tc.function.arguments || '{}')
+                            : tc.function.arguments,
+                    },
+                })),
+            };
+        }
+        if (Array.isArray(m.content)) {
+            const images = m.content.filter(p => p.type === 'image_url').map(p => p.image_url.url.replace(/^data:[^,]*,/, ''));
+            const text = m.content.filter(p => p.type === 'text').map(p => p.text).join('\n');
+            return images.length > 0 ? { ...m, content: text, images } : { ...m, content: text };
+        }
+        return { ...m, content: m.content ?? '' };
+    });
+}
+
+function fromOllamaToolCalls(toolCalls = []) {
+    return toolCalls.map((tc, i) => ({
+        id: `call_${Date.now().toString(36)}_${i}`,
+        type: 'function',
+        function: {
+            name: tc.function.name,
+            arguments: JSON.stringify(tc.function.arguments || {}),
+        },
+    }));
+}
+
+function createOllamaProvider(settings) {
+    const baseUrl = (settings.baseUrl || process.env.OLLAMA_HOST || DEFAULT_BASE_URLS.ollama).replace(/\/+$/, '');
+
+    async function* streamChunks(response) {
+        const toolCalls = [];
+        for await (const line of readLines(response.body)) {
+            if (!line) continue;
+            let event;
+            try { event = JSON.parse(line); } catch { continue; }
+            if (event.error) throw new Error(errorText(event.error));
+            if (event.message?.content) yield { text: event.message.content };
+            toolCalls.push(...(event.message?.tool_calls || []));
+            if (event.done) {
+                yield { usage: { prompt_tokens: event.prompt_eval_count || 0, completion_tokens: event.eval_count || 0 } };
+                break;
+            }
+        }
+        if (toolCalls.length > 0) yield { tool_calls: fromOllamaToolCalls(toolCalls) };
+    }
+
+    return {
+        name: 'ollama',
+        defaultModel: settings.model,
+        async chat(messages, options = {}) {
+            const body = {
+                model: options.model,
+                messages: toOllamaMessages(messages),
+                stream: Boolean(options.stream),
+            };
+            if (options.tools?.length) body.tools = options.tools;
+            const modelOptions = {};
+            if (options.temperature != null) modelOptions.temperature = options.temperature;
+            if (options.max_tokens != null) modelOptions.num_predict = options.max_tokens;
+            if (Object.keys(modelOptions).length > 0) body.options = modelOptions;
+
+            const response = await postJson(`${baseUrl}/api/chat`, body, {}, options.signal);
+            if (options.stream) return streamChunks(response);
+
+            const data = await response.json();
+            const message = { role: 'assistant', content: data.message?.content || '' };
+            if (data.message?.tool_calls?.length) message.tool_calls = fromOllamaToolCalls(data.message.tool_calls);
+            return {
+                message,
+                usage: { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 },
+                finish_reason: data.done_reason,
+            };
+        },
+        async listModels() {
+            const data = await getJson(`${baseUrl}/api/tags`);
+            return (data.models || []).map(m => ({ ...m, id: m.name, provider: 'ollama' }));
+        },
+    };
+}
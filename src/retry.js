@@ -0,0 +1,151 @@
+import { config } from './auth.js';
+
+/**
+ * Retries and model fallback for chat requests.
+ *
+ * Every failure is classified first. Transient ones (rate limits, 5xx,
+ * network errors, timeouts) are retried with exponential backoff and jitter;
+ * when a model is unavailable — or keeps failing after every retry — the
+ * next model of the fallback chain is tried. Anything else (bad request,
+ * auth) fails straight away.
+ *
+ * Policy: config `retry` ({ maxAttempts, baseDelayMs, maxDelayMs }).
+ * Fallback chain: PUTER_AI_FALLBACK_MODELS ("a,b" or "a -> b") or config
+ * `fallbackModels` (set with `puter-ai fallback`).
+ */
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 4,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+};
+
+export function getRetryPolicy() {
+    return { ...DEFAULT_RETRY_POLICY, ...config.get('retry') };
+}
+
+/**
+ * "a -> b -> c", "a, b, c" or "a b c" as a list of model IDs
+ */
+export function parseModelChain(text) {
+    return String(text).split(/\s*(?:->|,|\s)\s*/).map(s => s.trim()).filter(Boolean);
+}
+
+export function getFallbackModels() {
+    if (process.env.PUTER_AI_FALLBACK_MODELS) return parseModelChain(process.env.PUTER_AI_FALLBACK_MODELS);
+    return config.get('fallbackModels') || [];
+}
+
+// ─── Error classification ───
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_SOCKET']);
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+
+export function errorMessage(err) {
+    return err?.error?.message || err?.message ||
+        (err?.toString?.() !== '[object Object]' ? err?.toString?.() : JSON.stringify(err)) || 'Unknown error';
+}
+
+/**
+ * What kind of failure an error is, and whether retrying can help
+ *
+ * @returns {{type: 'rate_limit'|'server'|'network'|'timeout'|'model_unavailable'|'auth'|'bad_request'|'unknown',
+ *           retryable: boolean, message: string, retryAfterMs: number|null}}
+ */
+export function classifyError(err) {
+    const message = errorMessage(err);
+    const status = Number(err?.status ?? err?.error?.status ?? err?.response?.status) ||
+        Number(message.match(/^(\d{3})\s/)?.[1]) || null;
+    const code = err?.code ?? err?.cause?.code ?? err?.error?.code;
+    const retryAfter = Number(err?.retryAfter ?? err?.headers?.['retry-after']);
+    const result = (type, retryable) => ({
+        type,
+        retryable,
+        message,
+        retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+    });
+
+    if (/model.{0,40}(not found|unavailable|not available|not supported|does not exist|no longer)|no such model|unknown model|model_not_found/i.test(message) ||
+        code === 'model_not_found') {
+        return result('model_unavailable', false);
+    }
+    if (status === 401 || status === 403 || /unauthori[sz]ed|forbidden|invalid (auth|api key|token)|authentication/i.test(message)) {
+        return result('auth', false);
+    }
+    if (status === 429 || /rate.?limit|too many requests/i.test(message)) return result('rate_limit', true);
+    if (TIMEOUT_CODES.has(code) || status === 408 || /timed? ?out|timeout/i.test(message)) return result('timeout', true);
+    if ((status && status >= 500) || /overloaded|internal server error|bad gateway|service unavailable|gateway timeout/i.test(message)) {
+        return result('server', true);
+    }
+    if (NETWORK_CODES.has(code) || /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed|could not reach|network error/i.test(message)) {
+        return result('network', true);
+    }
+    if (status && status >= 400) return result('bad_request', false);
+    return result('unknown', false);
+}
+
+// ─── Backoff ───
+
+/**
+ * Delay before retry number `attempt` (1-based): exponential, capped, with
+ * jitter in the upper half so parallel clients don't retry in lockstep
+ */
+export function backoffDelay(attempt, policy, retryAfterMs = null) {
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    const jittered = exponential / 2 + Math.random() * (exponential / 2);
+    return Math.round(retryAfterMs ? Math.min(policy.maxDelayMs, Math.max(retryAfterMs, jittered)) : jittered);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * provider.chat with retries and the fallback chain.
+ *
+ * @param {object} hooks
+ * @param {string[]} hooks.fallbackModels models to try after options.model (default: the configured chain)
+ * @param {number} hooks.deadline  ms timestamp; no retry is started that would wait past it, and a request still running then is aborted
+ * @param {Function} hooks.onRetry    ({ model, attempt, maxAttempts, delayMs, error }) before each wait
+ * @param {Function} hooks.onFallback ({ from, to, error }) before switching models
+ * @returns {Promise<{response: any, model: string}>} the response and the model that produced it
+ */
+export async function chatWithRetry(provider, messages, options, { fallbackModels = getFallbackModels(), deadline, onRetry, onFallback } = {}) {
+    const policy = getRetryPolicy();
+    const chain = [options.model, ...fallbackModels.filter(m => m !== options.model)];
+
+    for (let i = 0; i < chain.length; i++) {
+        const model = chain[i];
+        for (let attempt = 1; ; attempt++) {
+            try {
+                // The deadline also aborts a request that is already in flight
+                const signal = deadline ? AbortSignal.timeout(Math.max(0, deadline - Date.now())) : undefined;
+                return { response: await provider.chat(messages, { ...options, model, ...(signal && { signal }) }), model };
+            } catch (err) {
+                const error = classifyError(err);
+                const delayMs = backoffDelay(attempt, policy, error.retryAfterMs);
+                const canRetry = error.retryable && attempt < policy.maxAttempts &&
+                    !(deadline && Date.now() + delayMs >= deadline);
+                if (canRetry) {
+                    onRetry?.({ model, attempt, maxAttempts: policy.maxAttempts, delayMs, error });
+                    await sleep(delayMs);
+                    continue;
+                }
+                // An unavailable model, or one that kept failing, hands over to the next in the chain
+                const next = chain[i + 1];
+                if (next && (error.type === 'model_unavailable' || error.retryable)) {
+                    onFallback?.({ from: model, to: next, error });
+                    break;
+                }
+                err.classification = error;
+                throw err;
+            }
+        }
+    }
+    // Not reached: the last model either returns or throws
+    throw new Error('No model left to try');
+}
+
+/**
+ * "rate limit — retrying in 2.1s (attempt 2/4)"
+ */
+export function formatRetry({ attempt, maxAttempts, delayMs, error }) {
+    return `${error.type.replace('_', ' ')} — retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxAttempts})`;
+}
@@ -0,0 +1,362 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { globToRegExp, matchPath } from './glob.js';
+import { looksBinary } from './files.js';
+
+/**
+ * Code search for the search_files tool.
+ *
+ * Uses ripgrep when it is installed (fast, and it already knows .gitignore),
+ * otherwise walks the tree itself with the same semantics: JavaScript regex,
+ * include/exclude globs, .gitignore files at every level, context lines and
+ * offset-based pagination over matches (or files in files_only mode).
+ */
+
+const DEFAULT_MAX_RESULTS = 50;
+const MAX_RESULTS_LIMIT = 500;
+const MAX_CONTEXT = 10;
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const MAX_LINE_LENGTH = 300;
+
+// Never searched, whatever .gitignore says
+const ALWAYS_SKIP = new Set(['.git', 'node_modules']);
+
+let rgAvailable;
+
+function hasRipgrep() {
+    if (rgAvailable === undefined) {
+        try {
+            rgAvailable = spawnSync('rg', ['--version'], { stdio: 'ignore' }).status === 0;
+        } catch {
+            rgAvailable = false;
+        }
+    }
+    return rgAvailable;
+}
+
+function toList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+}
+
+function normalizeOptions(args) {
+    return {
+        pattern: args.pattern,
+        ignoreCase: Boolean(args.case_insensitive),
+        fixed: Boolean(args.fixed_strings),
+        include: toList(args.include || args.file_pattern),
+        exclude: toList(args.exclude),
+        context: Math.min(Math.max(parseInt(args.context_lines) || 0, 0), MAX_CONTEXT),
+        offset: Math.max(parseInt(args.offset) || 0, 0),
+        limit: Math.min(Math.max(parseInt(args.max_results) || DEFAULT_MAX_RESULTS, 1), MAX_RESULTS_LIMIT),
+        filesOnly: Boolean(args.files_only),
+    };
+}
+
+// ─── .gitignore handling ───
+
+/**
+ * Parse a .gitignore into rules relative to its directory
+ */
+function parseGitignore(content, baseRel) {
+    const rules = [];
+    for (let line of content.split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        line = line.replace(/(?<!\\)\s+$/, '');
+
+        let negate = false;
+        if (line.startsWith('!')) { negate = true; line = line.slice(1); }
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) line = line.slice(0, -1);
+
+        // Patterns containing a slash (other than trailing) are anchored to the .gitignore's directory
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        const glob = anchored ? line : `**/${line}`;
+        rules.push({ regex: globToRegExp(glob), negate, dirOnly, baseRel });
+    }
+    return rules;
+}
+
+function isIgnored(rules, relPath, isDir) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDir) continue;
+        let sub = relPath;
+        if (rule.baseRel) {
+            if (!relPath.startsWith(rule.baseRel + '/')) continue;
+            sub = relPath.slice(rule.baseRel.length + 1);
+        }
+        if (rule.regex.test(sub)) ignored = !rule.negate;
+    }
+    return ignored;
+}
+
+async function loadGitignore(dir, baseRel) {
+    try {
+        return parseGitignore(await fs.readFile(path.join(dir, '.gitignore'), 'utf-8'), baseRel);
+    } catch {
+        return [];
+    }
+}
+
+// ─── Result collection ───
+
+/**
+ * Collected results: files in walk order, each with its match line numbers
+ * and the text of every line that may be shown (matches and context).
+ */
+function createCollector(opts) {
+    const wanted = opts.offset + opts.limit + 1;   // one extra tells us there is more
+    return {
+        files: [],
+        matchCount: 0,
+        fileCount: 0,
+        full() {
+            return opts.filesOnly ? this.fileCount >= wanted : this.matchCount >= wanted;
+        },
+        fileEntry(rel) {
+            let entry = this.files.at(-1);
+            if (entry?.path !== rel) {
+                entry = { path: rel, matches: [], lines: new Map() };
+                this.files.push(entry);
+            }
+            return entry;
+        },
+        addMatch(rel, lineNo, text) {
+            const entry = this.fileEntry(rel);
+            if (entry.matches.length === 0) this.fileCount++;
+            entry.matches.push(lineNo);
+            entry.lines.set(lineNo, text);
+            this.matchCount++;
+            return entry;
+        },
+    };
+}
+
+function clipLine(text) {
+    const line = text.replace(/\r$/, '');
+    return line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}...` : line;
+}
+
+function formatResults(collector, opts) {
+    const { offset, limit, context } = opts;
+
+    if (opts.filesOnly) {
+        const matched = collector.files.filter(f => f.matches.length > 0);
+        const page = matched.slice(offset, offset + limit);
+        if (page.length === 0) return offset > 0 ? `No more files (offset ${offset}).` : 'No matches found.';
+        const lines = page.map(f => `${f.path} (${f.matches.length} match${f.matches.length === 1 ? '' : 'es'})`);
+        if (matched.length > offset + limit) {
+            lines.push(`... more files available — call again with offset=${offset + limit}`);
+        }
+        return lines.join('\n');
+    }
+
+    const out = [];
+    let index = 0;
+    let shown = 0;
+    for (const file of collector.files) {
+        const selected = [];
+        for (const lineNo of file.matches) {
+            if (index >= offset && shown < limit) { selected.push(lineNo); shown++; }
+            index++;
+        }
+        if (selected.length === 0) continue;
+
+        // Merge overlapping context windows into blocks
+        const matchSet = new Set(file.matches);
+        let blockEnd = -Infinity;
+        for (const lineNo of selected) {
+            const from = Math.max(1, lineNo - context);
+            const to = lineNo + context;
+            if (from > blockEnd + 1 && out.length > 0 && context > 0) out.push('--');
+            for (let n = Math.max(from, blockEnd + 1); n <= to; n++) {
+                if (!file.lines.has(n)) continue;
+                const sep = matchSet.has(n) ? ':' : '-';
+                out.push(`${file.path}${sep}${n}${sep}${file.lines.get(n)}`);
+            }
+            blockEnd = Math.max(blockEnd, to);
+        }
+    }
+
+    if (out.length === 0) return offset > 0 ? `No more matches (offset ${offset}).` : 'No matches found.';
+    if (collector.matchCount > offset + limit) {
+        out.push(`... showing matches ${offset + 1}-${offset + shown}; more available — call again with offset=${offset + limit}`);
+    }
+    return out.join('\n');
+}
+
+// ─── Built-in walker ───
+
+function buildRegex(opts) {
+    const source = opts.fixed ? opts.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : opts.pattern;
+    return new RegExp(source, opts.ignoreCase ? 'i' : '');
+}
+
+async function isBinary(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const { bytesRead, buffer } = await handle.read(Buffer.alloc(8000), 0, 8000, 0);
+        return looksBinary(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+}
+
+async function searchWithWalker(opts, searchDir, projectDir) {
+    const regex = buildRegex(opts);
+    const collector = createCollector(opts);
+
+    // Rules from the project root .gitignore apply even when searching a subdirectory
+    const rootRules = await loadGitignore(projectDir, '');
+
+    async function searchFile(filePath, rel) {
+        try {
+            const stat = await fs.stat(filePath);
+            if (stat.size > MAX_FILE_SIZE || await isBinary(filePath)) return;
+            const lines = (await fs.readFile(filePath, 'utf-8')).split('\n');
+            if (lines.at(-1) === '') lines.pop();
+
+            for (let i = 0; i < lines.length && !collector.full(); i++) {
+                if (!regex.test(lines[i])) continue;
+                const entry = collector.addMatch(rel, i + 1, clipLine(lines[i]));
+                const from = Math.max(0, i - opts.context);
+                const to = Math.min(lines.length - 1, i + opts.context);
+                for (let n = from; n <= to; n++) entry.lines.set(n + 1, clipLine(lines[n]));
+            }
+        } catch { /* unreadable file */ }
+    }
+
+    async function walk(dir, rules) {
+        if (collector.full()) return;
+        const relDir = path.relative(projectDir, dir).split(path.sep).join('/');
+        if (dir !== projectDir && relDir && !relDir.startsWith('..')) {
+            rules = [...rules, ...await loadGitignore(dir, relDir)];
+        }
+
+        let entries;
+        try {
+            entries = await fs.readdir(dir, { withFileTypes: true });
+        } catch {
+            return;
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            if (collector.full()) return;
+            if (ALWAYS_SKIP.has(entry.name)) continue;
+            // Never follow symlinks — they can point outside the workspace
+            if (entry.isSymbolicLink()) continue;
+
+            const fullPath = path.join(dir, entry.name);
+            const rel = path.relative(projectDir, fullPath).split(path.sep).join('/');
+            if (isIgnored(rules, rel, entry.isDirectory())) continue;
+
+            if (entry.isDirectory()) {
+                if (opts.exclude.some(p => matchPath(p, rel))) continue;
+                await walk(fullPath, rules);
+            } else if (entry.isFile()) {
+                if (opts.include.length > 0 && !opts.include.some(p => matchPath(p, rel))) continue;
+                if (opts.exclude.some(p => matchPath(p, rel))) continue;
+                await searchFile(fullPath, rel);
+            }
+        }
+    }
+
+    const stat = await fs.stat(searchDir);
+    if (stat.isFile()) {
+        await searchFile(searchDir, path.relative(projectDir, searchDir).split(path.sep).join('/'));
+    } else {
+        await walk(searchDir, rootRules);
+    }
+    return collector;
+}
+
+// ─── ripgrep ───
+
+function searchWithRipgrep(opts, searchDir, projectDir) {
+    const rgArgs = ['--json', '--sort', 'path', '--hidden', '--no-require-git', '--max-filesize', '2M', '-g', '!.git', '-g', '!node_modules'];
+    if (opts.ignoreCase) rgArgs.push('-i');
+    if (opts.fixed) rgArgs.push('-F');
+    if (opts.context > 0) rgArgs.push('-C', String(opts.context));
+    for (const g of opts.include) rgArgs.push('-g', g);
+    for (const g of opts.exclude) rgArgs.push('-g', `!${g}`);
+    rgArgs.push('-e', opts.pattern, '--', searchDir);
+
+    return new Promise((resolve, reject) => {
+        const collector = createCollector(opts);
+        const child = spawn('rg', rgArgs, { cwd: projectDir, stdio: ['ignore', 'pipe', 'pipe'] });
+        let buffer = '';
+        let stderr = '';
+        let stopped = false;
+
+        const handle = (line) => {
+            let event;
+            try { event = JSON.parse(line); } catch { return; }
+            if (event.type !== 'match' && event.type !== 'context') return;
+
+            const data = event.data;
+            const abs = path.resolve(projectDir, data.path.text ?? '');
+            const rel = path.relative(projectDir, abs).split(path.sep).join('/');
+            const text = clipLine((data.lines.text ?? '').replace(/\n$/, ''));
+
+            if (event.type === 'match') {
+                if (collector.full()) { stopped = true; child.kill(); return; }
+                collector.addMatch(rel, data.line_number, text);
+            } else if (collector.files.at(-1)?.path === rel || !collector.full()) {
+                collector.fileEntry(rel).lines.set(data.line_number, text);
+            }
+        };
+
+        child.stdout.setEncoding('utf-8');
+        child.stdout.on('data', (chunk) => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) !== -1) {
+                handle(buffer.slice(0, newline));
+                buffer = buffer.slice(newline + 1);
+            }
+        });
+        child.stderr.on('data', (chunk) => { stderr += chunk; });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            // 0 = matches, 1 = no matches, killed = we had enough
+            if (stopped || code === 0 || code === 1) resolve(collector);
+            else reject(new Error(stderr.trim() || `rg exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * Run a search_files call and format the results for the model
+ */
+export async function searchFiles(args, projectDir) {
+    if (!args.pattern) return 'Error: pattern is required';
+    const opts = normalizeOptions(args);
+    const searchDir = path.resolve(projectDir, args.path || '.');
+
+    try {
+        buildRegex(opts);
+    } catch (err) {
+        return `Error: Invalid regex: ${err.message}. Set fixed_strings: true to search for literal text.`;
+    }
+
+    let collector;
+    if (hasRipgrep()) {
+        // ripgrep's regex dialect differs from JavaScript's (no lookaround); fall back on errors
+        try {
+            collector = await searchWithRipgrep(opts, searchDir, projectDir);
+        } catch { /* use the walker below */ }
+    }
+
+    try {
+        collector ??= await searchWithWalker(opts, searchDir, projectDir);
+    } catch (err) {
+        return `Error searching files: ${err.message}`;
+    }
+    return formatResults(collector, opts);
+}
@@ -0,0 +1,206 @@
+import chalk from 'chalk';
+import readline from 'readline';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './auth.js';
+import { createUsageTracker } from './usage.js';
+import { contentText } from './attachments.js';
+
+// Sessions live next to the Conf file, one JSON document per session
+export const SESSIONS_DIR = path.join(path.dirname(config.path), 'sessions');
+
+function sessionFile(id) {
+    return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+// Saves of one session are chained, so an older snapshot never lands after a newer one
+const pendingSaves = new Map();
+
+function generateId() {
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Create a new (unsaved) agent session
+ */
+export function createSession({ model, projectDir, messages = [], mode = 'code', preset }) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId(),
+        mode,
+        model,
+        preset,
+        projectDir,
+        title: '',
+        createdAt: now,
+        updatedAt: now,
+        usage: createUsageTracker(),
+        messages,
+    };
+}
+
+/**
+ * Persist a session to disk. Written to a temp file first and renamed so a
+ * crash mid-write never leaves a half-written session behind. The snapshot
+ * is taken when this is called; the write waits for earlier saves of the
+ * same session.
+ */
+export async function saveSession(session) {
+    if (!session.title) {
+        const firstUser = session.messages.find(m => m.role === 'user' && m.content);
+        if (firstUser) session.title = contentText(firstUser.content).split('\n\n<file ')[0].replace(/\s+/g, ' ').slice(0, 60);
+    }
+    session.updatedAt = new Date().toISOString();
+
+    const data = JSON.stringify(session, null, 2);
+    const previous = pendingSaves.get(session.id) ?? Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+        await fs.mkdir(SESSIONS_DIR, { recursive: true });
+        const file = sessionFile(session.id);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, data, 'utf-8');
+        await fs.rename(tmp, file);
+    });
+    pendingSaves.set(session.id, write);
+    try {
+        await write;
+    } finally {
+        if (pendingSaves.get(session.id) === write) pendingSaves.delete(session.id);
+    }
+}
+
+/**
+ * List saved sessions, most recently updated first.
+ * Only metadata is returned; use loadSession() for the messages.
+ */
+export async function listSessions({ projectDir } = {}) {
+    let files;
+    try {
+        files = await fs.readdir(SESSIONS_DIR);
+    } catch {
+        return [];
+    }
+
+    const sessions = [];
+    for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, file), 'utf-8'));
+            if (projectDir && data.projectDir !== projectDir) continue;
+            const { messages = [], ...meta } = data;
+            sessions.push({ ...meta, messageCount: messages.length });
+        } catch { /* skip corrupt session files */ }
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Resolve a full or prefix session ID to a stored session ID
+ */
+async function resolveId(id) {
+    const sessions = await listSessions();
+    const exact = sessions.find(s => s.id === id);
+    if (exact) return exact.id;
+
+    const matches = sessions.filter(s => s.id.startsWith(id));
+    if (matches.length === 1) return matches[0].id;
+    if (matches.length > 1) throw new Error(`Session ID "${id}" is ambiguous (${matches.length} matches).`);
+    throw new Error(`Session not found: ${id}`);
+}
+
+export async function loadSession(id) {
+    const resolved = await resolveId(id);
+    return JSON.parse(await fs.readFile(sessionFile(resolved), 'utf-8'));
+}
+
+/**
+ * Most recent session for a project directory, or null
+ */
+export async function latestSession(projectDir) {
+    const [latest] = await listSessions({ projectDir });
+    return latest ? loadSession(latest.id) : null;
+}
+
+export async function deleteSession(id) {
+    const resolved = await resolveId(id);
+    await fs.unlink(sessionFile(resolved));
+    return resolved;
+}
+
+// ─── Display helpers ───
+
+function relativeTime(iso) {
+    const seconds = Math.round((Date.now() - new Date(iso).getTime()) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+export function formatSessionLine(s) {
+    const title = s.title || chalk.italic('(untitled)');
+    return `${chalk.white(s.id)}  ${chalk.dim(relativeTime(s.updatedAt).padEnd(9))} ` +
+        `${chalk.dim(`${String(s.messageCount).padStart(3)} msgs`)}  ${title}`;
+}
+
+/**
+ * Render a stored session as a readable transcript
+ */
+export function formatTranscript(session) {
+    const lines = [];
+    lines.push(chalk.bold(`  Session ${session.id}`));
+    lines.push(chalk.dim(`  Model: ${session.model}`));
+    lines.push(chalk.dim(`  Project: ${session.projectDir}`));
+    lines.push(chalk.dim(`  Created: ${session.createdAt}  Updated: ${session.updatedAt}`));
+    lines.push('');
+
+    for (const msg of session.messages) {
+        if (msg.role === 'system') continue;
+
+        if (msg.role === 'user') {
+            lines.push(chalk.green('  You > ') + contentText(msg.content));
+        } else if (msg.role === 'assistant') {
+            if (msg.content) lines.push(chalk.cyan('  AI > ') + msg.content);
+            for (const tc of msg.tool_calls || []) {
+                lines.push(chalk.yellow(`  > ${tc.function?.name} `) + chalk.dim(tc.function?.arguments || ''));
+            }
+        } else if (msg.role === 'tool') {
+            const out = String(msg.content || '').split('\n');
+            lines.push(...out.slice(0, 5).map(l => chalk.dim(`    ${l}`)));
+            if (out.length > 5) lines.push(chalk.dim(`    ... (+${out.length - 5} more lines)`));
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Interactive session picker — lists recent sessions for the project.
+ * `output` is where the prompt goes (stderr when stdout carries raw output).
+ */
+export async function pickSession(projectDir, { output = process.stdout } = {}) {
+    const sessions = (await listSessions({ projectDir })).slice(0, 15);
+    if (sessions.length === 0) return null;
+
+    console.log(chalk.bold.cyan('\n  Resume a session:\n'));
+    sessions.forEach((s, i) => {
+        console.log(`${chalk.cyan(`  [${i + 1}]`)} ${formatSessionLine(s)}`);
+    });
+    console.log(chalk.dim('\n  Press Enter for the most recent session\n'));
+
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output });
+        rl.question(chalk.green('  Session > '), (answer) => {
+            rl.close();
+            const input = answer.trim();
+            const num = parseInt(input);
+            if (!input) resolve(sessions[0].id);
+            else if (num >= 1 && num <= sessions.length) resolve(sessions[num - 1].id);
+            else resolve(input);
+        });
+    });
+}
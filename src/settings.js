@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './auth.js';
+
+/**
+ * Agent settings are layered, lowest precedence first:
+ *   - user          — the Conf file (puter-ai config)
+ *   - project       — .puter/settings.json (meant to be committed)
+ *   - project local — .puter/settings.local.json (personal, written by the CLI)
+ */
+export function projectSettingsPath(projectDir, local = false) {
+    return path.join(projectDir, '.puter', local ? 'settings.local.json' : 'settings.json');
+}
+
+export async function readSettingsFile(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw new Error(`Invalid settings file ${file}: ${err.message}`);
+    }
+}
+
+export async function writeSettingsFile(file, settings) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(settings, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Every settings layer for a project, lowest precedence first
+ *
+ * @returns {Promise<Array<{source: 'user'|'project'|'local', settings: object}>>}
+ */
+export async function loadSettingsLayers(projectDir) {
+    return [
+        { source: 'user', settings: config.store },
+        { source: 'project', settings: await readSettingsFile(projectSettingsPath(projectDir)) },
+        { source: 'local', settings: await readSettingsFile(projectSettingsPath(projectDir, true)) },
+    ];
+}
+
+// ─── Project trust ───
+//
+// MCP servers and hooks defined in a project's settings run commands on this
+// machine, and its allow rules let tool calls through unasked, so they wait
+// until the user approves them. The approval is kept
+// per project as a hash of what was approved (config `trustedProjects`); any
+// change to it asks again.
+
+function configHash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+export function isProjectConfigTrusted(projectDir, kind, value) {
+    return config.get('trustedProjects')[path.resolve(projectDir)]?.[kind] === configHash(value);
+}
+
+export function trustProjectConfig(projectDir, kind, value) {
+    const trusted = config.get('trustedProjects');
+    const key = path.resolve(projectDir);
+    config.set('trustedProjects', { ...trusted, [key]: { ...trusted[key], [kind]: configHash(value) } });
+}
+
+/**
+ * Whether project-defined config of one kind ('mcpServers', 'hooks',
+ * 'permissions') may be used: already trusted, or approved now through confirm() and remembered
+ */
+export async function confirmProjectConfig(projectDir, kind, value, confirm) {
+    if (isProjectConfigTrusted(projectDir, kind, value)) return true;
+    if (!confirm || !await confirm()) return false;
+    trustProjectConfig(projectDir, kind, value);
+    return true;
+}
@@ -0,0 +1,115 @@
+/**
+ * Sub-agents for the delegate_task tool.
+ *
+ * Each task runs a nested agent loop with a fresh conversation, a restricted
+ * toolset and its own iteration cap; only its final report goes back to the
+ * parent. Read-only tasks run concurrently. Tasks that may edit files or run
+ * commands run one after another, so their approval prompts don't collide.
+ */
+
+export const MAX_TASKS = 6;
+export const MAX_CONCURRENT = 3;
+export const DEFAULT_SUBAGENT_ITERATIONS = 15;
+const MAX_SUBAGENT_ITERATIONS = 50;
+
+export const TOOLSETS = {
+    'read-only': ['read_file', 'read_files', 'list_directory', 'search_files', 'get_project_info', 'web_search'],
+    edit: ['read_file', 'read_files', 'list_directory', 'search_files', 'get_project_info', 'web_search',
+        'write_file', 'edit_file', 'run_command', 'command_output', 'kill_command'],
+};
+
+export const DELEGATE_TOOL = {
+    type: 'function',
+    function: {
+        name: 'delegate_task',
+        description: 'Hand self-contained sub-tasks to sub-agents. Each one starts with a fresh conversation (it does NOT see yours), works with its own tools, and returns only a final report — use this to explore or research without filling your own context with file contents. Several read-only tasks in one call run in parallel.',
+        parameters: {
+            type: 'object',
+            properties: {
+                tasks: {
+                    type: 'array',
+                    description: `Sub-tasks to run (max ${MAX_TASKS})`,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            description: {
+                                type: 'string',
+                                description: 'Short label for the task (3-6 words)'
+                            },
+                            prompt: {
+                                type: 'string',
+                                description: 'Complete instructions: what to do, where to look, and what the report must contain'
+                            },
+                            tools: {
+                                type: 'string',
+                                enum: Object.keys(TOOLSETS),
+                                description: 'read-only (default): read, list and search only. edit: may also change files and run commands'
+                            },
+                            model: {
+                                type: 'string',
+                                description: 'Optional model ID for this sub-agent (default: your model)'
+                            },
+                            max_iterations: {
+                                type: 'number',
+                                description: `Step limit (default ${DEFAULT_SUBAGENT_ITERATIONS}, max ${MAX_SUBAGENT_ITERATIONS})`
+                            }
+                        },
+                        required: ['prompt']
+                    }
+                }
+            },
+            required: ['tasks']
+        }
+    }
+};
+
+/**
+ * Validated task list from a delegate_task call (a single task object is accepted too)
+ */
+export function normalizeTasks(args) {
+    const raw = Array.isArray(args.tasks) ? args.tasks : args.prompt ? [args] : [];
+    if (raw.length === 0) throw new Error('tasks must contain at least one task with a prompt');
+    if (raw.length > MAX_TASKS) throw new Error(`too many tasks (${raw.length}) — at most ${MAX_TASKS} per call`);
+
+    return raw.map((task, i) => {
+        if (!task?.prompt) throw new Error(`task ${i + 1} has no prompt`);
+        const tools = task.tools || 'read-only';
+        if (!TOOLSETS[tools]) throw new Error(`task ${i + 1}: unknown toolset "${tools}" (use ${Object.keys(TOOLSETS).join(' or ')})`);
+        return {
+            description: task.description || task.prompt.split('\n')[0].slice(0, 40),
+            prompt: String(task.prompt),
+            tools,
+            model: task.model || null,
+            maxIterations: Math.min(Math.max(parseInt(task.max_iterations) || DEFAULT_SUBAGENT_ITERATIONS, 1), MAX_SUBAGENT_ITERATIONS),
+        };
+    });
+}
+
+/**
+ * Extra system prompt for a sub-agent
+ */
+export function subagentInstructions(task) {
+    const limits = task.tools === 'read-only'
+        ? 'You can only read, list and search — you cannot change files or run commands.'
+        : 'You may edit files and run commands where the task requires it.';
+    return `\n\n# You are a sub-agent\n\nAnother agent delegated a single task to you. ${limits} ` +
+        `You have at most ${task.maxIterations} steps. Your final message is your report and the only thing the other ` +
+        'agent will see: make it self-contained and concise, with concrete file paths, line numbers and findings. ' +
+        'Do not ask questions — make reasonable assumptions and state them.';
+}
+
+/**
+ * Run fn over items with at most `limit` in flight, keeping result order
+ */
+export async function mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
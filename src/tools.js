@@ -1,7 +1,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { execSync } from 'child_process';
-import { glob } from 'fs/promises';
+import { isMcpTool, callMcpTool } from './mcp.js';
+import { searchFiles } from './search.js';
+import { readFileRange, detectEncoding, DEFAULT_READ_LIMIT, MAX_READ_LIMIT } from './files.js';
+import { normalizeEdits, applyEdits } from './edits.js';
+import { runForeground, startBackground, readBackgroundOutput, killBackground, DEFAULT_TIMEOUT, MAX_TIMEOUT } from './processes.js';
 
 /**
  * Tool definitions (JSON Schema format for Puter.js function calling)
@@ -11,19 +15,49 @@ export const TOOL_DEFINITIONS = [
         type: 'function',
         function: {
             name: 'read_file',
-            description: 'Read the contents of a file at the given path. Use this to understand existing code before making changes.',
+            description: 'Read a file with line numbers. Returns up to 500 lines by default; for longer files, page through with offset/limit. Binary files are summarized instead of shown. Use this to understand existing code before making changes.',
             parameters: {
                 type: 'object',
                 properties: {
                     path: {
                         type: 'string',
                         description: 'Absolute or relative file path to read'
+                    },
+                    offset: {
+                        type: 'number',
+                        description: 'Line number to start reading from (1-based, default 1)'
+                    },
+                    limit: {
+                        type: 'number',
+                        description: `Maximum number of lines to return (default ${DEFAULT_READ_LIMIT}, max ${MAX_READ_LIMIT})`
                     }
                 },
                 required: ['path']
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'read_files',
+            description: 'Read several files in one call, each with line numbers like read_file. Prefer this over many read_file calls when you already know which files you need.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    paths: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'File paths to read (max 20)'
+                    },
+                    limit: {
+                        type: 'number',
+                        description: 'Maximum lines per file (default 200)'
+                    }
+                },
+                required: ['paths']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -49,7 +83,7 @@ export const TOOL_DEFINITIONS = [
         type: 'function',
         function: {
             name: 'edit_file',
-            description: 'Edit a file by replacing a specific target string with new content. Use this for surgical edits to existing files instead of rewriting the whole file.',
+            description: 'Edit a file by replacing exact text with new content. Use this for surgical edits to existing files instead of rewriting the whole file. The target must occur exactly once unless replace_all is set; include enough surrounding lines to make it unique. Pass several changes to the same file as `edits` — they are applied in order and either all succeed or none do. Returns the changed line ranges.',
             parameters: {
                 type: 'object',
                 properties: {
@@ -59,14 +93,31 @@ export const TOOL_DEFINITIONS = [
                     },
                     target: {
                         type: 'string',
-                        description: 'The exact string to find and replace (must match exactly)'
+                        description: 'The exact text to find (whitespace and indentation must match)'
                     },
                     replacement: {
                         type: 'string',
-                        description: 'The replacement string'
+                        description: 'The text to put in its place (used literally)'
+                    },
+                    replace_all: {
+                        type: 'boolean',
+                        description: 'Replace every occurrence of target instead of requiring a unique match. Default: false'
+                    },
+                    edits: {
+                        type: 'array',
+                        description: 'Several edits to apply to this file at once, instead of target/replacement',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                target: { type: 'string' },
+                                replacement: { type: 'string' },
+                                replace_all: { type: 'boolean' }
+                            },
+                            required: ['target', 'replacement']
+                        }
                     }
                 },
-                required: ['path', 'target', 'replacement']
+                required: ['path']
             }
         }
     },
@@ -95,21 +146,49 @@ export const TOOL_DEFINITIONS = [
         type: 'function',
         function: {
             name: 'search_files',
-            description: 'Search for a text pattern across files in the project. Returns matching lines with file paths and line numbers. Like grep.',
+            description: 'Search file contents with a regular expression, like grep/ripgrep. Respects .gitignore. Returns "path:line:text" for matches and "path-line-text" for context lines. Results are paginated with offset.',
             parameters: {
                 type: 'object',
                 properties: {
                     pattern: {
                         type: 'string',
-                        description: 'Text or regex pattern to search for'
+                        description: 'Regular expression to search for (JavaScript syntax), or literal text with fixed_strings'
                     },
                     path: {
                         type: 'string',
-                        description: 'Directory to search in (default: current directory)'
+                        description: 'Directory or file to search in (default: current directory)'
                     },
-                    file_pattern: {
+                    include: {
                         type: 'string',
-                        description: 'Optional glob pattern to filter files, e.g. "*.js" or "*.py"'
+                        description: 'Only search files matching these globs, comma-separated, e.g. "*.js,*.ts" or "src/**/*.py"'
+                    },
+                    exclude: {
+                        type: 'string',
+                        description: 'Skip files and directories matching these globs, comma-separated, e.g. "*.test.js,fixtures"'
+                    },
+                    case_insensitive: {
+                        type: 'boolean',
+                        description: 'Case-insensitive matching. Default: false'
+                    },
+                    fixed_strings: {
+                        type: 'boolean',
+                        description: 'Treat pattern as literal text instead of a regex. Default: false'
+                    },
+                    context_lines: {
+                        type: 'number',
+                        description: 'Lines of context to show before and after each match (default 0, max 10)'
+                    },
+                    files_only: {
+                        type: 'boolean',
+                        description: 'Only list the matching files with their match counts. Default: false'
+                    },
+                    max_results: {
+                        type: 'number',
+                        description: 'Maximum matches (or files with files_only) to return (default 50, max 500)'
+                    },
+                    offset: {
+                        type: 'number',
+                        description: 'Skip this many matches (or files) — use to page through results'
                     }
                 },
                 required: ['pattern']
@@ -120,19 +199,65 @@ export const TOOL_DEFINITIONS = [
         type: 'function',
         function: {
             name: 'run_command',
-            description: 'Execute a shell command and return its output. Use this to run tests, install packages, check status, etc. Commands run in the project directory.',
+            description: 'Execute a shell command and return its output. Use this to run tests, install packages, check status, etc. Commands run in the project directory. For long-running processes (dev servers, watchers) set background: true and poll with command_output.',
             parameters: {
                 type: 'object',
                 properties: {
                     command: {
                         type: 'string',
                         description: 'The shell command to execute'
+                    },
+                    timeout: {
+                        type: 'number',
+                        description: `Timeout in seconds (default ${DEFAULT_TIMEOUT}, max ${MAX_TIMEOUT}). Ignored for background commands.`
+                    },
+                    background: {
+                        type: 'boolean',
+                        description: 'Start the command in the background and return immediately with a command id. Default: false'
                     }
                 },
                 required: ['command']
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'command_output',
+            description: 'Get the new output of a background command (started with run_command background: true) since the last call, plus whether it is still running.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'number',
+                        description: 'The background command id returned by run_command'
+                    },
+                    wait: {
+                        type: 'number',
+                        description: 'Seconds to wait for the command to finish before returning (default 0, max 300)'
+                    }
+                },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'kill_command',
+            description: 'Stop a background command started with run_command background: true.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'number',
+                        description: 'The background command id returned by run_command'
+                    }
+                },
+                required: ['id']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -167,6 +292,7 @@ export const TOOL_DEFINITIONS = [
 // ─── Risk levels ───
 export const TOOL_RISK = {
     read_file: 'safe',
+    read_files: 'safe',
     list_directory: 'safe',
     search_files: 'safe',
     get_project_info: 'safe',
@@ -174,24 +300,91 @@ export const TOOL_RISK = {
     write_file: 'ask',
     edit_file: 'ask',
     run_command: 'danger',
+    command_output: 'safe',
+    kill_command: 'safe',
 };
 
+// ─── Workspace boundary ───
+
+// Tools whose `path` argument must stay inside the workspace
+const PATH_TOOLS = new Set(['read_file', 'write_file', 'edit_file', 'list_directory', 'search_files']);
+
+/**
+ * realpath() that also works for paths that don't exist yet (new files):
+ * resolves the nearest existing ancestor and re-appends the rest.
+ */
+async function realpathLoose(target) {
+    const rest = [];
+    let current = target;
+    for (;;) {
+        try {
+            return path.join(await fs.realpath(current), ...rest.reverse());
+        } catch (err) {
+            const parent = path.dirname(current);
+            if (err.code !== 'ENOENT' || parent === current) return target;
+            rest.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+function isInside(root, target) {
+    const rel = path.relative(root, target);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * The path arguments of a tool call (read_files takes several)
+ */
+export function toolPaths(name, args) {
+    if (name === 'read_files') return [].concat(args.paths || []).map(String);
+    if (PATH_TOOLS.has(name)) return [args.path || '.'];
+    return [];
+}
+
+/**
+ * Check a tool call against the workspace roots (projectDir plus any --add-dir).
+ * Symlinks are resolved on both sides, so a link pointing out of the project
+ * is treated like the path it points to.
+ *
+ * @returns {Promise<string|null>} the real path that escapes the workspace, or null if allowed
+ */
+export async function findPathOutsideWorkspace(name, args, projectDir, extraDirs = []) {
+    const paths = toolPaths(name, args);
+    if (paths.length === 0) return null;
+
+    const roots = await Promise.all([projectDir, ...extraDirs].map(d => realpathLoose(path.resolve(d))));
+    for (const p of paths) {
+        const target = await realpathLoose(path.resolve(projectDir, p));
+        if (!roots.some(root => isInside(root, target))) return target;
+    }
+    return null;
+}
+
 // ─── Tool implementations ───
 
 async function readFileImpl(args, projectDir) {
     const filePath = path.resolve(projectDir, args.path);
     try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        const lines = content.split('\n');
-        if (lines.length > 500) {
-            return `[${lines.length} lines — showing first 500]\n${lines.slice(0, 500).join('\n')}\n\n... (truncated, ${lines.length - 500} more lines)`;
-        }
-        return `[${lines.length} lines]\n${content}`;
+        return await readFileRange(filePath, { displayPath: args.path, offset: args.offset, limit: args.limit });
     } catch (err) {
         return `Error reading file: ${err.message}`;
     }
 }
 
+async function readFilesImpl(args, projectDir) {
+    const paths = [].concat(args.paths || []);
+    if (paths.length === 0) return 'Error: paths must list at least one file';
+    if (paths.length > 20) return `Error: too many files (${paths.length}) — read at most 20 per call`;
+
+    const limit = args.limit || 200;
+    const sections = [];
+    for (const p of paths) {
+        sections.push(await readFileImpl({ path: String(p), limit }, projectDir));
+    }
+    return sections.join('\n\n');
+}
+
 async function writeFileImpl(args, projectDir) {
     const filePath = path.resolve(projectDir, args.path);
     try {
@@ -206,13 +399,22 @@ async function writeFileImpl(args, projectDir) {
 async function editFileImpl(args, projectDir) {
     const filePath = path.resolve(projectDir, args.path);
     try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        if (!content.includes(args.target)) {
-            return `Error: Target string not found in ${args.path}. Make sure it matches exactly.`;
+        const buffer = await fs.readFile(filePath);
+        const detected = detectEncoding(buffer.subarray(0, 8000));
+        if (detected.binary || detected.encoding !== 'utf-8') {
+            return `Error: ${args.path} is ${detected.binary ? 'a binary file' : `${detected.encoding} text`} — edit_file only edits UTF-8 text. Use write_file or run_command instead.`;
         }
-        const newContent = content.replace(args.target, args.replacement);
-        await fs.writeFile(filePath, newContent, 'utf-8');
-        return `File edited successfully: ${filePath}`;
+
+        let edited;
+        try {
+            edited = applyEdits(buffer.toString('utf-8'), normalizeEdits(args));
+        } catch (err) {
+            return `Error: ${args.path} was not changed — ${err.message}`;
+        }
+
+        await fs.writeFile(filePath, edited.content, 'utf-8');
+        const count = `${edited.replacements} replacement${edited.replacements === 1 ? '' : 's'}`;
+        return `File edited successfully: ${filePath} (${count}; changed lines ${edited.ranges.join(', ')})`;
     } catch (err) {
         return `Error editing file: ${err.message}`;
     }
@@ -289,69 +491,28 @@ async function listDirectoryImpl(args, projectDir) {
     return items.join('\n') || '(empty directory)';
 }
 
-async function searchFilesImpl(args, projectDir) {
-    const searchDir = path.resolve(projectDir, args.path || '.');
-    const results = [];
-    const maxResults = 30;
-
-    async function searchInFile(filePath) {
-        try {
-            const content = await fs.readFile(filePath, 'utf-8');
-            const lines = content.split('\n');
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].includes(args.pattern)) {
-                    const relPath = path.relative(projectDir, filePath);
-                    results.push(`${relPath}:${i + 1}: ${lines[i].trim()}`);
-                    if (results.length >= maxResults) return;
-                }
-            }
-        } catch { /* skip binary/unreadable files */ }
+async function runCommandImpl(args, projectDir, onOutput) {
+    if (args.background) {
+        const job = startBackground(args.command, { cwd: projectDir });
+        return `Started background command #${job.id} (pid ${job.child.pid}): ${args.command}\n` +
+            `Use command_output with id ${job.id} to read its output and kill_command to stop it.`;
     }
+    return runForeground(args.command, { cwd: projectDir, timeout: args.timeout, onOutput });
+}
 
-    async function walkDir(dir, depth = 0) {
-        if (depth > 5 || results.length >= maxResults) return;
-        try {
-            const entries = await fs.readdir(dir, { withFileTypes: true });
-            for (const entry of entries) {
-                if (results.length >= maxResults) return;
-                if (['node_modules', '.git', '__pycache__', '.next', 'dist'].includes(entry.name)) continue;
-
-                const fullPath = path.join(dir, entry.name);
-                if (entry.isDirectory()) {
-                    await walkDir(fullPath, depth + 1);
-                } else {
-                    // Filter by file_pattern if specified
-                    if (args.file_pattern) {
-                        const ext = path.extname(entry.name);
-                        const pattern = args.file_pattern.replace('*', '');
-                        if (!entry.name.endsWith(pattern) && ext !== pattern) continue;
-                    }
-                    await searchInFile(fullPath);
-                }
-            }
-        } catch { /* skip */ }
+async function commandOutputImpl(args) {
+    try {
+        return await readBackgroundOutput(args.id, { wait: args.wait });
+    } catch (err) {
+        return `Error: ${err.message}`;
     }
-
-    await walkDir(searchDir);
-    return results.length > 0
-        ? results.join('\n') + (results.length >= maxResults ? `\n... (capped at ${maxResults} results)` : '')
-        : 'No matches found.';
 }
 
-function runCommandImpl(args, projectDir) {
+async function killCommandImpl(args) {
     try {
-        const output = execSync(args.command, {
-            cwd: projectDir,
-            encoding: 'utf-8',
-            timeout: 30000,
-            maxBuffer: 1024 * 1024,
-            shell: true,
-        });
-        return output || '(command completed with no output)';
+        return await killBackground(args.id);
     } catch (err) {
-        const stderr = err.stderr || '';
-        const stdout = err.stdout || '';
-        return `Command exited with code ${err.status || 1}\n${stdout}\n${stderr}`.trim();
+        return `Error: ${err.message}`;
     }
 }
 
@@ -465,16 +626,35 @@ async function webSearchImpl(args) {
 
 // ─── Tool executor ───
 
-export async function executeTool(name, args, projectDir) {
+/**
+ * Run a tool. Paths outside the workspace are refused unless the caller
+ * passes allowOutside (after the user explicitly approved it).
+ * onOutput receives live output chunks from run_command.
+ */
+export async function executeTool(name, args, projectDir, { extraDirs = [], allowOutside = false, onOutput } = {}) {
+    if (!allowOutside) {
+        const outside = await findPathOutsideWorkspace(name, args, projectDir, extraDirs);
+        if (outside) {
+            const roots = [projectDir, ...extraDirs].map(d => path.resolve(d)).join(', ');
+            return `Error: Access denied — "${args.path ?? outside}" resolves to ${outside}, which is outside the workspace (${roots}). ` +
+                'Only paths inside the workspace can be used. If you really need this path, ask the user to restart with --add-dir <dir>.';
+        }
+    }
+
     switch (name) {
         case 'read_file': return readFileImpl(args, projectDir);
+        case 'read_files': return readFilesImpl(args, projectDir);
         case 'write_file': return writeFileImpl(args, projectDir);
         case 'edit_file': return editFileImpl(args, projectDir);
         case 'list_directory': return listDirectoryImpl(args, projectDir);
-        case 'search_files': return searchFilesImpl(args, projectDir);
-        case 'run_command': return runCommandImpl(args, projectDir);
+        case 'search_files': return searchFiles(args, projectDir);
+        case 'run_command': return runCommandImpl(args, projectDir, onOutput);
+        case 'command_output': return commandOutputImpl(args);
+        case 'kill_command': return killCommandImpl(args);
         case 'get_project_info': return getProjectInfoImpl(args, projectDir);
         case 'web_search': return webSearchImpl(args);
-        default: return `Unknown tool: ${name}`;
+        default:
+            if (isMcpTool(name)) return callMcpTool(name, args);
+            return `Unknown tool: ${name}`;
     }
 }
@@ -0,0 +1,215 @@
+import chalk from 'chalk';
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from './auth.js';
+
+/**
+ * Token and cost accounting.
+ *
+ * Providers report usage in different shapes; normalizeUsage() turns each
+ * one into { input, output, cached, cost }. A tracker sums those per model
+ * for a session, and every request is also added to the daily totals in
+ * usage.json next to the config file (read by `puter-ai usage`).
+ *
+ * `input` counts all prompt tokens, `cached` the part of them served from
+ * the provider's prompt cache. `cost` is in USD and null when the provider
+ * doesn't report one.
+ */
+export const USAGE_FILE = path.join(path.dirname(config.path), 'usage.json');
+
+// Puter reports cost in microcents
+const PUTER_COST_UNIT = 1e-8;
+
+function emptyTotals() {
+    return { requests: 0, input: 0, output: 0, cached: 0, cost: null };
+}
+
+/**
+ * Usage from a provider response in one shape, or null if it has none
+ *
+ *   Puter:     [{ type: 'prompt'|'completion'|..., amount, cost }]
+ *   OpenAI:    { prompt_tokens, completion_tokens, prompt_tokens_details: { cached_tokens }, cost? }
+ *   Anthropic: { input_tokens, output_tokens, cache_read_input_tokens, cache_creation_input_tokens }
+ */
+export function normalizeUsage(usage) {
+    if (!usage || typeof usage !== 'object') return null;
+    const result = { input: 0, output: 0, cached: 0, cost: null };
+
+    if (Array.isArray(usage)) {
+        for (const entry of usage) {
+            const type = String(entry?.type || '');
+            const amount = Number(entry?.amount) || 0;
+            if (/cache.*read|cached/.test(type)) {
+                result.cached += amount;
+                result.input += amount;
+            } else if (/completion|output/.test(type)) {
+                result.output += amount;
+            } else {
+                result.input += amount;
+            }
+            if (Number.isFinite(Number(entry?.cost))) result.cost = (result.cost ?? 0) + Number(entry.cost) * PUTER_COST_UNIT;
+        }
+        return usage.length > 0 ? result : null;
+    }
+
+    if (usage.prompt_tokens != null || usage.completion_tokens != null) {
+        result.input = Number(usage.prompt_tokens) || 0;
+        result.output = Number(usage.completion_tokens) || 0;
+        result.cached = Number(usage.prompt_tokens_details?.cached_tokens) || 0;
+    } else if (usage.input_tokens != null || usage.output_tokens != null) {
+        result.cached = Number(usage.cache_read_input_tokens) || 0;
+        result.input = (Number(usage.input_tokens) || 0) + result.cached + (Number(usage.cache_creation_input_tokens) || 0);
+        result.output = Number(usage.output_tokens) || 0;
+    } else {
+        return null;
+    }
+    if (Number.isFinite(Number(usage.cost))) result.cost = Number(usage.cost);
+    return result;
+}
+
+function merge(into, t) {
+    into.requests += t.requests || 0;
+    into.input += t.input || 0;
+    into.output += t.output || 0;
+    into.cached += t.cached || 0;
+    if (t.cost != null) into.cost = (into.cost ?? 0) + t.cost;
+}
+
+/**
+ * Running totals for a session: overall and per model
+ */
+export function createUsageTracker() {
+    return { ...emptyTotals(), models: {} };
+}
+
+/**
+ * Add one response's usage to a tracker and to today's persisted totals
+ *
+ * @returns {object|null} the normalized usage, null if the response had none
+ */
+export async function recordUsage(tracker, model, rawUsage) {
+    const usage = normalizeUsage(rawUsage);
+    if (!usage) return null;
+    const request = { requests: 1, ...usage };
+    merge(tracker, request);
+    merge(tracker.models[model] ??= emptyTotals(), request);
+    await addToDailyTotals(model, request);
+    return usage;
+}
+
+export function totalTokens(totals) {
+    return totals.input + totals.output;
+}
+
+/**
+ * What a tracker gained since an earlier snapshot of it (structuredClone)
+ */
+export function usageSince(tracker, snapshot) {
+    const diff = emptyTotals();
+    for (const key of ['requests', 'input', 'output', 'cached']) diff[key] = tracker[key] - (snapshot[key] || 0);
+    if (tracker.cost != null) diff.cost = tracker.cost - (snapshot.cost ?? 0);
+    return diff;
+}
+
+// ─── Daily totals ───
+
+function dayKey(d = new Date()) {
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Daily totals per model: { "2026-01-31": { "gpt-5": { requests, input, output, cached, cost } } }
+ */
+export async function loadDailyUsage() {
+    try {
+        return JSON.parse(await fs.readFile(USAGE_FILE, 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+// Writes from one process are chained so concurrent requests don't lose updates
+let pendingWrite = Promise.resolve();
+
+function addToDailyTotals(model, request) {
+    pendingWrite = pendingWrite.then(async () => {
+        const daily = await loadDailyUsage();
+        const day = daily[dayKey()] ??= {};
+        merge(day[model] ??= emptyTotals(), request);
+        await fs.mkdir(path.dirname(USAGE_FILE), { recursive: true });
+        const tmp = `${USAGE_FILE}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(daily, null, 2), 'utf-8');
+        await fs.rename(tmp, USAGE_FILE);
+    }).catch(() => { /* accounting must never break a run */ });
+    return pendingWrite;
+}
+
+/**
+ * Totals over the last `days` days (today included), per day and per model
+ */
+export async function summarizeDailyUsage(days = 7) {
+    const daily = await loadDailyUsage();
+    const from = new Date();
+    from.setDate(from.getDate() - (days - 1));
+    const cutoff = dayKey(from);
+
+    const total = createUsageTracker();
+    const perDay = [];
+    for (const day of Object.keys(daily).filter(d => d >= cutoff).sort()) {
+        const dayTotals = emptyTotals();
+        for (const [model, t] of Object.entries(daily[day])) {
+            merge(dayTotals, t);
+            merge(total, t);
+            merge(total.models[model] ??= emptyTotals(), t);
+        }
+        perDay.push({ day, ...dayTotals });
+    }
+    return { days: perDay, total };
+}
+
+export async function todayUsage() {
+    const day = (await loadDailyUsage())[dayKey()] || {};
+    const totals = emptyTotals();
+    for (const t of Object.values(day)) merge(totals, t);
+    return totals;
+}
+
+// ─── Formatting ───
+
+export function formatTokens(n) {
+    if (n >= 1e6) return `${(n / 1e6).toFixed(n >= 1e7 ? 0 : 1)}M`;
+    if (n >= 1e3) return `${(n / 1e3).toFixed(n >= 1e4 ? 0 : 1)}k`;
+    return String(n);
+}
+
+export function formatCost(cost) {
+    if (cost == null) return '';
+    return cost >= 1 ? `$${cost.toFixed(2)}` : `$${cost.toFixed(4)}`;
+}
+
+/**
+ * One-line summary: "3 requests · 12k in (8.0k cached) · 1.2k out · $0.0123"
+ */
+export function formatUsageLine(totals) {
+    const parts = [
+        `${totals.requests} request${totals.requests === 1 ? '' : 's'}`,
+        `${formatTokens(totals.input)} in${totals.cached ? ` (${formatTokens(totals.cached)} cached)` : ''}`,
+        `${formatTokens(totals.output)} out`,
+    ];
+    if (totals.cost != null) parts.push(formatCost(totals.cost));
+    return parts.join(' · ');
+}
+
+/**
+ * Per-model table for /usage and `puter-ai usage`
+ */
+export function printUsageTable(tracker) {
+    const models = Object.entries(tracker.models).sort((a, b) => totalTokens(b[1]) - totalTokens(a[1]));
+    const width = Math.max(10, ...models.map(([m]) => m.length));
+    console.log(chalk.dim(`    ${'Model'.padEnd(width)}  ${'Requests'.padStart(8)}  ${'Input'.padStart(8)}  ${'Cached'.padStart(8)}  ${'Output'.padStart(8)}  ${'Cost'.padStart(9)}`));
+    for (const [model, t] of [...models, ['Total', tracker]]) {
+        const row = `    ${model.padEnd(width)}  ${String(t.requests).padStart(8)}  ${formatTokens(t.input).padStart(8)}  ` +
+            `${formatTokens(t.cached).padStart(8)}  ${formatTokens(t.output).padStart(8)}  ${(formatCost(t.cost) || '-').padStart(9)}`;
+        console.log(t === tracker ? chalk.bold(row) : row);
+    }
+}
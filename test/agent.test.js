@@ -0,0 +1,106 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { spawn } from 'child_process';
+import { setProviderConfig } from '../src/providers.js';
+
+const CLI = new URL('../src/index.js', import.meta.url).pathname;
+
+/**
+ * A local OpenAI-compatible backend answering each chat request with handler(body)
+ */
+async function fakeBackend(handler) {
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const reply = raw ? handler(JSON.parse(raw)) : { json: { data: [] } };
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    test.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * `puter-ai do` with the prompt read from a file on stdin; resolves to the JSON result
+ */
+function runDo(prompt, args) {
+    const promptFile = path.join(tempDir(), 'prompt.txt');
+    fs.writeFileSync(promptFile, prompt);
+    const stdin = fs.openSync(promptFile, 'r');
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [CLI, 'do', ...args, '--output-format', 'json'], { stdio: [stdin, 'pipe', 'pipe'] });
+        let stdout = '';
+        child.stdout.on('data', (chunk) => { stdout += chunk; });
+        child.on('error', reject);
+        child.on('close', () => {
+            fs.closeSync(stdin);
+            resolve(JSON.parse(stdout));
+        });
+    });
+}
+
+const toolCall = id => ({ role: 'assistant', content: '', tool_calls: [{ id, type: 'function', function: { name: 'list_directory', arguments: '{}' } }] });
+
+test('a compaction that finds nothing to do or fails is not retried on every step', async () => {
+    let summaries = 0;
+    let steps = 0;
+    const url = await fakeBackend((body) => {
+        if (String(body.messages[0].content).startsWith('You are compacting')) {
+            summaries++;
+            return { status: 400, json: { error: { message: 'summary refused' } } };
+        }
+        steps++;
+        const message = steps <= 9 ? toolCall(`c${steps}`) : { role: 'assistant', content: 'All done.' };
+        return { json: { choices: [{ message, finish_reason: 'stop' }] } };
+    });
+    setProviderConfig('openai', { baseUrl: url });
+
+    // ~30k tokens: over the compaction threshold of qwen's 32k window from the first step
+    const result = await runDo('x'.repeat(120000), ['--provider', 'openai', '--model', 'qwen-2.5', '--project', tempDir(), '--max-steps', '12']);
+    assert.equal(result.status, 'success');
+    assert.equal(result.iterations, 10);
+    // Step 1 has nothing old enough to summarise; the one attempt after that fails, and the
+    // remaining steps don't try again (without the back-off every step from 2 on would)
+    assert.equal(summaries, 1);
+});
+
+test("@mentions in a project's command are not attached in the agent REPL", async () => {
+    const bodies = [];
+    let received;
+    const url = await fakeBackend((body) => {
+        bodies.push(body);
+        received?.();
+        return { json: { choices: [{ message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }] } };
+    });
+    setProviderConfig('openai', { baseUrl: url });
+    const secret = path.join(tempDir(), 'credentials');
+    fs.writeFileSync(secret, 'aws_secret_access_key = hunter2');
+    const projectDir = tempDir();
+    fs.writeFileSync(path.join(projectDir, 'typed.md'), 'typed by the user');
+    fs.mkdirSync(path.join(projectDir, '.puter/commands'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, '.puter/commands/review.md'), `Review this, and read @${secret}`);
+
+    const child = spawn(process.execPath, [CLI, 'code', '-m', 'm', '--provider', 'openai', '--project', projectDir]);
+    const closed = new Promise(resolve => child.on('close', resolve));
+    // Input typed before the REPL is up would be lost
+    const ready = new Promise(resolve => child.stdout.on('data', chunk => String(chunk).includes('You >') && resolve()));
+    try {
+        await Promise.race([ready, closed]);
+        const request = new Promise((resolve) => { received = resolve; });
+        child.stdin.write('/review @typed.md\n');
+        await request;
+        const content = bodies[0].messages.at(-1).content;
+        assert.match(content, /<file path="typed\.md">\ntyped by the user/);
+        assert.doesNotMatch(content, /hunter2/);
+    } finally {
+        child.stdin.end();
+        await closed;
+    }
+});
@@ -0,0 +1,131 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+    findMentions, loadAttachments, buildContent, attachFiles, contentText, createMentionCompleter, describeAttachments,
+    MAX_TEXT_BYTES, MAX_TOTAL_TEXT_BYTES, MAX_IMAGE_BYTES,
+} from '../src/attachments.js';
+
+function project() {
+    const dir = tempDir();
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'src/app.js'), 'console.log(1);\n');
+    fs.writeFileSync(path.join(dir, 'notes.md'), '# Notes');
+    fs.writeFileSync(path.join(dir, '.env'), 'SECRET=1');
+    fs.writeFileSync(path.join(dir, 'shot.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    return dir;
+}
+
+test('only @mentions of existing files are found, trailing punctuation aside', () => {
+    const dir = project();
+    assert.deepEqual(findMentions('look at @src/app.js, then @notes.md. Mail me@example.com or @nobody', dir), ['src/app.js', 'notes.md']);
+    assert.deepEqual(findMentions('@notes.md and (@notes.md)', dir), ['notes.md']);
+});
+
+test('text is inlined, images become data URLs, problems become warnings', async () => {
+    const dir = project();
+    fs.writeFileSync(path.join(dir, 'tool.bin'), Buffer.from([1, 0, 2]));
+    const { attachments, warnings } = await loadAttachments(['src/app.js', 'shot.png', 'tool.bin', 'gone.txt'], dir);
+
+    assert.deepEqual(attachments[0], { path: 'src/app.js', kind: 'text', bytes: 16, text: 'console.log(1);\n', truncated: false });
+    assert.deepEqual(attachments[1], { path: 'shot.png', kind: 'image', bytes: 4, mimeType: 'image/png', dataUrl: 'data:image/png;base64,iVBORw==' });
+    assert.deepEqual(warnings, ['tool.bin: looks like a binary file — skipped', 'gone.txt: file not found']);
+});
+
+test('large files are cut and oversized images skipped', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'big.txt'), 'x'.repeat(MAX_TEXT_BYTES + 10));
+    fs.writeFileSync(path.join(dir, 'huge.jpg'), Buffer.alloc(MAX_IMAGE_BYTES + 1, 1));
+    const { attachments, warnings } = await loadAttachments(['big.txt', 'huge.jpg'], dir);
+
+    assert.equal(attachments.length, 1);
+    assert.equal(attachments[0].text.length, MAX_TEXT_BYTES);
+    assert.equal(attachments[0].truncated, true);
+    assert.deepEqual(warnings, [
+        'big.txt: 100.0 KB — only the first 100.0 KB is attached',
+        'huge.jpg: image is 5.0 MB, over the 5.0 MB limit — skipped',
+    ]);
+
+    // Four full files use up the total allowance
+    fs.writeFileSync(path.join(dir, 'a.txt'), 'x'.repeat(MAX_TEXT_BYTES));
+    const capped = await loadAttachments(['a.txt', 'a.txt', 'a.txt', 'a.txt', 'big.txt'], dir);
+    assert.equal(capped.attachments.length, 4);
+    assert.match(capped.warnings.at(-1), /over the 400.0 KB limit for all attachments — skipped/);
+});
+
+test('only what can be attached is read from a file', async () => {
+    const dir = tempDir();
+    // Sparse files far bigger than could ever be read into memory
+    fs.writeFileSync(path.join(dir, 'log.txt'), 'x'.repeat(MAX_TEXT_BYTES));
+    fs.truncateSync(path.join(dir, 'log.txt'), 8 * 1024 ** 3);
+    fs.writeFileSync(path.join(dir, 'scan.png'), '');
+    fs.truncateSync(path.join(dir, 'scan.png'), 8 * 1024 ** 3);
+    const { attachments, warnings } = await loadAttachments(['log.txt', 'scan.png'], dir);
+
+    assert.equal(attachments.length, 1);
+    assert.equal(attachments[0].text, 'x'.repeat(MAX_TEXT_BYTES));
+    assert.equal(attachments[0].bytes, 8 * 1024 ** 3);
+    assert.deepEqual(warnings, [
+        'log.txt: 8192.0 MB — only the first 100.0 KB is attached',
+        'scan.png: image is 8192.0 MB, over the 5.0 MB limit — skipped',
+    ]);
+});
+
+test('message content is a string for text and parts when there are images', () => {
+    const text = { path: 'a.js', kind: 'text', bytes: 200, text: 'abc', truncated: true };
+    const image = { path: 'i.png', kind: 'image', bytes: 2048, dataUrl: 'data:image/png;base64,AA' };
+    assert.equal(buildContent('hi', []), 'hi');
+    assert.equal(buildContent('hi', [text]), 'hi\n\n<file path="a.js" truncated="first 3 B of 200 B">\nabc\n</file>');
+
+    const parts = buildContent('hi', [text, image]);
+    assert.equal(parts.length, 2);
+    assert.deepEqual(parts[1], { type: 'image_url', image_url: { url: 'data:image/png;base64,AA' } });
+    assert.equal(contentText(parts), `${parts[0].text}\n[image]`);
+    assert.equal(contentText(null), '');
+    assert.equal(describeAttachments([text, image]), '📎 a.js (200 B), i.png (image, 2.0 KB)');
+});
+
+test('images are dropped for models that cannot see them', async () => {
+    const dir = project();
+    const provider = { name: 'blind', listModels: async () => [{ id: 'text-only', vision: false }] };
+    const { content, attachments, warnings } = await attachFiles('see @shot.png', { baseDir: dir, provider, model: 'text-only' });
+    assert.equal(content, 'see @shot.png');
+    assert.deepEqual(attachments, []);
+    assert.deepEqual(warnings, ['text-only does not accept images — shot.png not sent']);
+});
+
+test('@ completion lists matching entries, hiding dotfiles unless asked', () => {
+    const complete = createMentionCompleter(project());
+    assert.deepEqual(complete('read @'), [['@notes.md', '@shot.png', '@src/'], '@']);
+    assert.deepEqual(complete('read @src/a'), [['@src/app.js'], '@src/a']);
+    assert.deepEqual(complete('read @.e'), [['@.env'], '@.e']);
+    assert.deepEqual(complete('no mention'), [[], 'no mention']);
+    assert.deepEqual(complete('@missing/x'), [[], '@missing/x']);
+});
+
+test('piped stdin is combined with the prompt argument', () => {
+    const module = new URL('../src/attachments.js', import.meta.url).href;
+    const dir = tempDir();
+    const run = (prompt, input) => {
+        fs.writeFileSync(path.join(dir, 'input'), input);
+        const script = `import(${JSON.stringify(module)}).then(m => m.promptWithStdin(${JSON.stringify(prompt)}))` +
+            '.then(r => console.log(JSON.stringify(r)), e => console.log(JSON.stringify({ error: e.message })))';
+        // A real pipe: spawnSync's own `input` arrives over a socket, which is not read
+        const result = spawnSync('sh', ['-c', 'cat "$INPUT" | "$NODE" -e "$SCRIPT"'], {
+            env: { ...process.env, INPUT: path.join(dir, 'input'), NODE: process.execPath, SCRIPT: script },
+            encoding: 'utf-8',
+        });
+        return JSON.parse(result.stdout);
+    };
+    assert.deepEqual(run('review this', 'diff --git a b\n'), { prompt: 'review this\n\n<stdin>\ndiff --git a b\n</stdin>', piped: true, warnings: [] });
+    assert.deepEqual(run(null, 'just the question\n'), { prompt: 'just the question', piped: true, warnings: [] });
+    assert.deepEqual(run('only an argument', ''), { prompt: 'only an argument', piped: false, warnings: [] });
+    assert.deepEqual(run(null, '  \n'), { error: 'No prompt given — pass it as an argument or pipe text in' });
+
+    const big = run(null, 'y'.repeat(MAX_TOTAL_TEXT_BYTES + 1000));
+    assert.equal(big.prompt.length, MAX_TOTAL_TEXT_BYTES);
+    assert.deepEqual(big.warnings, ['stdin: 401.0 KB — only the first 400.0 KB is used']);
+});
@@ -0,0 +1,69 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    config, encryptToken, decryptToken, saveProfile, removeProfile, listProfiles, getProfileName,
+    getActiveProfile, setActiveProfile, selectProfile, getToken, PASSPHRASE_ENV,
+} from '../src/auth.js';
+
+test('tokens round-trip through encryption and a wrong passphrase fails', () => {
+    const encrypted = encryptToken('secret-token', 'hunter2');
+    assert.deepEqual(Object.keys(encrypted), ['salt', 'iv', 'tag', 'data']);
+    assert.ok(!JSON.stringify(encrypted).includes('secret-token'));
+    assert.equal(decryptToken(encrypted, 'hunter2'), 'secret-token');
+    assert.throws(() => decryptToken(encrypted, 'hunter3'), /Wrong passphrase/);
+    assert.notEqual(encryptToken('secret-token', 'hunter2').data, encrypted.data);
+});
+
+test('a token saved by older versions becomes the default profile', () => {
+    config.set('authToken', 'legacy-token');
+    assert.deepEqual(listProfiles(), { default: { token: 'legacy-token' } });
+    assert.equal(getActiveProfile(), 'default');
+    assert.equal(config.get('authToken'), '');
+});
+
+test('profiles are saved, switched and removed', async () => {
+    saveProfile('work', 'work-token', { username: 'ada' });
+    assert.deepEqual(listProfiles().work, { token: 'work-token', username: 'ada' });
+    assert.equal(getActiveProfile(), 'default');
+    assert.throws(() => saveProfile('a b', 't'), /Invalid profile name/);
+
+    setActiveProfile('work');
+    assert.equal(getProfileName(), 'work');
+    assert.equal(await getToken(), 'work-token');
+    assert.throws(() => setActiveProfile('nope'), /Unknown auth profile "nope". Available: default, work/);
+
+    assert.equal(removeProfile('work'), 'default');
+    assert.equal(removeProfile('default'), null);
+    assert.throws(() => removeProfile('default'), /Add one with: puter-ai auth add --profile default/);
+    assert.equal(await getToken(), '');
+});
+
+test('PUTER_TOKEN wins unless --profile names a profile', async () => {
+    saveProfile('main', 'saved-token');
+    process.env.PUTER_TOKEN = 'env-token';
+    try {
+        assert.equal(await getToken(), 'env-token');
+        selectProfile('main');
+        assert.equal(await getToken(), 'saved-token');
+        selectProfile('missing');
+        await assert.rejects(getToken(), /Unknown auth profile "missing"/);
+    } finally {
+        selectProfile(null);
+        delete process.env.PUTER_TOKEN;
+    }
+});
+
+test('encrypted profiles are unlocked with the passphrase from the environment', async () => {
+    config.set('profiles', { ...listProfiles(), locked: { encrypted: encryptToken('locked-token', 'pw') } });
+    selectProfile('locked');
+    try {
+        process.env[PASSPHRASE_ENV] = 'wrong';
+        await assert.rejects(getToken(), /Wrong passphrase/);
+        process.env[PASSPHRASE_ENV] = 'pw';
+        assert.equal(await getToken(), 'locked-token');
+    } finally {
+        selectProfile(null);
+        delete process.env[PASSPHRASE_ENV];
+    }
+});
@@ -0,0 +1,89 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createCheckpointStore, beginCheckpoint, endCheckpoint, snapshotFile, changedFiles, restoreTo, undoLast, rollbackAll } from '../src/checkpoints.js';
+
+async function write(store, file, content) {
+    await snapshotFile(store, file);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+test('only the first snapshot of a file in a turn is kept', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'a.txt');
+    fs.writeFileSync(file, 'v1');
+    const store = createCheckpointStore();
+
+    beginCheckpoint(store, 'edit   a\ntwice');
+    await write(store, file, 'v2');
+    await write(store, file, 'v3');
+    endCheckpoint(store);
+
+    assert.equal(store.checkpoints.length, 1);
+    assert.equal(store.checkpoints[0].label, 'edit a twice');
+    assert.equal(store.checkpoints[0].files.get(file).toString(), 'v1');
+});
+
+test('turns that touch no files leave no checkpoint', () => {
+    const store = createCheckpointStore();
+    beginCheckpoint(store, 'just talking');
+    endCheckpoint(store);
+    assert.equal(store.checkpoints.length, 0);
+});
+
+test('undoLast restores modified files and deletes created ones', async () => {
+    const dir = tempDir();
+    const existing = path.join(dir, 'a.txt');
+    const created = path.join(dir, 'new/b.txt');
+    fs.writeFileSync(existing, 'before');
+    const store = createCheckpointStore();
+
+    beginCheckpoint(store, 'turn');
+    await write(store, existing, 'after');
+    await write(store, created, 'hello');
+
+    assert.deepEqual(await changedFiles(store), [
+        { path: existing, change: 'modified' },
+        { path: created, change: 'created' },
+    ]);
+
+    const restored = await undoLast(store);
+    assert.deepEqual(restored, [{ path: existing, action: 'restored' }, { path: created, action: 'deleted' }]);
+    assert.equal(fs.readFileSync(existing, 'utf-8'), 'before');
+    assert.equal(fs.existsSync(created), false);
+    assert.equal(store.checkpoints.length, 0);
+    await assert.rejects(undoLast(store), /Nothing to undo/);
+});
+
+test('restoreTo undoes that checkpoint and every later one', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'a.txt');
+    fs.writeFileSync(file, 'v0');
+    const store = createCheckpointStore();
+    for (const version of ['v1', 'v2', 'v3']) {
+        beginCheckpoint(store, version);
+        await write(store, file, version);
+        endCheckpoint(store);
+    }
+
+    await restoreTo(store, 1);
+    assert.equal(fs.readFileSync(file, 'utf-8'), 'v1');
+    assert.equal(store.checkpoints.length, 1);
+    await assert.rejects(restoreTo(store, 5), /No checkpoint #6 \(have 1\)/);
+
+    await rollbackAll(store);
+    assert.equal(fs.readFileSync(file, 'utf-8'), 'v0');
+    assert.deepEqual(await rollbackAll(store), []);
+});
+
+test('a file deleted after its snapshot shows as deleted', async () => {
+    const file = path.join(tempDir(), 'a.txt');
+    fs.writeFileSync(file, 'x');
+    const store = createCheckpointStore();
+    await snapshotFile(store, file);
+    fs.rmSync(file);
+    assert.deepEqual(await changedFiles(store), [{ path: file, change: 'deleted' }]);
+});
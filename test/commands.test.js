@@ -0,0 +1,66 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadCommands, parseCommandLine, expandCommand, isToolAllowed, projectCommandsDir, USER_COMMANDS_DIR } from '../src/commands.js';
+
+function write(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+test('commands load from the user and project directories, project winning', async () => {
+    const projectDir = tempDir();
+    write(path.join(USER_COMMANDS_DIR, 'review.md'), 'User review');
+    write(path.join(USER_COMMANDS_DIR, 'Explain.md'), 'Explain $ARGUMENTS\nin detail');
+    write(path.join(projectCommandsDir(projectDir), 'review.md'), [
+        '---',
+        'description: "Review a file"',
+        'argument-hint: <file>',
+        'model: gpt-4o',
+        'allowed-tools: [read_file, "search_*"]',
+        '---',
+        'Review $1 for bugs.',
+    ].join('\r\n'));
+    write(path.join(projectCommandsDir(projectDir), 'notes.txt'), 'ignored');
+
+    try {
+        const commands = await loadCommands(projectDir);
+        assert.deepEqual([...commands.keys()].sort(), ['explain', 'review']);
+        assert.equal(commands.get('explain').description, 'Explain $ARGUMENTS');
+        assert.equal(commands.get('explain').source, 'user');
+
+        const review = commands.get('review');
+        assert.equal(review.source, 'project');
+        assert.equal(review.description, 'Review a file');
+        assert.equal(review.argumentHint, '<file>');
+        assert.equal(review.model, 'gpt-4o');
+        assert.deepEqual(review.allowedTools, ['read_file', 'search_*']);
+        assert.equal(review.body, 'Review $1 for bugs.');
+
+        assert.equal((await loadCommands(null)).get('review').source, 'user');
+    } finally {
+        fs.rmSync(USER_COMMANDS_DIR, { recursive: true });
+    }
+});
+
+test('parseCommandLine splits the name from its arguments', () => {
+    assert.deepEqual(parseCommandLine('/Review src/a.js  --deep '), { name: 'review', args: 'src/a.js  --deep' });
+    assert.deepEqual(parseCommandLine('/git:commit'), { name: 'git:commit', args: '' });
+    assert.equal(parseCommandLine('not a command'), null);
+});
+
+test('placeholders are filled from the arguments in one pass', () => {
+    const command = { body: 'Compare $1 with $2 ($ARGUMENTS), ignore $3' };
+    assert.equal(expandCommand(command, '"a b.js" c.js'), 'Compare a b.js with c.js ("a b.js" c.js), ignore ');
+    assert.equal(expandCommand(command, "'$2' x"), "Compare $2 with x ('$2' x), ignore ");
+    assert.equal(expandCommand({ body: 'Summarise the diff' }, 'briefly'), 'Summarise the diff\n\nbriefly');
+    assert.equal(expandCommand({ body: 'Summarise the diff' }), 'Summarise the diff');
+});
+
+test('allowed-tools accepts names and globs', () => {
+    assert.equal(isToolAllowed(null, 'run_command'), true);
+    assert.equal(isToolAllowed(['read_file', 'mcp__*'], 'mcp__db__query'), true);
+    assert.equal(isToolAllowed(['read_file', 'mcp__*'], 'run_command'), false);
+});
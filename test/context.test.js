@@ -0,0 +1,80 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, estimateConversationTokens, needsCompaction, pruneStaleToolOutput, compactMessages, SUMMARY_PREFIX } from '../src/context.js';
+
+const readCall = (id, args) => ({ role: 'assistant', content: '', tool_calls: [{ id, type: 'function', function: { name: 'read_file', arguments: JSON.stringify(args) } }] });
+const toolResult = (id, content) => ({ role: 'tool', tool_call_id: id, content });
+
+test('estimateTokens counts text, tool calls and images at a fixed size', () => {
+    assert.equal(estimateTokens({ role: 'user', content: 'x'.repeat(400) }), 104);
+    assert.equal(estimateTokens(readCall('1', { path: 'a' })), Math.ceil(('read_file' + '{"path":"a"}').length / 4) + 4);
+    const withImage = { role: 'user', content: [{ type: 'text', text: 'hi' }, { type: 'image_url', image_url: { url: 'data:' + 'A'.repeat(100000) } }] };
+    assert.equal(estimateTokens(withImage), Math.ceil((2 + 4000) / 4) + 4);
+    assert.equal(estimateConversationTokens([{ content: 'abcd' }, { content: 'abcd' }]), 10);
+});
+
+test('needsCompaction uses the context window of the model it is given', () => {
+    // ~40k tokens: over 80% of qwen's 32k window, well under claude's 200k
+    const messages = [{ role: 'user', content: 'x'.repeat(160000) }];
+    assert.equal(needsCompaction(messages, 'qwen-2.5'), true);
+    assert.equal(needsCompaction(messages, 'claude-sonnet-4.6'), false);
+});
+
+test('pruneStaleToolOutput trims re-read files and old results, not recent ones', () => {
+    const big = 'line\n'.repeat(1000);
+    const messages = [
+        { role: 'system', content: 's' },
+        readCall('a', { path: 'src/x.js' }), toolResult('a', big),
+        readCall('b', { path: 'src/x.js', offset: 200 }), toolResult('b', big),
+        readCall('c', { path: 'src/x.js' }), toolResult('c', big),
+    ];
+    assert.equal(pruneStaleToolOutput(messages), 1);
+    assert.equal(messages[2].content, '[Stale output elided: src/x.js was read again later]');
+    assert.equal(messages[4].content, big);
+    assert.equal(messages[6].content, big);
+
+    const many = [];
+    for (let i = 0; i < 10; i++) many.push({ role: 'tool', tool_call_id: `t${i}`, content: big });
+    assert.equal(pruneStaleToolOutput(many), 2);
+    assert.match(many[0].content, /older tool output elided, 1001 lines total/);
+    assert.equal(many[2].content, big);
+});
+
+test('compactMessages summarises the old turns and keeps the recent ones', async () => {
+    const calls = [];
+    const provider = { chat: async (msgs, opts) => { calls.push({ msgs, opts }); return { message: { content: 'They asked for X.' }, usage: { input_tokens: 5 } }; } };
+    const messages = [{ role: 'system', content: 'sys' }];
+    for (let i = 0; i < 20; i++) {
+        messages.push({ role: 'user', content: `question ${i} ${'q'.repeat(4000)}` });
+        messages.push({ role: 'assistant', content: `answer ${i} ${'a'.repeat(4000)}` });
+    }
+
+    const result = await compactMessages(provider, messages, 'qwen-2.5', { focus: 'the tests' });
+    assert.equal(calls[0].opts.model, 'qwen-2.5');
+    assert.match(calls[0].msgs[0].content, /Pay particular attention to: the tests/);
+    assert.match(calls[0].msgs[1].content, /^USER: question 0/);
+    assert.equal(messages[0].content, 'sys');
+    assert.equal(messages[1].content, `${SUMMARY_PREFIX}\nThey asked for X.`);
+    assert.equal(messages.at(-1).content.slice(0, 9), 'answer 19');
+    assert.ok(result.after < result.before);
+    // The tail starts with a user turn, so an assistant reply follows the summary
+    assert.equal(messages[2].role, 'assistant');
+    assert.equal(messages[3].role, 'user');
+    assert.equal(result.summarized + messages.length - 3, 40);
+    assert.deepEqual(result.usage, { input_tokens: 5 });
+});
+
+test('compactMessages leaves short conversations alone', async () => {
+    const provider = { chat: async () => assert.fail('should not summarise') };
+    const messages = [{ role: 'system', content: 's' }, { role: 'user', content: 'hi' }];
+    assert.equal(await compactMessages(provider, messages, 'claude-sonnet-4.6'), null);
+    assert.equal(messages.length, 2);
+});
+
+test('an empty summary is an error', async () => {
+    const provider = { chat: async () => ({ message: { content: ' ' } }) };
+    const messages = [{ role: 'system', content: 's' }];
+    for (let i = 0; i < 10; i++) messages.push({ role: 'user', content: 'x'.repeat(20000) }, { role: 'assistant', content: 'ok' });
+    await assert.rejects(compactMessages(provider, messages, 'qwen-2.5'), /empty summary/);
+});
@@ -0,0 +1,77 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { createUnifiedDiff, diffLines, diffStats, colorizeDiff } from '../src/diff.js';
+
+const lines = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`).join('\n') + '\n';
+
+/**
+ * Apply a diff with git to check it is a valid patch that turns before into after
+ */
+function applyWithGit(before, after) {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'f.txt'), before);
+    const patch = createUnifiedDiff(before, after, { oldLabel: 'a/f.txt', newLabel: 'b/f.txt' });
+    fs.writeFileSync(path.join(dir, 'f.patch'), patch + '\n');
+    execFileSync('git', ['apply', 'f.patch'], { cwd: dir, stdio: 'pipe' });
+    return fs.readFileSync(path.join(dir, 'f.txt'), 'utf-8');
+}
+
+test('identical texts have no diff', () => {
+    assert.equal(createUnifiedDiff('a\n', 'a\n'), '');
+});
+
+test('a single change gets three lines of context', () => {
+    assert.equal(createUnifiedDiff(lines(1, 10), lines(1, 10).replace('line 5', 'LINE 5'), { oldLabel: 'a/x', newLabel: 'b/x' }), [
+        '--- a/x', '+++ b/x',
+        '@@ -2,7 +2,7 @@',
+        ' line 2', ' line 3', ' line 4', '-line 5', '+LINE 5', ' line 6', ' line 7', ' line 8',
+    ].join('\n'));
+});
+
+test('changes far apart become separate hunks, close ones share one', () => {
+    const before = lines(1, 30);
+    const far = createUnifiedDiff(before, before.replace('line 3\n', '').replace('line 25', 'line twenty-five'));
+    assert.deepEqual(far.split('\n').filter(l => l.startsWith('@@')), ['@@ -1,6 +1,5 @@', '@@ -22,7 +21,7 @@']);
+
+    const near = createUnifiedDiff(before, before.replace('line 10', 'x').replace('line 16', 'y'));
+    assert.deepEqual(near.split('\n').filter(l => l.startsWith('@@')), ['@@ -7,13 +7,13 @@']);
+    assert.deepEqual(diffStats(near), { added: 2, removed: 2 });
+});
+
+test('pure insertions and deletions use the empty-range form', () => {
+    assert.equal(createUnifiedDiff('', 'new\n'), '--- a\n+++ b\n@@ -0,0 +1 @@\n+new');
+    assert.equal(createUnifiedDiff('old\n', ''), '--- a\n+++ b\n@@ -1 +0,0 @@\n-old');
+});
+
+test('a missing newline at the end of file is marked', () => {
+    assert.equal(createUnifiedDiff('a\nb', 'a\nb\n'), '--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b');
+});
+
+test('the edit script is minimal', () => {
+    const ops = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+    assert.equal(ops.filter(op => op.type !== 'equal').length, 5);
+    assert.deepEqual(diffLines(['x'], ['x']), [{ type: 'equal', oldIndex: 0, newIndex: 0 }]);
+});
+
+test('diffs apply cleanly as patches', () => {
+    const before = lines(1, 60);
+    const cases = [
+        before.replace('line 1\n', 'first\n').replace('line 30\n', '').replace('line 60\n', 'line 60\nline 61\n'),
+        before.split('\n').reverse().join('\n'),
+        'completely\ndifferent\n',
+        before.replace('line 60\n', 'line 60'),
+        before.replace(/line (\d*)5\n/g, 'five $1\nextra\n'),
+    ];
+    for (const after of cases) assert.equal(applyWithGit(before, after), after);
+});
+
+test('colorizeDiff can cut long diffs', () => {
+    const diff = createUnifiedDiff(lines(1, 20), lines(21, 40));
+    const shown = colorizeDiff(diff, { maxLines: 5, indent: '  ' }).split('\n');
+    assert.equal(shown.length, 6);
+    assert.match(shown[5], /\.\.\. \(38 more diff lines\)/);
+});
@@ -0,0 +1,63 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { normalizeEdits, applyEdits } from '../src/edits.js';
+import { executeTool } from '../src/tools.js';
+
+const edit = (target, replacement, replace_all = false) => ({ target, replacement, replace_all });
+
+test('a single edit replaces its target and reports the changed lines', () => {
+    const result = applyEdits('a\nb\nc\n', [edit('b\n', 'B1\nB2\n')]);
+    assert.deepEqual(result, { content: 'a\nB1\nB2\nc\n', replacements: 1, ranges: ['2-3'] });
+});
+
+test('a target found more than once is ambiguous unless replace_all is set', () => {
+    const content = 'x = 1;\ny = 2;\nx = 1;\n';
+    assert.throws(() => applyEdits(content, [edit('x = 1;', 'x = 3;')]),
+        /^Error: target is ambiguous: found 2 times \(lines 1, 3\)\. Include more surrounding lines/);
+    assert.deepEqual(applyEdits(content, [edit('x = 1;', 'x = 3;', true)]),
+        { content: 'x = 3;\ny = 2;\nx = 3;\n', replacements: 2, ranges: ['1', '3'] });
+});
+
+test('targets that are not found point at near misses', () => {
+    const content = 'function a() {\n    return 1;\n}\n';
+    assert.throws(() => applyEdits(content, [edit('function a() {\n  return 1;\n}', '')]), /matching it up to whitespace exists/);
+    assert.throws(() => applyEdits(content, [edit('function a() {\n    return 2;', '')]), /its first line appears at line 1 but the rest differs/);
+    assert.throws(() => applyEdits(content, [edit('nothing like it', '')]), /^Error: target not found — re-read the file/);
+    assert.throws(() => applyEdits(content, [edit('', 'x')]), /target is empty/);
+    assert.throws(() => applyEdits(content, [edit('a', 'a')]), /identical/);
+});
+
+test('a batch applies in order and fails as a whole, naming the bad edit', () => {
+    const content = 'one\ntwo\nthree\n';
+    const result = applyEdits(content, [edit('one', 'ONE'), edit('ONE\ntwo', 'ONE\nTWO'), edit('three\n', '')]);
+    assert.deepEqual(result, { content: 'ONE\nTWO\n', replacements: 3, ranges: ['1-2'] });
+    assert.throws(() => applyEdits(content, [edit('one', 'ONE'), edit('four', '4')]), /^Error: edit #2: target not found/);
+});
+
+test('CRLF files keep their line endings when edited with LF text', () => {
+    const result = applyEdits('a\r\nb\r\nc\r\n', [edit('a\nb', 'a\nB\nb')]);
+    assert.equal(result.content, 'a\r\nB\r\nb\r\nc\r\n');
+    // Mixed endings are left exactly as they are
+    assert.equal(applyEdits('a\r\nb\nc', [edit('b\n', 'B\n')]).content, 'a\r\nB\nc');
+});
+
+test('normalizeEdits accepts a single edit or an edits array', () => {
+    assert.deepEqual(normalizeEdits({ target: 'a', replacement: 'b' }), [edit('a', 'b')]);
+    assert.deepEqual(normalizeEdits({ target: 'a', edits: [{ target: 'x', replace_all: 1 }] }), [edit('x', '', true)]);
+    assert.deepEqual(normalizeEdits({ edits: [] }), [edit('', '')]);
+});
+
+test('edit_file writes only when every edit applies', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'a.js');
+    fs.writeFileSync(file, 'let a = 1;\r\nlet b = 2;\r\n');
+
+    assert.match(await executeTool('edit_file', { path: 'a.js', edits: [{ target: 'a = 1', replacement: 'a = 10' }, { target: 'c', replacement: 'd' }] }, dir), /^Error/);
+    assert.equal(fs.readFileSync(file, 'utf-8'), 'let a = 1;\r\nlet b = 2;\r\n');
+
+    assert.doesNotMatch(await executeTool('edit_file', { path: 'a.js', target: 'let b = 2;\n', replacement: 'let b = 3;\nlet c = 4;\n' }, dir), /^Error/);
+    assert.equal(fs.readFileSync(file, 'utf-8'), 'let a = 1;\r\nlet b = 3;\r\nlet c = 4;\r\n');
+});
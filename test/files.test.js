@@ -0,0 +1,74 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { readFileRange, detectEncoding, looksBinary, formatSize } from '../src/files.js';
+import { executeTool } from '../src/tools.js';
+
+function file(content) {
+    const filePath = path.join(tempDir(), 'f.txt');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+const numbered = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => `line ${from + i}`);
+
+test('a range of lines comes back numbered, with a pointer to the rest', async () => {
+    const filePath = file(numbered(1, 10).join('\n') + '\n');
+    assert.equal(await readFileRange(filePath, { displayPath: 'f.txt', offset: 3, limit: 2 }), [
+        '[f.txt: lines 3-4 of 10, 71 B]',
+        '     3\tline 3',
+        '     4\tline 4',
+        '... 6 more lines — call read_file with offset=5 to continue',
+    ].join('\n'));
+    assert.match(await readFileRange(filePath, { offset: 9 }), /lines 9-10 of 10, 71 B\]\n {5}9\tline 9\n {4}10\tline 10$/);
+    assert.match(await readFileRange(filePath, { displayPath: 'f.txt', offset: 50 }), /^\[f.txt: 10 lines, 71 B\] offset 50 is past the end/);
+});
+
+test('CRLF, BOMs and legacy encodings are decoded', async () => {
+    assert.match(await readFileRange(file('a\r\nb\r\n')), /\n {5}1\ta\n {5}2\tb$/);
+    assert.match(await readFileRange(file(Buffer.from([0xef, 0xbb, 0xbf, 0x68, 0x69]))), /has BOM\]\n {5}1\thi$/);
+    assert.match(await readFileRange(file(Buffer.from('﻿hé', 'utf16le'))), /decoded as utf-16le, has BOM\]\n {5}1\thé$/);
+    assert.match(await readFileRange(file(Buffer.from('café au lait', 'latin1'))), /decoded as windows-1252\]\n {5}1\tcafé au lait$/);
+});
+
+test('binary files are described instead of shown', async () => {
+    const png = file(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]));
+    assert.match(await readFileRange(png, { displayPath: 'a.png' }), /^\[Binary file: a.png — PNG image, 10 B\]\nFirst bytes: 89 50 4e 47/);
+    assert.deepEqual(detectEncoding(Buffer.from([1, 2, 3, 0])), { binary: true, type: 'binary data' });
+    assert.equal(looksBinary(Buffer.from('plain text\n')), false);
+    assert.equal(looksBinary(Buffer.from([1, 2, 3, 4, 65])), true);
+});
+
+test('empty files, directories and long lines', async () => {
+    assert.equal(await readFileRange(file(''), { displayPath: 'e' }), '[e: empty file]');
+    await assert.rejects(readFileRange(tempDir(), { displayPath: 'd' }), /d is a directory/);
+    assert.match(await readFileRange(file('x'.repeat(3000))), /x{2000}\.\.\. \[line truncated, 3000 chars\]$/);
+    assert.equal(formatSize(1536), '1.5 KB');
+});
+
+test('lines far longer than the cut are streamed past, not held whole', async () => {
+    const long = 'y'.repeat(3 * 1024 * 1024);
+    const filePath = file(`${long}\r\nsecond\r\n`);
+    assert.match(await readFileRange(filePath, { limit: 1 }), /\ty{2000}\.\.\. \[line truncated, 3145728 chars\]\n\.\.\. 1 more lines/);
+    assert.match(await readFileRange(filePath, { offset: 2 }), /lines 2-2 of 2, 3\.0 MB\]\n {5}2\tsecond$/);
+});
+
+test('reading stops at the scan limit in a huge file', async () => {
+    // Sparse: text at the start, then ~300 MB of zero bytes and no newline
+    const filePath = file('start\n' + 'z'.repeat(8000));
+    fs.truncateSync(filePath, 300 * 1024 * 1024);
+    const result = await readFileRange(filePath, { displayPath: 'big.log' });
+    assert.match(result, /^\[big.log: lines 1-2 of more, 300\.0 MB\]\n {5}1\tstart\n {5}2\tz{2000}\.\.\. \[line truncated, over 268435\d+ chars\]\n\.\.\. more lines follow/);
+    assert.match(await readFileRange(filePath, { offset: 5 }), /offset 5 is past the first 256\.0 MB read_file reaches — use run_command \(e\.g\. sed -n '5,504p'\)/);
+});
+
+test('read_files reads several files in one call', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'a.txt'), 'alpha\n');
+    fs.writeFileSync(path.join(dir, 'b.txt'), 'beta\n');
+    const result = await executeTool('read_files', { paths: ['a.txt', 'b.txt', 'missing.txt'] }, dir);
+    assert.match(result, /^\[a.txt: lines 1-1 of 1, 6 B\]\n {5}1\talpha\n\n\[b.txt: lines 1-1 of 1, 5 B\]\n {5}1\tbeta\n\nError reading file: /);
+    assert.equal(await executeTool('read_files', { paths: [] }, dir), 'Error: paths must list at least one file');
+});
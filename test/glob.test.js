@@ -0,0 +1,35 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { matchGlob, matchPath } from '../src/glob.js';
+
+test('in path mode * stays within a segment and ** crosses directories', () => {
+    assert.equal(matchGlob('src/*.js', 'src/a.js'), true);
+    assert.equal(matchGlob('src/*.js', 'src/lib/a.js'), false);
+    assert.equal(matchGlob('src/**', 'src/lib/a.js'), true);
+    assert.equal(matchGlob('src/**/*.js', 'src/a.js'), true);
+    assert.equal(matchGlob('src/**/*.js', 'src/lib/deep/a.js'), true);
+    assert.equal(matchGlob('?.md', 'a.md'), true);
+    assert.equal(matchGlob('?.md', 'ab.md'), false);
+});
+
+test('braces alternate and everything else is literal', () => {
+    assert.equal(matchGlob('*.{js,ts}', 'a.ts'), true);
+    assert.equal(matchGlob('*.{js,ts}', 'a.css'), false);
+    assert.equal(matchGlob('a+b(1).txt', 'a+b(1).txt'), true);
+    assert.equal(matchGlob('a.txt', 'abtxt'), false);
+    assert.equal(matchGlob('{unclosed', '{unclosed'), true);
+});
+
+test('text mode lets * match spaces and slashes', () => {
+    assert.equal(matchGlob('npm run *', 'npm run build --prefix a/b', { pathMode: false }), true);
+    assert.equal(matchGlob('npm run *', 'npm run build --prefix a/b'), false);
+    assert.equal(matchGlob('README*', 'readme.md', { ignoreCase: true }), true);
+});
+
+test('matchPath matches slash-less patterns against the basename anywhere', () => {
+    assert.equal(matchPath('*.env', 'config/prod.env'), true);
+    assert.equal(matchPath('package.json', 'packages/a/package.json'), true);
+    assert.equal(matchPath('src/*.js', 'lib/src/a.js'), false);
+    assert.equal(matchPath('./src/*.js', 'src/a.js'), true);
+});
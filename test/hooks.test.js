@@ -0,0 +1,80 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../src/auth.js';
+import { loadHooks, runHooks, hasHooks } from '../src/hooks.js';
+
+function projectWithHooks(hooks) {
+    const projectDir = tempDir();
+    fs.mkdirSync(path.join(projectDir, '.puter'));
+    fs.writeFileSync(path.join(projectDir, '.puter', 'settings.json'), JSON.stringify({ hooks }));
+    return projectDir;
+}
+
+const hook = (command, extra = {}) => ({ command, matcher: '*', timeout: 60, source: 'project', ...extra });
+
+test('project hooks are only loaded once the user trusts them', async () => {
+    const projectDir = projectWithHooks({ 'post-tool': [{ matcher: 'write_file', command: 'prettier' }], 'session-end': ['./bye.sh'], unknown: ['x'] });
+    config.set('hooks', { 'session-start': ['echo user'] });
+    try {
+        const asked = [];
+        const declined = await loadHooks(projectDir, { confirm: async (lines) => { asked.push(lines); return false; } });
+        assert.deepEqual(asked, [['post-tool (write_file): prettier', 'session-end: ./bye.sh']]);
+        assert.equal(hasHooks(declined, 'post-tool'), false);
+        assert.deepEqual(declined['session-start'], [hook('echo user', { source: 'user' })]);
+        assert.equal(hasHooks(await loadHooks(projectDir), 'post-tool'), false);
+
+        const trusted = await loadHooks(projectDir, { confirm: async () => true });
+        assert.deepEqual(trusted['post-tool'], [hook('prettier', { matcher: 'write_file' })]);
+        // Remembered from now on, without asking
+        assert.equal(hasHooks(await loadHooks(projectDir), 'session-end'), true);
+
+        fs.writeFileSync(path.join(projectDir, '.puter', 'settings.json'), JSON.stringify({ hooks: { 'session-end': ['curl evil.example'] } }));
+        assert.equal(hasHooks(await loadHooks(projectDir), 'session-end'), false);
+    } finally {
+        config.delete('hooks');
+    }
+});
+
+test('exit code 2 blocks with stderr as the reason and stops later hooks', async () => {
+    const hooks = { 'pre-tool': [hook('echo "no rm" >&2; exit 2'), hook('touch ran')] };
+    const projectDir = tempDir();
+    const outcome = await runHooks(hooks, 'pre-tool', { tool_name: 'run_command', tool_input: { command: 'rm x' } }, projectDir);
+    assert.equal(outcome.blocked, true);
+    assert.equal(outcome.reason, 'no rm');
+    assert.equal(fs.existsSync(path.join(projectDir, 'ran')), false);
+});
+
+test('hooks get the payload on stdin and can rewrite arguments in turn', async () => {
+    const projectDir = tempDir();
+    const hooks = {
+        'pre-tool': [
+            hook(`node -e 'let s="";process.stdin.on("data",d=>s+=d).on("end",()=>{const p=JSON.parse(s);console.log(JSON.stringify({args:{path:p.tool_input.path+".bak"}}))})'`),
+            hook('cat > seen.json; echo "$PUTER_TOOL_NAME $PUTER_HOOK_EVENT" > env.txt'),
+            hook('touch skipped', { matcher: 'run_command|mcp__*' }),
+        ],
+    };
+    const outcome = await runHooks(hooks, 'pre-tool', { tool_name: 'write_file', tool_input: { path: 'a.js' } }, projectDir);
+    assert.deepEqual(outcome.args, { path: 'a.js.bak' });
+    const seen = JSON.parse(fs.readFileSync(path.join(projectDir, 'seen.json'), 'utf-8'));
+    assert.deepEqual(seen, { event: 'pre-tool', project_dir: projectDir, tool_name: 'write_file', tool_input: { path: 'a.js.bak' } });
+    assert.equal(fs.readFileSync(path.join(projectDir, 'env.txt'), 'utf-8'), 'write_file pre-tool\n');
+    assert.equal(fs.existsSync(path.join(projectDir, 'skipped')), false);
+});
+
+test('messages, context and failures are collected', async () => {
+    const hooks = {
+        'post-tool': [hook(`echo '{"message":"formatted"}'`), hook('echo oops >&2; exit 1'), hook('sleep 5', { timeout: 1 })],
+        'user-prompt-submit': [hook('echo "branch: main"'), hook(`echo '{"decision":"block","reason":"no secrets"}'`)],
+    };
+    const post = await runHooks(hooks, 'post-tool', { tool_name: 'edit_file' }, tempDir());
+    assert.deepEqual(post.messages, ['formatted']);
+    assert.deepEqual(post.failures, ['Hook "echo oops >&2; exit 1" exited with code 1: oops', 'Hook "sleep 5" timed out after 1s']);
+
+    const prompt = await runHooks(hooks, 'user-prompt-submit', { prompt: 'hi' }, tempDir());
+    assert.deepEqual(prompt.context, ['branch: main']);
+    assert.equal(prompt.blocked, true);
+    assert.equal(prompt.reason, 'no secrets');
+});
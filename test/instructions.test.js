@@ -0,0 +1,132 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { loadInstructions, formatInstructions, projectInstructionsFile, appendInstruction, openInEditor, USER_INSTRUCTIONS_FILE } from '../src/instructions.js';
+
+function write(file, content) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+test('user, parent and project files load in that order', async () => {
+    const root = tempDir();
+    const projectDir = path.join(root, 'app');
+    write(USER_INSTRUCTIONS_FILE, 'Be brief.');
+    write(path.join(root, 'AGENTS.md'), 'Monorepo rules');
+    write(path.join(projectDir, 'PUTER.md'), 'Use tabs.');
+    write(path.join(projectDir, 'AGENTS.md'), '   \n');
+
+    try {
+        const loaded = await loadInstructions(projectDir);
+        assert.deepEqual(loaded.map(i => [i.scope, i.path, i.content]), [
+            ['user', USER_INSTRUCTIONS_FILE, 'Be brief.'],
+            ['parent', path.join(root, 'AGENTS.md'), 'Monorepo rules'],
+            ['project', path.join(projectDir, 'PUTER.md'), 'Use tabs.'],
+        ]);
+        const prompt = formatInstructions(loaded);
+        assert.match(prompt, /^\n\n# Instructions from the user\n/);
+        assert.ok(prompt.indexOf('Be brief.') < prompt.indexOf('Use tabs.'));
+        assert.equal(formatInstructions([]), '');
+    } finally {
+        fs.rmSync(USER_INSTRUCTIONS_FILE);
+    }
+});
+
+test('@path includes are expanded once, outside code fences, and not for emails', async () => {
+    const projectDir = tempDir();
+    write(path.join(projectDir, 'PUTER.md'), 'See @docs/style.md and mail me@example.com\n```\n@docs/fenced.md\n```\n');
+    write(path.join(projectDir, 'docs/style.md'), 'Style guide, also @./more.md and @../PUTER.md');
+    write(path.join(projectDir, 'docs/more.md'), 'More rules');
+    write(path.join(projectDir, 'docs/fenced.md'), 'Should not appear');
+
+    const [project] = await loadInstructions(projectDir);
+    assert.match(project.content, /<!-- included from .*docs\/style\.md -->\nStyle guide/);
+    assert.match(project.content, /<!-- included from .*docs\/more\.md -->\nMore rules/);
+    assert.doesNotMatch(project.content, /Should not appear/);
+    assert.equal(project.content.match(/included from/g).length, 2);
+});
+
+test('project and parent files cannot include files outside the project', async () => {
+    const root = tempDir();
+    const projectDir = path.join(root, 'app');
+    const secret = path.join(tempDir(), 'credentials');
+    write(secret, 'aws_secret_access_key = hunter2');
+    write(path.join(root, 'AGENTS.md'), `Parent @${secret} @./shared.md`);
+    write(path.join(root, 'shared.md'), 'Shared rules');
+    write(path.join(projectDir, 'PUTER.md'), `Project @${secret} @../shared.md @link.md @docs/ok.md`);
+    write(path.join(projectDir, 'docs/ok.md'), 'Fine, but not @../../shared.md');
+    fs.symlinkSync(secret, path.join(projectDir, 'link.md'));
+
+    const [parent, project] = await loadInstructions(projectDir);
+    for (const { content } of [parent, project]) {
+        assert.doesNotMatch(content, /hunter2|Shared rules/);
+        assert.match(content, new RegExp(`\\[@${secret} not included: it is outside the project\\]`));
+    }
+    assert.match(project.content, /\[@.*link\.md not included: it is outside the project\]/);
+    assert.match(project.content, /included from .*docs\/ok\.md -->\nFine/);
+});
+
+test("the user's own file may include files from anywhere", async () => {
+    const secret = path.join(tempDir(), 'team-rules.md');
+    write(secret, 'Team rules');
+    write(USER_INSTRUCTIONS_FILE, `Mine @${secret}`);
+    try {
+        const [user] = await loadInstructions(tempDir());
+        assert.match(user.content, /included from .*team-rules\.md -->\nTeam rules/);
+    } finally {
+        fs.rmSync(USER_INSTRUCTIONS_FILE);
+    }
+});
+
+test('includes stop nesting at the depth limit', async () => {
+    const projectDir = tempDir();
+    write(path.join(projectDir, 'PUTER.md'), '@n1.md');
+    for (let i = 1; i <= 6; i++) write(path.join(projectDir, `n${i}.md`), `level ${i} @n${i + 1}.md`);
+    const [project] = await loadInstructions(projectDir);
+    assert.match(project.content, /level 4/);
+    assert.doesNotMatch(project.content, /level 5/);
+    assert.match(project.content, /not included: includes nest more than 5 levels deep/);
+});
+
+test('notes are appended to the existing instruction file, or a new PUTER.md', async () => {
+    const projectDir = tempDir();
+    assert.equal(await projectInstructionsFile(projectDir), path.join(projectDir, 'PUTER.md'));
+    write(path.join(projectDir, 'AGENTS.md'), '# Notes');
+    const file = await projectInstructionsFile(projectDir);
+    assert.equal(file, path.join(projectDir, 'AGENTS.md'));
+
+    await appendInstruction(file, 'Run npm test before committing');
+    await appendInstruction(file, 'Prefer async/await');
+    assert.equal(fs.readFileSync(file, 'utf-8'), '# Notes\n- Run npm test before committing\n- Prefer async/await\n');
+});
+
+async function withEditor(editor, fn) {
+    const saved = { VISUAL: process.env.VISUAL, EDITOR: process.env.EDITOR };
+    delete process.env.VISUAL;
+    process.env.EDITOR = editor;
+    try {
+        return await fn();
+    } finally {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+}
+
+test('the editor gets the file name as one argument, shell characters and all', async () => {
+    const dir = tempDir();
+    const script = path.join(dir, 'editor.js');
+    const record = path.join(dir, 'args.json');
+    write(script, `require('fs').writeFileSync(${JSON.stringify(record)}, JSON.stringify(process.argv.slice(2)))`);
+    const file = path.join(dir, 'notes "$(touch pwned)" `id`.md');
+
+    await withEditor(`${process.execPath} ${script} --wait`, () => openInEditor(file));
+    assert.deepEqual(JSON.parse(fs.readFileSync(record, 'utf-8')), ['--wait', file]);
+    assert.equal(fs.existsSync(file), true);
+    assert.equal(fs.existsSync(path.join(process.cwd(), 'pwned')), false);
+
+    await withEditor(`${process.execPath} -e process.exit(3)`, () => assert.rejects(openInEditor(file), /exited with code 3/));
+});
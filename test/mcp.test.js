@@ -0,0 +1,79 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMcpServers, stopMcpServers, getMcpToolDefinitions, callMcpTool, isMcpTool } from '../src/mcp.js';
+
+// A stdio MCP server with one "echo" tool
+const SERVER = `
+const readline = require('readline');
+const send = (msg) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...msg }) + '\\n');
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const msg = JSON.parse(line);
+    if (msg.method === 'initialize') send({ id: msg.id, result: { protocolVersion: msg.params.protocolVersion, capabilities: {} } });
+    if (msg.method === 'tools/list') send({ id: msg.id, result: { tools: [{ name: 'echo', description: 'Echo text', inputSchema: { type: 'object' } }] } });
+    if (msg.method === 'tools/call') send({ id: msg.id, result: { content: [{ type: 'text', text: 'echo: ' + msg.params.arguments.text }] } });
+});
+`;
+
+function projectWithServer() {
+    const projectDir = tempDir();
+    const script = path.join(projectDir, 'server.cjs');
+    fs.writeFileSync(script, SERVER);
+    fs.mkdirSync(path.join(projectDir, '.puter'));
+    fs.writeFileSync(path.join(projectDir, '.puter', 'settings.json'), JSON.stringify({
+        mcpServers: { 'my server': { command: process.execPath, args: [script] }, off: { command: 'nope', disabled: true } },
+    }));
+    return { projectDir, script };
+}
+
+test.afterEach(() => stopMcpServers());
+
+test('project servers wait for the user to trust them', async () => {
+    const { projectDir, script } = projectWithServer();
+    const asked = [];
+    const status = await startMcpServers(projectDir, { confirm: async (lines) => { asked.push(lines); return false; } });
+    assert.deepEqual(asked, [[`my server: ${process.execPath} ${script}`]]);
+    assert.deepEqual(status, []);
+    assert.deepEqual(await startMcpServers(projectDir), []);
+});
+
+test('trusted servers connect and stay trusted until their config changes', async () => {
+    const { projectDir } = projectWithServer();
+    let asked = 0;
+    const confirm = async () => { asked++; return true; };
+
+    const [status] = await startMcpServers(projectDir, { confirm });
+    assert.equal(status.status, 'connected');
+    assert.deepEqual(status.tools, ['echo']);
+
+    const [def] = getMcpToolDefinitions();
+    assert.equal(def.function.name, 'mcp__my_server__echo');
+    assert.equal(isMcpTool(def.function.name), true);
+    assert.equal(await callMcpTool(def.function.name, { text: 'hi' }), 'echo: hi');
+    assert.match(await callMcpTool('mcp__my_server__nope', {}), /Unknown MCP tool/);
+
+    stopMcpServers();
+    await startMcpServers(projectDir, { confirm });
+    assert.equal(asked, 1);
+
+    const file = path.join(projectDir, '.puter', 'settings.json');
+    const settings = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    settings.mcpServers['my server'].args.push('--changed');
+    fs.writeFileSync(file, JSON.stringify(settings));
+    stopMcpServers();
+    await startMcpServers(projectDir, { confirm });
+    assert.equal(asked, 2);
+});
+
+test('a server that cannot start is reported as failed', async () => {
+    const projectDir = tempDir();
+    fs.mkdirSync(path.join(projectDir, '.puter'));
+    fs.writeFileSync(path.join(projectDir, '.puter', 'settings.json'), JSON.stringify({
+        mcpServers: { broken: { command: path.join(projectDir, 'missing') }, empty: {} },
+    }));
+    const status = await startMcpServers(projectDir, { confirm: async () => true });
+    assert.deepEqual(status.map(s => [s.name, s.status]).sort(), [['broken', 'failed'], ['empty', 'failed']]);
+    assert.equal(status.find(s => s.name === 'empty').error, 'no "command" configured');
+});
@@ -0,0 +1,83 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { getModelCatalog, findModel, filterModels, warnAboutModel, getContextLimit, MODELS_CACHE_FILE } from '../src/models.js';
+
+const listing = (name, list) => ({ name, listModels: async () => (typeof list === 'function' ? list() : list) });
+const down = name => listing(name, () => { throw new Error('connection refused'); });
+
+function captureLog(fn) {
+    const lines = [];
+    const original = console.log;
+    console.log = (...args) => lines.push(args.join(' '));
+    try {
+        return { result: fn(), lines };
+    } finally {
+        console.log = original;
+    }
+}
+
+test('a live list is normalised, cached and feeds context limits', async () => {
+    const provider = listing('gateway', [
+        { id: 'anthropic/claude-x', name: 'Claude X', context_length: 123000, supported_parameters: ['tools'], architecture: { input_modalities: ['text', 'image'] } },
+        { id: 'llama3', owned_by: 'ollama' },
+        { name: '' },
+    ]);
+    const live = await getModelCatalog(provider);
+    assert.equal(live.source, 'live');
+    assert.deepEqual(live.models[0], {
+        id: 'anthropic/claude-x', name: 'Claude X', vendor: 'Anthropic', aliases: [], contextLength: 123000, tools: true, vision: true, description: '',
+    });
+    assert.equal(live.models[1].vendor, 'Ollama');
+    assert.equal(live.models.length, 2);
+    assert.equal(getContextLimit('anthropic/claude-x'), 123000);
+
+    const cached = await getModelCatalog(down('gateway'));
+    assert.equal(cached.source, 'cache');
+    assert.deepEqual(cached.models, live.models);
+});
+
+test('an expired cache is still used when the provider is down', async () => {
+    const cache = JSON.parse(fs.readFileSync(MODELS_CACHE_FILE, 'utf-8'));
+    cache.gateway.fetchedAt = '2000-01-01T00:00:00.000Z';
+    fs.writeFileSync(MODELS_CACHE_FILE, JSON.stringify(cache));
+
+    const stale = await getModelCatalog(down('gateway'));
+    assert.equal(stale.source, 'stale');
+    assert.equal(stale.error, 'connection refused');
+    assert.equal(stale.models.length, 2);
+});
+
+test('without any list Puter falls back to popular models, other providers to none', async () => {
+    const puter = await getModelCatalog(down('puter'));
+    assert.equal(puter.source, 'builtin');
+    assert.ok(findModel(puter.models, 'claude-sonnet-4.6'));
+
+    const ollama = await getModelCatalog(down('ollama'));
+    assert.deepEqual(ollama, { models: [], source: 'none', fetchedAt: null, error: 'connection refused' });
+    assert.equal((await getModelCatalog({ name: 'bare' })).error, "the bare provider can't list models");
+    assert.equal((await getModelCatalog(listing('empty', []))).error, 'the provider returned no models');
+});
+
+test('agent models are checked against the list when there is one', () => {
+    const catalog = { source: 'live', models: [{ id: 'chatty', aliases: ['chat'], tools: false }, { id: 'coder', aliases: [], tools: true }] };
+    assert.equal(captureLog(() => warnAboutModel(catalog, 'coder')).result, false);
+    assert.match(captureLog(() => warnAboutModel(catalog, 'CHAT')).lines[0], /does not support function calling/);
+    assert.match(captureLog(() => warnAboutModel(catalog, 'other')).lines[0], /not in the provider's model list/);
+    assert.equal(captureLog(() => warnAboutModel({ source: 'builtin', models: [] }, 'other')).result, false);
+
+    const { result, lines } = captureLog(() => warnAboutModel({ source: 'none', models: [], error: 'connection refused' }, 'qwen3'));
+    assert.equal(result, true);
+    assert.match(lines[0], /could not load the provider's model list \(connection refused\) — qwen3 is not checked/);
+});
+
+test('models are filtered by words and vendor', () => {
+    const models = [
+        { id: 'claude-sonnet', aliases: [], name: '', description: 'Balanced', vendor: 'Anthropic' },
+        { id: 'gpt-5', aliases: ['gpt5'], name: 'GPT-5', description: 'Flagship', vendor: 'OpenAI' },
+    ];
+    assert.deepEqual(filterModels(models, { search: 'gpt flagship' }).map(m => m.id), ['gpt-5']);
+    assert.deepEqual(filterModels(models, { vendor: 'anthro' }).map(m => m.id), ['claude-sonnet']);
+    assert.deepEqual(filterModels(models, {}).length, 2);
+});
@@ -0,0 +1,68 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createReporter, validateOutputFormat, isErrorResult, isRawOutput, printErrorResult } from '../src/output.js';
+import { runForeground } from '../src/processes.js';
+
+function captureStdout(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = (chunk) => { lines.push(...String(chunk).split('\n').filter(Boolean)); return true; };
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines.map(line => JSON.parse(line));
+}
+
+test('failed, timed out and refused tool calls are errors', async () => {
+    const cwd = tempDir();
+    assert.equal(isErrorResult('run_command', await runForeground('echo ok', { cwd })), false);
+    assert.equal(isErrorResult('run_command', await runForeground('echo no; exit 3', { cwd })), true);
+    assert.equal(isErrorResult('run_command', await runForeground('sleep 5', { cwd, timeout: 1 })), true);
+    assert.equal(isErrorResult('read_file', 'Error: File not found: a.js'), true);
+    assert.equal(isErrorResult('write_file', 'Operation denied by user.'), true);
+    assert.equal(isErrorResult('read_file', 'Command exited with code 1 is what the log says'), false);
+    assert.equal(isErrorResult('read_file', { ok: true }), false);
+});
+
+test('only the known output formats are accepted', () => {
+    assert.equal(validateOutputFormat(), 'text');
+    assert.equal(validateOutputFormat('stream-json'), 'stream-json');
+    assert.throws(() => validateOutputFormat('xml'), /Invalid --output-format "xml". Use one of: text, json, stream-json/);
+    assert.equal(createReporter('text'), null);
+});
+
+test('stream-json writes events and a final result, and silences the console meanwhile', () => {
+    const log = console.log;
+    const output = captureStdout(() => {
+        const reporter = createReporter('stream-json');
+        assert.notEqual(console.log, log);
+        reporter.event('tool_call', { name: 'read_file' });
+        reporter.finish({ status: 'success', result: 'done' });
+    });
+    assert.equal(console.log, log);
+    assert.equal(output.length, 2);
+    assert.equal(output[0].type, 'tool_call');
+    assert.equal(output[0].name, 'read_file');
+    assert.ok(output[0].timestamp);
+    assert.equal(output[1].type, 'result');
+    assert.equal(output[1].status, 'success');
+    assert.equal(typeof output[1].duration_ms, 'number');
+});
+
+test('json writes only the result', () => {
+    const output = captureStdout(() => {
+        const reporter = createReporter('json');
+        reporter.event('tool_call', { name: 'read_file' });
+        reporter.finish({ status: 'error', error: 'x' });
+    });
+    assert.deepEqual(output.map(o => o.type), ['result']);
+    assert.deepEqual(captureStdout(() => printErrorResult(new Error('bad token'))), [{ type: 'result', status: 'error', error: 'bad token' }]);
+});
+
+test('--raw forces plain output', () => {
+    assert.equal(isRawOutput({ raw: true }), true);
+    assert.equal(isRawOutput({}), !process.stdout.isTTY);
+});
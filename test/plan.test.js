@@ -0,0 +1,46 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { extractPlan, formatPinnedPlan, PLAN_TOOLS } from '../src/plan.js';
+
+test('plan mode only gets tools that change nothing', () => {
+    assert.deepEqual(PLAN_TOOLS.sort(), ['command_output', 'get_project_info', 'list_directory', 'read_file', 'read_files', 'search_files', 'web_search']);
+});
+
+test('the steps under the Plan heading are extracted', () => {
+    const reply = [
+        'The login handler never checks expiry.',
+        '',
+        '## Proposed Plan',
+        '1. Add an expiry check to `src/auth.js`',
+        '   so stale tokens are rejected',
+        '2) Add a test in test/auth.test.js',
+        '- Run npm test',
+        '',
+        'Let me know if this works.',
+        '## Questions',
+        '1. Should expired tokens refresh?',
+    ].join('\n');
+    assert.deepEqual(extractPlan(reply), {
+        steps: ['Add an expiry check to `src/auth.js` so stale tokens are rejected', 'Add a test in test/auth.test.js', 'Run npm test'],
+        text: '1. Add an expiry check to `src/auth.js` so stale tokens are rejected\n2. Add a test in test/auth.test.js\n3. Run npm test',
+    });
+});
+
+test('checkbox items count as steps and the last Plan heading wins', () => {
+    const reply = '# Plan\n1. old\n\n### Revised plan\n- [ ] first\n- [x] second\n';
+    assert.deepEqual(extractPlan(reply).steps, ['first', 'second']);
+});
+
+test('without a heading the last numbered list is the plan', () => {
+    const reply = 'Findings:\n1. a is slow\n2. b leaks\n\nSo I would:\n\n1. cache a\n\n2. fix b\n3. add tests\n';
+    assert.deepEqual(extractPlan(reply).steps, ['cache a', 'fix b', 'add tests']);
+    assert.equal(extractPlan('Just one step:\n1. do it'), null);
+    assert.equal(extractPlan('No plan here.'), null);
+    assert.equal(extractPlan(''), null);
+});
+
+test('an approved plan is pinned into the system prompt', () => {
+    assert.equal(formatPinnedPlan(null), '');
+    assert.match(formatPinnedPlan({ text: '1. a\n2. b' }), /^\n\n# Approved plan\n\n.*\n\n1\. a\n2\. b$/s);
+});
@@ -0,0 +1,44 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePreset, savePreset, getPreset, removePreset, listPresets, applyPreset, chatParams, describePreset } from '../src/presets.js';
+
+test('CLI values are checked and converted', () => {
+    assert.deepEqual(validatePreset({ model: 'm', temperature: '0.2', maxTokens: '4000', reasoningEffort: 'high', allowedTools: ['read_file, search_files', 'list_directory'] }), {
+        model: 'm', temperature: 0.2, maxTokens: 4000, reasoningEffort: 'high', allowedTools: ['read_file', 'search_files', 'list_directory'],
+    });
+    assert.throws(() => validatePreset({ temperature: '3' }), /temperature must be between 0 and 2, got "3"/);
+    assert.throws(() => validatePreset({ maxTokens: '1.5' }), /max tokens must be a positive whole number/);
+    assert.throws(() => validatePreset({ reasoningEffort: 'extreme' }), /reasoning effort must be one of minimal, low, medium, high/);
+    assert.throws(() => validatePreset({ allowedTools: ' , ' }), /needs at least one setting/);
+});
+
+test('presets are saved, listed and removed', () => {
+    assert.throws(() => getPreset('review'), /Unknown preset "review". Create one with/);
+    assert.deepEqual(savePreset('review', { model: 'claude-opus-4.6', temperature: '0' }), { name: 'review', model: 'claude-opus-4.6', temperature: 0 });
+    assert.throws(() => savePreset('bad name', { model: 'm' }), /Invalid preset name/);
+    assert.deepEqual(getPreset('review'), { name: 'review', model: 'claude-opus-4.6', temperature: 0 });
+    assert.throws(() => getPreset('nope'), /Available: review/);
+
+    assert.equal(removePreset('review'), true);
+    assert.equal(removePreset('review'), false);
+    assert.deepEqual(listPresets(), {});
+});
+
+test('flags given on the command line win over the preset', () => {
+    savePreset('fast', { model: 'gpt-5-nano', temperature: 1, system: 'Be brief.' });
+    assert.deepEqual(applyPreset({ preset: 'fast', temperature: '0.5', model: undefined }), {
+        preset: 'fast', model: 'gpt-5-nano', temperature: '0.5', system: 'Be brief.',
+    });
+    const plain = { model: 'x' };
+    assert.equal(applyPreset(plain), plain);
+    assert.throws(() => applyPreset({ preset: 'missing' }), /Unknown preset "missing"/);
+});
+
+test('chat parameters and descriptions come from the same options', () => {
+    assert.deepEqual(chatParams({ temperature: '0.5', maxTokens: '100', reasoningEffort: 'low', model: 'm' }),
+        { temperature: 0.5, max_tokens: 100, reasoning_effort: 'low' });
+    assert.deepEqual(chatParams({ temperature: 0 }), { temperature: 0 });
+    assert.equal(describePreset({ model: 'm', temperature: 0, maxTokens: 10, reasoningEffort: 'high', allowedTools: ['a', 'b'], system: 'Answer\n  in ' + 'x'.repeat(50) }),
+        `m · temperature 0 · max 10 tokens · high reasoning · tools: a, b · system: "Answer in ${'x'.repeat(30)}..."`);
+});
@@ -0,0 +1,51 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { runForeground, cancelForeground, startBackground, readBackgroundOutput, killBackground, listBackground, killAllBackground } from '../src/processes.js';
+
+test.after(() => killAllBackground());
+
+test('foreground commands return their output, streamed as it arrives', async () => {
+    const chunks = [];
+    const result = await runForeground('echo one; echo two >&2', { cwd: tempDir(), onOutput: text => chunks.push(text) });
+    assert.equal(result, 'one\ntwo');
+    assert.equal(chunks.join(''), 'one\ntwo\n');
+    assert.equal(await runForeground('true', { cwd: tempDir() }), '(command completed with no output)');
+});
+
+test('a failing command reports its exit code with the output', async () => {
+    assert.equal(await runForeground('echo broken; exit 4', { cwd: tempDir() }), 'Command exited with code 4\nbroken');
+});
+
+test('commands past their timeout are killed', async () => {
+    const started = Date.now();
+    const result = await runForeground('echo started; sleep 30', { cwd: tempDir(), timeout: 1 });
+    assert.equal(result, 'Command timed out and was killed after 1s\nstarted');
+    assert.ok(Date.now() - started < 10000);
+});
+
+test('Ctrl-C cancels the foreground command', async () => {
+    assert.equal(cancelForeground(), false);
+    const running = runForeground('sleep 30', { cwd: tempDir() });
+    setTimeout(() => cancelForeground(), 200);
+    assert.equal(await running, 'Command cancelled by user (Ctrl-C)');
+});
+
+test('background commands can be read incrementally and killed', async () => {
+    const job = startBackground('echo first; sleep 0.3; echo second; sleep 30', { cwd: tempDir() });
+    assert.deepEqual(listBackground().map(j => j.id), [job.id]);
+
+    assert.match(await readBackgroundOutput(job.id, { wait: 0.1 }), new RegExp(`^\\[#${job.id} echo first.*\\] running \\(\\d+s\\)\\nfirst$`));
+    await new Promise(r => setTimeout(r, 500));
+    assert.match(await readBackgroundOutput(job.id), /\nsecond$/);
+    assert.match(await readBackgroundOutput(job.id), /\n\(no new output\)$/);
+
+    assert.match(await killBackground(job.id), new RegExp(`^Killed background command #${job.id}`));
+    assert.match(await killBackground(job.id), /already finished: killed by SIGTERM/);
+    await assert.rejects(readBackgroundOutput(999), /No background command with id 999/);
+});
+
+test('a finished background command reports how it exited', async () => {
+    const job = startBackground('echo done; exit 2', { cwd: tempDir() });
+    assert.match(await readBackgroundOutput(job.id, { wait: 5 }), /\] exited with code 2\ndone$/);
+});
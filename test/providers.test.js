@@ -0,0 +1,145 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createProvider, setProviderConfig, getProviderName } from '../src/providers.js';
+import { defaultAgentModel } from '../src/models.js';
+import { chatWithRetry } from '../src/retry.js';
+
+/**
+ * A local HTTP server answering each request with handler(path, body) →
+ * { status, json } or { lines } (streamed, one per line)
+ */
+async function fakeBackend(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ path: req.url, body, headers: req.headers });
+            const reply = handler(req.url, body);
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(reply.lines ? reply.lines.join('\n') + '\n' : JSON.stringify(reply.json));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    test.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+}
+
+test('the openai provider sends chat completions and returns the message', async () => {
+    const backend = await fakeBackend(() => ({ json: { choices: [{ message: { role: 'assistant', content: 'hi' }, finish_reason: 'stop' }], usage: { prompt_tokens: 3 } } }));
+    setProviderConfig('openai', { baseUrl: `${backend.url}/v1/`, apiKey: 'sk-test', model: 'gpt-test' });
+    const provider = await createProvider('openai');
+
+    assert.equal(provider.defaultModel, 'gpt-test');
+    const result = await provider.chat('hello', { model: 'gpt-test', temperature: 0.2, max_tokens: 10, tools: [] });
+    assert.deepEqual(result, { message: { role: 'assistant', content: 'hi' }, usage: { prompt_tokens: 3 }, finish_reason: 'stop' });
+
+    const [request] = backend.requests;
+    assert.equal(request.path, '/v1/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer sk-test');
+    assert.deepEqual(request.body, { model: 'gpt-test', messages: [{ role: 'user', content: 'hello' }], temperature: 0.2, max_tokens: 10 });
+});
+
+test('openai streaming joins tool call fragments and reports usage', async () => {
+    const event = (data) => `data: ${JSON.stringify(data)}`;
+    const backend = await fakeBackend(() => ({
+        lines: [
+            event({ choices: [{ delta: { content: 'Let me look' } }] }),
+            event({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'c1', function: { name: 'read_', arguments: '{"pa' } }] } }] }),
+            event({ choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'file', arguments: 'th":"a"}' } }] } }] }),
+            event({ choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } }),
+            'data: [DONE]',
+        ],
+    }));
+    setProviderConfig('openai', { baseUrl: backend.url });
+    const provider = await createProvider('openai');
+
+    const chunks = await collect(await provider.chat([{ role: 'user', content: 'x' }], { model: 'm', stream: true }));
+    assert.deepEqual(chunks, [
+        { text: 'Let me look' },
+        { usage: { prompt_tokens: 5, completion_tokens: 2 } },
+        { tool_calls: [{ id: 'c1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a"}' } }] },
+    ]);
+    assert.deepEqual(backend.requests[0].body.stream_options, { include_usage: true });
+});
+
+test('HTTP errors carry the status and the backend message', async () => {
+    const backend = await fakeBackend(() => ({ status: 429, json: { error: { message: 'slow down' } } }));
+    setProviderConfig('openai', { baseUrl: backend.url });
+    const provider = await createProvider('openai');
+    await assert.rejects(provider.chat('x', { model: 'm' }), (err) => err.status === 429 && /429 .*slow down/.test(err.message));
+});
+
+test('the ollama provider converts tool calls, images and usage', async () => {
+    const backend = await fakeBackend(() => ({
+        json: { message: { content: '', tool_calls: [{ function: { name: 'list_directory', arguments: { path: '.' } } }] }, prompt_eval_count: 7, eval_count: 3, done_reason: 'stop' },
+    }));
+    setProviderConfig('ollama', { baseUrl: backend.url });
+    const provider = await createProvider('ollama');
+
+    const result = await provider.chat([
+        { role: 'user', content: [{ type: 'text', text: 'what is this' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a"}' } }] },
+        { role: 'tool', tool_call_id: 'c1', content: 'file' },
+    ], { model: 'llama3', max_tokens: 50 });
+
+    const { body } = backend.requests[0];
+    assert.equal(backend.requests[0].path, '/api/chat');
+    assert.deepEqual(body.messages[0], { role: 'user', content: 'what is this', images: ['AAAA'] });
+    assert.deepEqual(body.messages[1], { role: 'assistant', content: '', tool_calls: [{ function: { name: 'read_file', arguments: { path: 'a' } } }] });
+    assert.deepEqual(body.options, { num_predict: 50 });
+    assert.equal(body.stream, false);
+
+    assert.equal(result.message.tool_calls[0].function.arguments, '{"path":"."}');
+    assert.match(result.message.tool_calls[0].id, /^call_/);
+    assert.deepEqual(result.usage, { prompt_tokens: 7, completion_tokens: 3 });
+});
+
+test('unknown providers are rejected and the configured one is used by default', async () => {
+    await assert.rejects(createProvider('nope'), /Unknown provider "nope". Available: puter, openai, ollama/);
+    assert.equal(getProviderName(), 'puter');
+    assert.equal(getProviderName('ollama'), 'ollama');
+});
+
+test('without a configured model the agent picks one the provider offers, or none', async () => {
+    const stub = (name, ids) => ({ name, listModels: async () => ids.map(id => ({ id })) });
+    assert.equal(await defaultAgentModel({ name: 'ollama', defaultModel: 'qwen3' }), 'qwen3');
+    assert.equal(await defaultAgentModel({ name: 'puter' }), 'claude-sonnet-4.6');
+    assert.equal(await defaultAgentModel(stub('gateway', ['gpt-5', 'claude-opus-4.6', 'claude-sonnet-4.6'])), 'claude-sonnet-4.6');
+    assert.equal(await defaultAgentModel(stub('gateway2', ['gpt-5', 'claude-opus-4.6'])), 'claude-opus-4.6');
+    assert.equal(await defaultAgentModel(stub('local', ['llama3'])), null);
+});
+
+test('error objects without a message are shown as JSON', async () => {
+    const backend = await fakeBackend(() => ({ status: 400, json: { error: { code: 'context_length', param: 'messages' } } }));
+    setProviderConfig('openai', { baseUrl: backend.url });
+    const provider = await createProvider('openai');
+    await assert.rejects(provider.chat('x', { model: 'm' }), { message: '400 Bad Request: {"code":"context_length","param":"messages"}' });
+});
+
+test('a request that outlives the deadline is aborted as a retryable timeout', async () => {
+    const hanging = new Set();
+    const server = http.createServer((req, res) => hanging.add(res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    test.after(() => {
+        for (const res of hanging) res.destroy();
+        server.close();
+    });
+    setProviderConfig('ollama', { baseUrl: `http://127.0.0.1:${server.address().port}` });
+    const provider = await createProvider('ollama');
+
+    const started = Date.now();
+    const err = await chatWithRetry(provider, 'x', { model: 'm' }, { fallbackModels: [], deadline: Date.now() + 200 }).catch(e => e);
+    assert.ok(Date.now() - started < 5000);
+    assert.equal(err.code, 'ETIMEDOUT');
+    assert.deepEqual([err.classification.type, err.classification.retryable], ['timeout', true]);
+});
@@ -0,0 +1,90 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/auth.js';
+import { classifyError, backoffDelay, chatWithRetry, parseModelChain, getFallbackModels, formatRetry } from '../src/retry.js';
+
+config.set('retry', { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 });
+
+const failWith = (status, message) => Object.assign(new Error(message), { status });
+
+test('errors are classified by status, code and message', () => {
+    const type = err => classifyError(err).type;
+    assert.equal(type(failWith(429, 'slow down')), 'rate_limit');
+    assert.equal(type(failWith(503, 'nope')), 'server');
+    assert.equal(type(new Error('503 Service Unavailable')), 'server');
+    assert.equal(type(Object.assign(new Error('x'), { code: 'ECONNRESET' })), 'network');
+    assert.equal(type(Object.assign(new Error('x'), { cause: { code: 'ETIMEDOUT' } })), 'timeout');
+    assert.equal(type({ error: { message: 'Model gpt-9 not found' } }), 'model_unavailable');
+    assert.equal(type(failWith(401, 'who are you')), 'auth');
+    assert.equal(type(failWith(400, 'bad field')), 'bad_request');
+    assert.equal(type(new Error('something odd')), 'unknown');
+
+    assert.equal(classifyError(failWith(429, 'x')).retryable, true);
+    assert.equal(classifyError(failWith(400, 'x')).retryable, false);
+    assert.equal(classifyError(Object.assign(failWith(429, 'x'), { headers: { 'retry-after': '2' } })).retryAfterMs, 2000);
+});
+
+test('backoff grows exponentially, is capped and honours Retry-After', () => {
+    const policy = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    for (let i = 0; i < 20; i++) {
+        const first = backoffDelay(1, policy);
+        assert.ok(first >= 500 && first <= 1000);
+        const third = backoffDelay(3, policy);
+        assert.ok(third >= 2000 && third <= 4000);
+        assert.ok(backoffDelay(10, policy) <= 5000);
+    }
+    assert.equal(backoffDelay(1, policy, 3000), 3000);
+    assert.equal(backoffDelay(1, policy, 60000), 5000);
+});
+
+test('transient failures are retried on the same model', async () => {
+    let calls = 0;
+    const provider = { chat: async () => (++calls < 3 ? Promise.reject(failWith(503, 'busy')) : 'ok') };
+    const retries = [];
+    const result = await chatWithRetry(provider, [], { model: 'a' }, { fallbackModels: [], onRetry: r => retries.push(r) });
+    assert.deepEqual(result, { response: 'ok', model: 'a' });
+    assert.deepEqual(retries.map(r => r.attempt), [1, 2]);
+    assert.match(formatRetry(retries[0]), /^server — retrying in \d\.\ds \(attempt 2\/3\)$/);
+});
+
+test('an unavailable model falls back at once, a failing one after its retries', async () => {
+    const tried = [];
+    const provider = {
+        chat: async (messages, { model }) => {
+            tried.push(model);
+            if (model === 'gone') throw new Error('model gone does not exist');
+            if (model === 'flaky') throw failWith(500, 'oops');
+            return `from ${model}`;
+        },
+    };
+    const fallbacks = [];
+    const result = await chatWithRetry(provider, [], { model: 'gone' }, { fallbackModels: ['flaky', 'good'], onFallback: f => fallbacks.push(f) });
+    assert.deepEqual(result, { response: 'from good', model: 'good' });
+    assert.deepEqual(tried, ['gone', 'flaky', 'flaky', 'flaky', 'good']);
+    assert.deepEqual(fallbacks.map(f => `${f.from}->${f.to}`), ['gone->flaky', 'flaky->good']);
+});
+
+test('permanent errors are thrown straight away with their classification', async () => {
+    let calls = 0;
+    const provider = { chat: async () => { calls++; throw failWith(401, 'unauthorized'); } };
+    await assert.rejects(chatWithRetry(provider, [], { model: 'a' }, { fallbackModels: ['b'] }),
+        err => err.classification.type === 'auth');
+    assert.equal(calls, 1);
+});
+
+test('no retry is started past the deadline', async () => {
+    let calls = 0;
+    const provider = { chat: async () => { calls++; throw failWith(429, 'later'); } };
+    await assert.rejects(chatWithRetry(provider, [], { model: 'a' }, { fallbackModels: [], deadline: Date.now() }), /later/);
+    assert.equal(calls, 1);
+});
+
+test('fallback chains are read from the environment first', () => {
+    assert.deepEqual(parseModelChain('a -> b,c  d'), ['a', 'b', 'c', 'd']);
+    config.set('fallbackModels', ['x']);
+    assert.deepEqual(getFallbackModels(), ['x']);
+    process.env.PUTER_AI_FALLBACK_MODELS = 'y -> z';
+    assert.deepEqual(getFallbackModels(), ['y', 'z']);
+    delete process.env.PUTER_AI_FALLBACK_MODELS;
+});
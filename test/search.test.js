@@ -0,0 +1,66 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { searchFiles } from '../src/search.js';
+
+function project(files) {
+    const dir = tempDir();
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+    }
+    return dir;
+}
+
+const matchedFiles = async (dir, args = {}) =>
+    (await searchFiles({ pattern: 'needle', files_only: true, ...args }, dir)).split('\n').map(line => line.replace(/ \(.*$/, ''));
+
+test('.gitignore rules apply at every level, with negation, anchoring and directory-only rules', async () => {
+    const dir = project({
+        '.gitignore': '*.log\n!keep.log\n/top.txt\nbuild/\n# comment\n',
+        'a.log': 'needle', 'keep.log': 'needle', 'top.txt': 'needle',
+        'sub/top.txt': 'needle', 'sub/b.log': 'needle',
+        'build/out.js': 'needle', 'src/build': 'needle',
+        'pkg/.gitignore': 'secret.js\n', 'pkg/secret.js': 'needle', 'pkg/open.js': 'needle',
+        'node_modules/x/index.js': 'needle',
+    });
+    assert.deepEqual(await matchedFiles(dir), ['keep.log', 'pkg/open.js', 'src/build', 'sub/top.txt']);
+});
+
+test('the root .gitignore applies when searching a subdirectory', async () => {
+    const dir = project({ '.gitignore': '*.gen.js\n', 'src/a.js': 'needle', 'src/a.gen.js': 'needle' });
+    assert.deepEqual(await matchedFiles(dir, { path: 'src' }), ['src/a.js']);
+});
+
+test('include and exclude globs filter files and directories', async () => {
+    const dir = project({ 'src/a.js': 'needle', 'src/a.ts': 'needle', 'test/a.js': 'needle', 'docs/a.md': 'needle' });
+    assert.deepEqual(await matchedFiles(dir, { include: '*.js,*.ts' }), ['src/a.js', 'src/a.ts', 'test/a.js']);
+    assert.deepEqual(await matchedFiles(dir, { file_pattern: '*.js', exclude: ['test'] }), ['src/a.js']);
+});
+
+test('matches come with line numbers and merged context', async () => {
+    const dir = project({ 'a.txt': 'one\nneedle two\nthree\nfour\nNEEDLE five\nsix\n' });
+    assert.equal(await searchFiles({ pattern: 'needle', case_insensitive: true, context_lines: 1 }, dir), [
+        'a.txt-1-one', 'a.txt:2:needle two', 'a.txt-3-three', 'a.txt-4-four', 'a.txt:5:NEEDLE five', 'a.txt-6-six',
+    ].join('\n'));
+    assert.equal(await searchFiles({ pattern: 'needle' }, dir), 'a.txt:2:needle two');
+});
+
+test('results are paged with offset and max_results', async () => {
+    const dir = project({ 'a.txt': 'needle 1\nneedle 2\nneedle 3\n' });
+    assert.equal(await searchFiles({ pattern: 'needle', max_results: 2 }, dir),
+        'a.txt:1:needle 1\na.txt:2:needle 2\n... showing matches 1-2; more available — call again with offset=2');
+    assert.equal(await searchFiles({ pattern: 'needle', max_results: 2, offset: 2 }, dir), 'a.txt:3:needle 3');
+    assert.equal(await searchFiles({ pattern: 'needle', offset: 5 }, dir), 'No more matches (offset 5).');
+});
+
+test('regex, fixed strings and bad input', async () => {
+    const dir = project({ 'a.txt': 'a.b(c)\naxb(c)\n', 'bin.dat': Buffer.from([0, 1, 2, 110, 101, 101, 100, 108, 101]) });
+    assert.equal(await searchFiles({ pattern: 'a.b\\(' }, dir), 'a.txt:1:a.b(c)\na.txt:2:axb(c)');
+    assert.equal(await searchFiles({ pattern: 'a.b(', fixed_strings: true }, dir), 'a.txt:1:a.b(c)');
+    assert.match(await searchFiles({ pattern: 'a(' }, dir), /^Error: Invalid regex/);
+    assert.equal(await searchFiles({}, dir), 'Error: pattern is required');
+    assert.equal(await searchFiles({ pattern: 'needle' }, dir), 'No matches found.');
+});
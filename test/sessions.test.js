@@ -0,0 +1,76 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSession, saveSession, loadSession, listSessions, latestSession, deleteSession, formatTranscript } from '../src/sessions.js';
+
+test('createSession keeps the given mode, model and preset', () => {
+    const session = createSession({ model: 'm', projectDir: '/p', mode: 'do', preset: 'fast' });
+    assert.equal(session.mode, 'do');
+    assert.equal(session.model, 'm');
+    assert.equal(session.preset, 'fast');
+    assert.match(session.id, /^\d{8}-[0-9a-f]{6}$/);
+    assert.equal(createSession({ projectDir: '/p' }).mode, 'code');
+});
+
+test('saved sessions load back, by full ID or unique prefix', async () => {
+    const projectDir = tempDir();
+    const session = createSession({ model: 'm', projectDir, messages: [{ role: 'system', content: 's' }, { role: 'user', content: 'Fix the   login\nbug' }] });
+    await saveSession(session);
+
+    const loaded = await loadSession(session.id);
+    assert.deepEqual(loaded.messages, session.messages);
+    assert.equal(loaded.title, 'Fix the login bug');
+    assert.equal((await loadSession(session.id.slice(0, -2))).id, session.id);
+    await assert.rejects(loadSession('nope'), /Session not found/);
+});
+
+test('the title leaves out attached files and images', async () => {
+    const session = createSession({
+        projectDir: tempDir(),
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'look at @a.js\n\n<file path="a.js">\nx\n</file>' }, { type: 'image_url', image_url: { url: 'data:' } }] }],
+    });
+    await saveSession(session);
+    assert.equal(session.title, 'look at @a.js');
+    assert.match(formatTranscript(session), /look at @a\.js[\s\S]*\[image\]/);
+});
+
+test('listSessions filters by project and puts the latest first', async () => {
+    const projectDir = tempDir();
+    const first = createSession({ projectDir });
+    const second = createSession({ projectDir });
+    await saveSession(first);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await saveSession(second);
+    await saveSession(createSession({ projectDir: tempDir() }));
+
+    const listed = await listSessions({ projectDir });
+    assert.deepEqual(listed.map(s => s.id), [second.id, first.id]);
+    assert.equal(listed[0].messages, undefined);
+    assert.equal((await latestSession(projectDir)).id, second.id);
+});
+
+test('saves of one session that overlap do not collide', async () => {
+    const session = createSession({ projectDir: tempDir() });
+    await Promise.all(Array.from({ length: 5 }, (_, i) => {
+        session.messages.push({ role: 'user', content: `m${i}` });
+        return saveSession(session);
+    }));
+    assert.equal((await loadSession(session.id)).messages.length, 5);
+});
+
+test('when saves overlap the latest snapshot wins', async () => {
+    const older = createSession({ projectDir: tempDir() });
+    // A large snapshot takes longer to write than the small one saved after it
+    for (let i = 0; i < 2000; i++) older.messages.push({ role: 'user', content: 'x'.repeat(1000) });
+    const newer = { ...older, messages: [{ role: 'user', content: 'compacted' }] };
+
+    await Promise.all([saveSession(older), saveSession(newer)]);
+    assert.deepEqual((await loadSession(older.id)).messages, [{ role: 'user', content: 'compacted' }]);
+});
+
+test('deleteSession removes the session', async () => {
+    const session = createSession({ projectDir: tempDir() });
+    await saveSession(session);
+    assert.equal(await deleteSession(session.id), session.id);
+    await assert.rejects(loadSession(session.id), /Session not found/);
+});
@@ -0,0 +1,21 @@
+// Imported first by every test file: point the Conf store (and the sessions,
+// usage and cache files kept next to it) at a throwaway directory
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'puter-cli-test-'));
+process.env.XDG_CONFIG_HOME = dir;
+delete process.env.PUTER_TOKEN;
+delete process.env.PUTER_PROFILE;
+delete process.env.PUTER_AI_FALLBACK_MODELS;
+delete process.env.PUTER_AI_PASSPHRASE;
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * A fresh temporary directory, removed when the test process exits
+ */
+export function tempDir(prefix = 'work-') {
+    return fs.mkdtempSync(path.join(dir, prefix));
+}
@@ -0,0 +1,47 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTasks, subagentInstructions, mapConcurrent, TOOLSETS, MAX_TASKS, DEFAULT_SUBAGENT_ITERATIONS } from '../src/subagents.js';
+
+test('tasks get defaults for their label, toolset and step limit', () => {
+    assert.deepEqual(normalizeTasks({ tasks: [{ prompt: 'Find the auth code\nand explain it' }] }), [{
+        description: 'Find the auth code',
+        prompt: 'Find the auth code\nand explain it',
+        tools: 'read-only',
+        model: null,
+        maxIterations: DEFAULT_SUBAGENT_ITERATIONS,
+    }]);
+    const [task] = normalizeTasks({ prompt: 'fix it', description: 'Fix', tools: 'edit', model: 'gpt-5', max_iterations: 500 });
+    assert.deepEqual([task.description, task.tools, task.model, task.maxIterations], ['Fix', 'edit', 'gpt-5', 50]);
+    assert.equal(normalizeTasks({ tasks: [{ prompt: 'x', max_iterations: -3 }] })[0].maxIterations, 1);
+});
+
+test('bad delegate_task calls are rejected with a reason', () => {
+    assert.throws(() => normalizeTasks({}), /at least one task/);
+    assert.throws(() => normalizeTasks({ tasks: Array(MAX_TASKS + 1).fill({ prompt: 'x' }) }), /too many tasks \(7\)/);
+    assert.throws(() => normalizeTasks({ tasks: [{ prompt: 'x' }, { description: 'no prompt' }] }), /task 2 has no prompt/);
+    assert.throws(() => normalizeTasks({ tasks: [{ prompt: 'x', tools: 'root' }] }), /unknown toolset "root"/);
+});
+
+test('read-only sub-agents cannot change anything', () => {
+    for (const tool of ['write_file', 'edit_file', 'run_command', 'kill_command']) {
+        assert.equal(TOOLSETS['read-only'].includes(tool), false);
+        assert.equal(TOOLSETS.edit.includes(tool), true);
+    }
+    const [task] = normalizeTasks({ prompt: 'look', max_iterations: 7 });
+    assert.match(subagentInstructions(task), /You can only read, list and search .* at most 7 steps/);
+});
+
+test('mapConcurrent keeps order and the concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapConcurrent([30, 10, 20, 5, 1], 2, async (ms, i) => {
+        peak = Math.max(peak, ++running);
+        await new Promise(r => setTimeout(r, ms));
+        running--;
+        return i;
+    });
+    assert.deepEqual(results, [0, 1, 2, 3, 4]);
+    assert.equal(peak, 2);
+    assert.deepEqual(await mapConcurrent([], 3, async () => 1), []);
+});
@@ -0,0 +1,70 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+    normalizeUsage, createUsageTracker, recordUsage, totalTokens, usageSince,
+    loadDailyUsage, summarizeDailyUsage, todayUsage, formatTokens, formatCost, formatUsageLine, USAGE_FILE,
+} from '../src/usage.js';
+
+test('usage is normalized from every provider shape', () => {
+    // Puter reports cost in microcents
+    const { cost, ...tokens } = normalizeUsage([
+        { type: 'prompt', amount: 100, cost: 2000 },
+        { type: 'cache_read', amount: 50, cost: 100 },
+        { type: 'completion', amount: 20, cost: 4000 },
+    ]);
+    assert.deepEqual(tokens, { input: 150, output: 20, cached: 50 });
+    assert.ok(Math.abs(cost - 0.000061) < 1e-12);
+    assert.deepEqual(normalizeUsage({ prompt_tokens: 10, completion_tokens: 5, prompt_tokens_details: { cached_tokens: 4 }, cost: 0.01 }),
+        { input: 10, output: 5, cached: 4, cost: 0.01 });
+    assert.deepEqual(normalizeUsage({ input_tokens: 10, output_tokens: 3, cache_read_input_tokens: 100, cache_creation_input_tokens: 7 }),
+        { input: 117, output: 3, cached: 100, cost: null });
+    assert.equal(normalizeUsage([]), null);
+    assert.equal(normalizeUsage({ total: 5 }), null);
+    assert.equal(normalizeUsage(undefined), null);
+});
+
+test('a tracker sums per model and persists daily totals', async () => {
+    const tracker = createUsageTracker();
+    await recordUsage(tracker, 'gpt-5', { prompt_tokens: 1000, completion_tokens: 200 });
+    const snapshot = structuredClone(tracker);
+    await recordUsage(tracker, 'claude', { input_tokens: 500, output_tokens: 100, cost: 0.5 });
+    assert.equal(await recordUsage(tracker, 'claude', null), null);
+
+    assert.equal(tracker.requests, 2);
+    assert.equal(totalTokens(tracker), 1800);
+    assert.deepEqual(tracker.models.claude, { requests: 1, input: 500, output: 100, cached: 0, cost: 0.5 });
+    assert.equal(tracker.models['gpt-5'].cost, null);
+    assert.deepEqual(usageSince(tracker, snapshot), { requests: 1, input: 500, output: 100, cached: 0, cost: 0.5 });
+
+    assert.deepEqual(await todayUsage(), { requests: 2, input: 1500, output: 300, cached: 0, cost: 0.5 });
+    const daily = await loadDailyUsage();
+    assert.deepEqual(Object.keys(Object.values(daily)[0]).sort(), ['claude', 'gpt-5']);
+});
+
+test('the summary covers only the requested days', async () => {
+    const daily = await loadDailyUsage();
+    daily['2001-01-01'] = { old: { requests: 9, input: 9, output: 9, cached: 0, cost: null } };
+    fs.writeFileSync(USAGE_FILE, JSON.stringify(daily));
+
+    const { days, total } = await summarizeDailyUsage(7);
+    assert.equal(days.length, 1);
+    assert.equal(total.requests, 2);
+    assert.equal(total.models.old, undefined);
+});
+
+test('concurrent recording loses no updates', async () => {
+    const before = (await todayUsage()).requests;
+    const tracker = createUsageTracker();
+    await Promise.all(Array.from({ length: 10 }, () => recordUsage(tracker, 'm', { prompt_tokens: 1, completion_tokens: 1 })));
+    assert.equal((await todayUsage()).requests, before + 10);
+});
+
+test('numbers are formatted compactly', () => {
+    assert.deepEqual([999, 1234, 12345, 1234567, 12345678].map(formatTokens), ['999', '1.2k', '12k', '1.2M', '12M']);
+    assert.deepEqual([null, 0.01234, 12.5].map(formatCost), ['', '$0.0123', '$12.50']);
+    assert.equal(formatUsageLine({ requests: 3, input: 12000, output: 1200, cached: 8000, cost: 0.0123 }),
+        '3 requests · 12k in (8.0k cached) · 1.2k out · $0.0123');
+    assert.equal(formatUsageLine({ requests: 1, input: 10, output: 2, cached: 0, cost: null }), '1 request · 10 in · 2 out');
+});
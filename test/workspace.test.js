@@ -0,0 +1,47 @@
+import { tempDir } from './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { findPathOutsideWorkspace, executeTool, toolPaths } from '../src/tools.js';
+
+test('paths inside the project, including new files, are allowed', async () => {
+    const project = tempDir();
+    fs.mkdirSync(path.join(project, 'src'));
+    assert.equal(await findPathOutsideWorkspace('read_file', { path: 'src' }, project), null);
+    assert.equal(await findPathOutsideWorkspace('write_file', { path: 'src/new/deep.js' }, project), null);
+    assert.equal(await findPathOutsideWorkspace('list_directory', {}, project), null);
+    assert.equal(await findPathOutsideWorkspace('run_command', { command: 'cat /etc/passwd' }, project), null);
+});
+
+test('paths that escape the project are reported as their real location', async () => {
+    const project = tempDir();
+    const outside = tempDir();
+    assert.equal(await findPathOutsideWorkspace('read_file', { path: '../x' }, project), path.resolve(project, '../x'));
+    assert.equal(await findPathOutsideWorkspace('read_file', { path: outside }, project), outside);
+    assert.equal(await findPathOutsideWorkspace('read_files', { paths: ['a', '/etc/hosts'] }, project), '/etc/hosts');
+    assert.deepEqual(toolPaths('read_files', { paths: ['a', 'b'] }), ['a', 'b']);
+});
+
+test('a symlink out of the project counts as the path it points to', async () => {
+    const project = tempDir();
+    const outside = tempDir();
+    fs.symlinkSync(outside, path.join(project, 'link'));
+    assert.equal(await findPathOutsideWorkspace('write_file', { path: 'link/f.txt' }, project), path.join(outside, 'f.txt'));
+});
+
+test('--add-dir roots are part of the workspace', async () => {
+    const project = tempDir();
+    const extra = tempDir();
+    assert.equal(await findPathOutsideWorkspace('read_file', { path: path.join(extra, 'f') }, project, [extra]), null);
+});
+
+test('executeTool refuses paths outside the workspace unless approved', async () => {
+    const project = tempDir();
+    const outside = tempDir();
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'hidden');
+    const target = path.join(outside, 'secret.txt');
+
+    assert.match(await executeTool('read_file', { path: target }, project), /^Error: Access denied/);
+    assert.match(await executeTool('read_file', { path: target }, project, { allowOutside: true }), /hidden/);
+});